@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const gazetteer = require('../data/gazetteer.json');
 
 const pool = new Pool({
   host: process.env.DB_HOST || 'localhost',
@@ -27,9 +28,96 @@ const connectDB = async () => {
   }
 };
 
+// Slug form of free text: "Clifton, Karachi" -> "clifton-karachi"
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Gazetteer slug for a free-text COD location ("Karachi", "Clifton, Karachi",
+// "karachi-clifton", or an area name found in a single city), or null when it
+// names no single place
+const matchGazetteerSlug = (text) => {
+  const name = slugify(text);
+  const matches = gazetteer.filter(place => [
+    place.slug,
+    slugify(place.area ? `${place.area} ${place.city}` : place.city),
+    place.area && slugify(place.area)
+  ].includes(name));
+
+  return matches.length === 1 ? matches[0].slug : null;
+};
+
+// One-off move of the free-text `auctions.cod_locations` column of older databases into
+// auction_cod_locations. The column is dropped afterwards; names matching no gazetteer
+// location are logged so they can be re-entered by hand.
+const migrateCodLocations = async (client) => {
+  const column = await client.query(`
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'auctions' AND column_name = 'cod_locations'
+  `);
+
+  if (column.rows.length === 0) {
+    return;
+  }
+
+  try {
+    await client.query('BEGIN');
+
+    const auctions = await client.query('SELECT id, cod_locations FROM auctions WHERE cardinality(cod_locations) > 0');
+
+    for (const auction of auctions.rows) {
+      const slugs = [];
+      for (const name of auction.cod_locations) {
+        const slug = matchGazetteerSlug(name);
+        if (slug) {
+          slugs.push(slug);
+        } else {
+          console.warn(`⚠️ Auction ${auction.id}: COD location "${name}" matches no gazetteer location`);
+        }
+      }
+
+      if (slugs.length > 0) {
+        await client.query(`
+          INSERT INTO auction_cod_locations (auction_id, location_id)
+          SELECT $1, id FROM locations WHERE slug = ANY($2)
+          ON CONFLICT DO NOTHING
+        `, [auction.id, slugs]);
+      }
+    }
+
+    await client.query('ALTER TABLE auctions DROP COLUMN cod_locations');
+    await client.query('COMMIT');
+    console.log(`✅ Migrated COD locations of ${auctions.rows.length} auctions`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
 // Create database tables
 const createTables = async (client) => {
   try {
+    // Locations reference table (cities and areas for COD hand-over), seeded from the
+    // bundled offline gazetteer in data/gazetteer.json
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS locations (
+        id SERIAL PRIMARY KEY,
+        slug VARCHAR(100) UNIQUE NOT NULL,
+        city VARCHAR(100) NOT NULL,
+        area VARCHAR(100), -- NULL for the city as a whole
+        latitude DECIMAL(9,6) NOT NULL,
+        longitude DECIMAL(9,6) NOT NULL
+      )
+    `);
+
+    for (const place of gazetteer) {
+      await client.query(`
+        INSERT INTO locations (slug, city, area, latitude, longitude)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (slug) DO UPDATE
+        SET city = EXCLUDED.city, area = EXCLUDED.area,
+            latitude = EXCLUDED.latitude, longitude = EXCLUDED.longitude
+      `, [place.slug, place.city, place.area, place.latitude, place.longitude]);
+    }
+
     // Users table
     await client.query(`
       CREATE TABLE IF NOT EXISTS users (
@@ -41,17 +129,34 @@ const createTables = async (client) => {
         full_name VARCHAR(100),
         phone VARCHAR(20),
         whatsapp VARCHAR(20),
+        home_location_id INTEGER REFERENCES locations(id) ON DELETE SET NULL,
         profile_image VARCHAR(255),
         is_active BOOLEAN DEFAULT true,
         is_verified BOOLEAN DEFAULT false,
         reputation_score INTEGER DEFAULT 0,
         total_sales INTEGER DEFAULT 0,
         total_purchases INTEGER DEFAULT 0,
+        suspension_end TIMESTAMP,
+        is_banned BOOLEAN DEFAULT false,
+        email_notifications BOOLEAN DEFAULT true,
+        push_notifications BOOLEAN DEFAULT true,
+        whatsapp_notifications BOOLEAN DEFAULT false,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
 
+    // Columns added since the table was first created
+    await client.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS home_location_id INTEGER REFERENCES locations(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS suspension_end TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS is_banned BOOLEAN DEFAULT false,
+        ADD COLUMN IF NOT EXISTS email_notifications BOOLEAN DEFAULT true,
+        ADD COLUMN IF NOT EXISTS push_notifications BOOLEAN DEFAULT true,
+        ADD COLUMN IF NOT EXISTS whatsapp_notifications BOOLEAN DEFAULT false
+    `);
+
     // Categories table
     await client.query(`
       CREATE TABLE IF NOT EXISTS categories (
@@ -59,40 +164,108 @@ const createTables = async (client) => {
         name VARCHAR(100) UNIQUE NOT NULL,
         description TEXT,
         icon VARCHAR(255),
+        anti_snipe JSONB, -- Per-category anti-snipe policy override
+        spec_schema JSONB NOT NULL DEFAULT '[]', -- Structured attributes of listings (see utils/categorySpecs.js)
         is_active BOOLEAN DEFAULT true,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
 
+    await client.query(`
+      ALTER TABLE categories
+        ADD COLUMN IF NOT EXISTS anti_snipe JSONB,
+        ADD COLUMN IF NOT EXISTS spec_schema JSONB NOT NULL DEFAULT '[]'
+    `);
+
     // Auctions table
     await client.query(`
       CREATE TABLE IF NOT EXISTS auctions (
         id SERIAL PRIMARY KEY,
         seller_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
         category_id INTEGER REFERENCES categories(id),
-        title VARCHAR(200) NOT NULL,
-        description TEXT NOT NULL,
+        title VARCHAR(200),
+        description TEXT,
         condition VARCHAR(20) CHECK (condition IN ('new', 'like_new', 'good', 'fair', 'poor')),
-        starting_price DECIMAL(10,2) NOT NULL,
-        current_price DECIMAL(10,2) NOT NULL,
+        starting_price DECIMAL(10,2),
+        current_price DECIMAL(10,2),
         reserve_price DECIMAL(10,2),
         buy_now_price DECIMAL(10,2),
         shipping_cost DECIMAL(10,2) DEFAULT 0,
-        cod_locations TEXT[],
-        images TEXT[] NOT NULL,
-        status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('draft', 'active', 'ended', 'cancelled', 'sold')),
+        images TEXT[] NOT NULL DEFAULT '{}',
+        status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('draft', 'scheduled', 'active', 'ended', 'cancelled', 'sold')),
         start_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        end_time TIMESTAMP NOT NULL,
+        end_time TIMESTAMP,
+        duration_hours INTEGER, -- Countdown length; a draft's starts when it is published
         bid_count INTEGER DEFAULT 0,
         view_count INTEGER DEFAULT 0,
         watch_count INTEGER DEFAULT 0,
         winner_id INTEGER REFERENCES users(id),
+        final_price DECIMAL(10,2),
         is_featured BOOLEAN DEFAULT false,
+        bid_increments JSONB, -- Per-auction increment ladder override
+        relisted_from INTEGER REFERENCES auctions(id) ON DELETE SET NULL,
+        specs JSONB NOT NULL DEFAULT '{}', -- Values for the category's spec schema
+        -- Full-text search document: title ranks above description
+        search_vector TSVECTOR GENERATED ALWAYS AS (
+          setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+          setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+        ) STORED,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        -- Drafts may be saved incomplete; everything else needs the full listing
+        CONSTRAINT auctions_listing_complete CHECK (status = 'draft' OR (
+          title IS NOT NULL AND description IS NOT NULL AND starting_price IS NOT NULL
+          AND current_price IS NOT NULL AND end_time IS NOT NULL
+        ))
       )
     `);
 
+    // Columns added since the table was first created. Drafts made the listing fields
+    // optional, and scheduled auctions added a status.
+    await client.query(`
+      ALTER TABLE auctions
+        ALTER COLUMN title DROP NOT NULL,
+        ALTER COLUMN description DROP NOT NULL,
+        ALTER COLUMN starting_price DROP NOT NULL,
+        ALTER COLUMN current_price DROP NOT NULL,
+        ALTER COLUMN end_time DROP NOT NULL,
+        ALTER COLUMN images SET DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS duration_hours INTEGER,
+        ADD COLUMN IF NOT EXISTS final_price DECIMAL(10,2),
+        ADD COLUMN IF NOT EXISTS bid_increments JSONB,
+        ADD COLUMN IF NOT EXISTS relisted_from INTEGER REFERENCES auctions(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS specs JSONB NOT NULL DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+          setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+          setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+        ) STORED
+    `);
+
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM pg_constraint
+          WHERE conrelid = 'auctions'::regclass AND conname = 'auctions_status_check'
+            AND pg_get_constraintdef(oid) LIKE '%scheduled%'
+        ) THEN
+          ALTER TABLE auctions DROP CONSTRAINT IF EXISTS auctions_status_check;
+          ALTER TABLE auctions ADD CONSTRAINT auctions_status_check
+            CHECK (status IN ('draft', 'scheduled', 'active', 'ended', 'cancelled', 'sold'));
+        END IF;
+
+        IF NOT EXISTS (
+          SELECT 1 FROM pg_constraint
+          WHERE conrelid = 'auctions'::regclass AND conname = 'auctions_listing_complete'
+        ) THEN
+          ALTER TABLE auctions ADD CONSTRAINT auctions_listing_complete CHECK (status = 'draft' OR (
+            title IS NOT NULL AND description IS NOT NULL AND starting_price IS NOT NULL
+            AND current_price IS NOT NULL AND end_time IS NOT NULL
+          ));
+        END IF;
+      END $$
+    `);
+
     // Bids table
     await client.query(`
       CREATE TABLE IF NOT EXISTS bids (
@@ -103,10 +276,207 @@ const createTables = async (client) => {
         max_bid DECIMAL(10,2), -- For proxy bidding
         is_winning BOOLEAN DEFAULT false,
         is_auto_bid BOOLEAN DEFAULT false,
+        is_retracted BOOLEAN DEFAULT false,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query('ALTER TABLE bids ADD COLUMN IF NOT EXISTS is_retracted BOOLEAN DEFAULT false');
+
+    // Bid retractions table (reviewed by moderators)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS bid_retractions (
+        id SERIAL PRIMARY KEY,
+        bid_id INTEGER UNIQUE REFERENCES bids(id) ON DELETE CASCADE,
+        auction_id INTEGER REFERENCES auctions(id) ON DELETE CASCADE,
+        bidder_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        reason VARCHAR(30) NOT NULL CHECK (reason IN ('typo', 'description_changed', 'seller_unreachable')),
+        explanation TEXT,
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+        reviewed_by INTEGER REFERENCES users(id),
+        review_notes TEXT,
+        reviewed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Places where a seller accepts cash on delivery / collection
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS auction_cod_locations (
+        auction_id INTEGER REFERENCES auctions(id) ON DELETE CASCADE,
+        location_id INTEGER REFERENCES locations(id) ON DELETE CASCADE,
+        PRIMARY KEY (auction_id, location_id)
+      )
+    `);
+
+    await migrateCodLocations(client);
+
+    // Auction addenda table (description changes made after bidding started)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS auction_addenda (
+        id SERIAL PRIMARY KEY,
+        auction_id INTEGER REFERENCES auctions(id) ON DELETE CASCADE,
+        author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        content TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Auction extensions table (anti-snipe history)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS auction_extensions (
+        id SERIAL PRIMARY KEY,
+        auction_id INTEGER REFERENCES auctions(id) ON DELETE CASCADE,
+        bid_id INTEGER REFERENCES bids(id) ON DELETE SET NULL,
+        previous_end_time TIMESTAMP NOT NULL,
+        new_end_time TIMESTAMP NOT NULL,
+        extended_seconds INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Proxy bids table (one maximum bid per bidder per auction)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS proxy_bids (
+        id SERIAL PRIMARY KEY,
+        auction_id INTEGER REFERENCES auctions(id) ON DELETE CASCADE,
+        bidder_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        max_amount DECIMAL(10,2) NOT NULL,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(auction_id, bidder_id)
+      )
+    `);
+
+    // Orders table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS orders (
+        id SERIAL PRIMARY KEY,
+        auction_id INTEGER REFERENCES auctions(id) ON DELETE CASCADE,
+        seller_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        buyer_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        amount DECIMAL(10,2) NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending_payment' CHECK (status IN (
+          'pending_payment', 'paid', 'shipped', 'handed_over', 'received',
+          'closed', 'cancelled', 'disputed', 'unpaid'
+        )),
+        source VARCHAR(20) DEFAULT 'auction' CHECK (source IN ('auction', 'buy_now', 'second_chance')),
+        deadline_at TIMESTAMP,
+        tracking_number VARCHAR(100),
+        dispute_reason TEXT,
+        paid_at TIMESTAMP,
+        dispatched_at TIMESTAMP,
+        received_at TIMESTAMP,
+        closed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // User ratings table (left by either party once an order is closed)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_ratings (
+        id SERIAL PRIMARY KEY,
+        rater_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        rated_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        auction_id INTEGER REFERENCES auctions(id) ON DELETE SET NULL,
+        order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+        rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+        comment TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(rater_id, order_id)
+      )
+    `);
+
+    // Second chance offers table (runner-up offers after a winner does not pay)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS second_chance_offers (
+        id SERIAL PRIMARY KEY,
+        auction_id INTEGER REFERENCES auctions(id) ON DELETE CASCADE,
+        seller_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        bidder_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        amount DECIMAL(10,2) NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'expired')),
+        order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+        expires_at TIMESTAMP NOT NULL,
+        responded_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(auction_id, bidder_id)
+      )
+    `);
+
+    // Audit log table (sensitive actions such as contact reveals)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS audit_logs (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        action VARCHAR(50) NOT NULL,
+        resource_type VARCHAR(50),
+        resource_id INTEGER,
+        details JSONB DEFAULT '{}',
+        ip_address VARCHAR(45),
+        user_agent TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Seller follows table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_follows (
+        follower_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        seller_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (follower_id, seller_id)
+      )
+    `);
+
+    // Saved rigs (a user's builds, for part compatibility checks)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_rigs (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(50) NOT NULL,
+        socket VARCHAR(30),
+        chipset VARCHAR(30),
+        ram_type VARCHAR(10),
+        psu_wattage INTEGER CHECK (psu_wattage > 0),
+        gpu_clearance_mm INTEGER CHECK (gpu_clearance_mm > 0),
+        is_primary BOOLEAN DEFAULT false,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Saved searches (feed filters a buyer is alerted about when new listings match)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS saved_searches (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        keyword VARCHAR(200),
+        search_query TEXT, -- Prefix tsquery built from the keyword
+        category_id INTEGER REFERENCES categories(id) ON DELETE CASCADE,
+        condition VARCHAR(20),
+        max_price DECIMAL(10,2),
+        location_id INTEGER REFERENCES locations(id) ON DELETE CASCADE,
+        radius_km DECIMAL(6,1),
+        frequency VARCHAR(10) NOT NULL DEFAULT 'instant' CHECK (frequency IN ('instant', 'daily')),
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
 
+    // Listings that matched a saved search; notified_at is set once the user was alerted
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS saved_search_matches (
+        saved_search_id INTEGER REFERENCES saved_searches(id) ON DELETE CASCADE,
+        auction_id INTEGER REFERENCES auctions(id) ON DELETE CASCADE,
+        notified_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (saved_search_id, auction_id)
+      )
+    `);
+
     // Watchlist table
     await client.query(`
       CREATE TABLE IF NOT EXISTS watchlist (
@@ -118,22 +488,68 @@ const createTables = async (client) => {
       )
     `);
 
+    // Auctions a user opened or skipped in the feed (signals for the personalized feed)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS auction_interactions (
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        auction_id INTEGER REFERENCES auctions(id) ON DELETE CASCADE,
+        type VARCHAR(10) NOT NULL CHECK (type IN ('view', 'skip')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, auction_id, type)
+      )
+    `);
+
     // Reports table
     await client.query(`
       CREATE TABLE IF NOT EXISTS reports (
         id SERIAL PRIMARY KEY,
         reporter_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        type VARCHAR(20) NOT NULL CHECK (type IN ('listing', 'user', 'transaction')),
         reported_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
         auction_id INTEGER REFERENCES auctions(id) ON DELETE CASCADE,
+        order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
         reason VARCHAR(100) NOT NULL,
         description TEXT,
+        evidence_images TEXT[] DEFAULT '{}',
         status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'reviewed', 'resolved', 'dismissed')),
-        admin_notes TEXT,
+        resolution_notes TEXT,
+        resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        resolved_at TIMESTAMP,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
 
+    // Columns added since the table was first created. Older reports are typed by
+    // what they point at, and their admin notes become resolution notes.
+    await client.query(`
+      DO $$
+      BEGIN
+        IF EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_schema = current_schema() AND table_name = 'reports' AND column_name = 'admin_notes'
+        ) THEN
+          ALTER TABLE reports RENAME COLUMN admin_notes TO resolution_notes;
+        END IF;
+      END $$
+    `);
+
+    await client.query(`
+      ALTER TABLE reports
+        ADD COLUMN IF NOT EXISTS type VARCHAR(20) CHECK (type IN ('listing', 'user', 'transaction')),
+        ADD COLUMN IF NOT EXISTS order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+        ADD COLUMN IF NOT EXISTS evidence_images TEXT[] DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS resolution_notes TEXT,
+        ADD COLUMN IF NOT EXISTS resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP
+    `);
+
+    await client.query(`
+      UPDATE reports SET type = CASE WHEN auction_id IS NOT NULL THEN 'listing' ELSE 'user' END
+      WHERE type IS NULL
+    `);
+    await client.query('ALTER TABLE reports ALTER COLUMN type SET NOT NULL');
+
     // Notifications table
     await client.query(`
       CREATE TABLE IF NOT EXISTS notifications (
@@ -148,14 +564,65 @@ const createTables = async (client) => {
       )
     `);
 
+    // Idempotency keys table (stored results of retried write requests)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        idempotency_key VARCHAR(255) NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        scope VARCHAR(50) NOT NULL,
+        request_hash VARCHAR(64) NOT NULL,
+        response_status INTEGER,
+        response_body JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP,
+        PRIMARY KEY (user_id, scope, idempotency_key)
+      )
+    `);
+
+    // System settings table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS system_settings (
+        key VARCHAR(100) PRIMARY KEY,
+        value JSONB NOT NULL,
+        description TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
     // Create indexes for better performance
     await client.query('CREATE INDEX IF NOT EXISTS idx_auctions_status ON auctions(status)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_auctions_end_time ON auctions(end_time)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_auctions_seller ON auctions(seller_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_auctions_start_time ON auctions(start_time) WHERE status = \'scheduled\'');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_auctions_draft_updated ON auctions(updated_at) WHERE status = \'draft\'');
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_auctions_relisted_from ON auctions(relisted_from) WHERE relisted_from IS NOT NULL');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_auctions_search ON auctions USING GIN(search_vector)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_auctions_specs ON auctions USING GIN(specs jsonb_path_ops)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_auction_cod_locations_location ON auction_cod_locations(location_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_user_follows_seller ON user_follows(seller_id)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_bids_auction ON bids(auction_id)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_bids_bidder ON bids(bidder_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_bid_retractions_status ON bid_retractions(status)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_reports_reporter ON reports(reporter_id, created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_auction_addenda_auction ON auction_addenda(auction_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_auction_extensions_auction ON auction_extensions(auction_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_proxy_bids_bidder ON proxy_bids(bidder_id, is_active)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_orders_buyer ON orders(buyer_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_orders_seller ON orders(seller_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_orders_deadline ON orders(deadline_at) WHERE deadline_at IS NOT NULL');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_user_ratings_rated ON user_ratings(rated_user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_second_chance_offers_bidder ON second_chance_offers(bidder_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_second_chance_offers_pending ON second_chance_offers(expires_at) WHERE status = \'pending\'');
     await client.query('CREATE INDEX IF NOT EXISTS idx_watchlist_user ON watchlist(user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_auction_interactions_created ON auction_interactions(created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_saved_searches_user ON saved_searches(user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_saved_search_matches_pending ON saved_search_matches(saved_search_id) WHERE notified_at IS NULL');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_user_rigs_user ON user_rigs(user_id)');
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_user_rigs_primary ON user_rigs(user_id) WHERE is_primary');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created ON idempotency_keys(created_at)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, is_read)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_logs_created ON audit_logs(created_at)');
 
     console.log('✅ Database tables created/verified successfully');
   } catch (error) {
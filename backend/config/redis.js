@@ -160,9 +160,11 @@ const CACHE_KEYS = {
   USER_PROFILE: (userId) => `user:profile:${userId}`,
   AUCTION_DETAILS: (auctionId) => `auction:details:${auctionId}`,
   AUCTION_FEED: (page) => `auction:feed:${page}`,
+  FEED_SNAPSHOT: (snapshotId) => `auction:feed:snapshot:${snapshotId}`,
   USER_WATCHLIST: (userId) => `user:watchlist:${userId}`,
   AUCTION_BIDS: (auctionId) => `auction:bids:${auctionId}`,
   CATEGORIES: 'categories:all',
+  SYSTEM_SETTINGS: 'settings:all',
   TRENDING_AUCTIONS: 'auctions:trending',
   USER_NOTIFICATIONS: (userId) => `user:notifications:${userId}`
 };
@@ -0,0 +1,85 @@
+const {
+  MAX_KEY_LENGTH,
+  fingerprintRequest,
+  reserveKey,
+  completeKey,
+  releaseKey
+} = require('../utils/idempotency');
+
+// Honour an `Idempotency-Key` header on a write route.
+// Must run after authentication (keys are per user) and after body parsing.
+// A repeated request gets the stored response with `Idempotent-Replayed: true`.
+// `onReject(req)` runs before any response made here instead of by the route, e.g. to
+// remove files uploaded with the request.
+const idempotent = (scope, { onReject = async () => {} } = {}) => {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+
+    if (!key) {
+      return next();
+    }
+
+    const rejectWith = async (status, payload) => {
+      try {
+        await onReject(req);
+      } catch (error) {
+        console.error('Idempotency reject hook error:', error);
+      }
+      return res.status(status).json(payload);
+    };
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return rejectWith(400, { message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+    }
+
+    const identity = { key, userId: req.user.id, scope };
+
+    try {
+      const reservation = await reserveKey({
+        ...identity,
+        fingerprint: fingerprintRequest(req.method, req.originalUrl, req.body)
+      });
+
+      if (!reservation.reserved) {
+        if (reservation.replayed) {
+          res.set('Idempotent-Replayed', 'true');
+        }
+        return rejectWith(reservation.status, reservation.payload);
+      }
+    } catch (error) {
+      console.error('Idempotency key error:', error);
+      return rejectWith(500, { message: 'Failed to process request' });
+    }
+
+    // Record whatever the route responds with before sending it, so an
+    // immediate retry sees the stored result rather than an in-progress key
+    let recorded = false;
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      recorded = true;
+      const store = res.statusCode >= 500
+        ? releaseKey(identity)
+        : completeKey(identity, res.statusCode, body);
+
+      store
+        .catch(error => console.error('Idempotency key store error:', error))
+        .finally(() => json(body));
+
+      return res;
+    };
+
+    // Responses that bypass res.json (e.g. upload errors) free the key for a retry
+    res.on('finish', () => {
+      if (!recorded) {
+        releaseKey(identity).catch(error => console.error('Idempotency key release error:', error));
+      }
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  idempotent
+};
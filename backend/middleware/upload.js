@@ -0,0 +1,46 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs').promises;
+
+const ALLOWED_IMAGE_TYPES = /jpeg|jpg|png|webp/;
+
+// Multer middleware for image uploads (JPEG, PNG, WebP up to MAX_FILE_SIZE), saved in
+// `directory` as `<prefix>-<unique suffix><ext>`. At most `maxFiles` images per request.
+const createImageUpload = ({ directory, prefix, maxFiles }) => {
+  const storage = multer.diskStorage({
+    destination: async (req, file, cb) => {
+      try {
+        await fs.mkdir(directory, { recursive: true });
+        cb(null, directory);
+      } catch (error) {
+        cb(error);
+      }
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, `${prefix}-${uniqueSuffix}${path.extname(file.originalname)}`);
+    }
+  });
+
+  return multer({
+    storage,
+    limits: {
+      fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB
+      files: maxFiles
+    },
+    fileFilter: (req, file, cb) => {
+      const extname = ALLOWED_IMAGE_TYPES.test(path.extname(file.originalname).toLowerCase());
+      const mimetype = ALLOWED_IMAGE_TYPES.test(file.mimetype);
+
+      if (mimetype && extname) {
+        return cb(null, true);
+      } else {
+        cb(new Error('Only image files (JPEG, JPG, PNG, WebP) are allowed'));
+      }
+    }
+  });
+};
+
+module.exports = {
+  createImageUpload
+};
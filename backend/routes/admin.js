@@ -1,8 +1,12 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { query } = require('../config/database');
+const { pool, query } = require('../config/database');
 const { authenticateToken, requireAdmin, requireModerator } = require('../middleware/auth');
 const { cache, CACHE_KEYS } = require('../config/redis');
+const { SETTINGS, getAllSettings } = require('../utils/settings');
+const { RETRACTION_REASONS, reviewRetraction } = require('../utils/bidRetractions');
+const { notifyReporter } = require('../utils/reports');
+const { resolveDispute } = require('../utils/orders');
 
 const router = express.Router();
 
@@ -42,14 +46,14 @@ router.get('/dashboard', [authenticateToken, requireModerator], async (req, res)
         (SELECT COUNT(*) FROM reports WHERE status = 'pending') as pending_reports
     `);
 
-    // Get revenue data (completed auctions)
+    // Get revenue data (sold auctions)
     const revenueResult = await query(`
       SELECT 
         SUM(final_price) as total_revenue,
         COUNT(*) as completed_auctions,
         AVG(final_price) as avg_sale_price
       FROM auctions 
-      WHERE status = 'completed' ${dateFilter}
+      WHERE status = 'sold' ${dateFilter}
     `);
 
     // Get category distribution
@@ -153,8 +157,8 @@ router.get('/reports', [authenticateToken, requireModerator], async (req, res) =
 
     const result = await query(`
       SELECT 
-        r.id, r.type, r.reason, r.description, r.status, r.created_at, r.resolved_at,
-        r.auction_id, r.reported_user_id,
+        r.id, r.type, r.reason, r.description, r.evidence_images, r.status, r.created_at, r.resolved_at,
+        r.auction_id, r.reported_user_id, r.order_id,
         u1.username as reporter_username,
         u2.username as reported_username,
         a.title as auction_title,
@@ -179,6 +183,8 @@ router.get('/reports', [authenticateToken, requireModerator], async (req, res) =
       type: report.type,
       reason: report.reason,
       description: report.description,
+      evidenceImages: report.evidence_images || [],
+      orderId: report.order_id,
       status: report.status,
       createdAt: report.created_at,
       resolvedAt: report.resolved_at,
@@ -223,6 +229,8 @@ router.put('/reports/:id/resolve', [
   body('action').isIn(['dismiss', 'warn', 'suspend', 'ban']).withMessage('Invalid action'),
   body('notes').optional().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters')
 ], async (req, res) => {
+  const client = await pool.connect();
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -239,107 +247,251 @@ router.put('/reports/:id/resolve', [
       return res.status(400).json({ message: 'Invalid report ID' });
     }
 
+    // Start transaction
+    await client.query('BEGIN');
+
     // Get report details
-    const reportResult = await query(
-      'SELECT * FROM reports WHERE id = $1 AND status = $2',
-      [reportId, 'pending']
+    const reportResult = await client.query(
+      'SELECT * FROM reports WHERE id = $1 AND status IN ($2, $3) FOR UPDATE',
+      [reportId, 'pending', 'reviewed']
     );
 
     if (reportResult.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ message: 'Report not found or already resolved' });
     }
 
     const report = reportResult.rows[0];
+    const status = action === 'dismiss' ? 'dismissed' : 'resolved';
 
-    // Start transaction
-    await query('BEGIN');
+    // Update report status
+    await client.query(
+      'UPDATE reports SET status = $1, resolved_by = $2, resolved_at = NOW(), resolution_notes = $3, updated_at = NOW() WHERE id = $4',
+      [status, req.user.id, notes, reportId]
+    );
 
-    try {
-      // Update report status
-      await query(
-        'UPDATE reports SET status = $1, resolved_by = $2, resolved_at = NOW(), resolution_notes = $3 WHERE id = $4',
-        ['resolved', req.user.id, notes, reportId]
+    // Handle auction-specific actions (before the seller's other auctions are ended)
+    if (report.auction_id && (action === 'suspend' || action === 'ban')) {
+      await client.query(
+        'UPDATE auctions SET status = $1, end_time = NOW() WHERE id = $2 AND status IN ($3, $4)',
+        ['cancelled', report.auction_id, 'active', 'scheduled']
       );
+    }
 
-      // Apply action to reported user if applicable
-      if (report.reported_user_id && action !== 'dismiss') {
-        switch (action) {
-          case 'warn':
-            // Create warning notification
-            await query(
-              'INSERT INTO notifications (user_id, type, title, message) VALUES ($1, $2, $3, $4)',
-              [
-                report.reported_user_id,
-                'warning',
-                'Account Warning',
-                `You have received a warning for: ${report.reason}. ${notes || ''}`
-              ]
-            );
-            break;
-
-          case 'suspend':
-            // Suspend user for 7 days
-            await query(
-              'UPDATE users SET is_active = false, suspension_end = NOW() + INTERVAL \'7 days\' WHERE id = $1',
-              [report.reported_user_id]
-            );
-            
-            // End their active auctions
-            await query(
-              'UPDATE auctions SET status = $1, end_time = NOW() WHERE seller_id = $2 AND status = $3',
-              ['ended', report.reported_user_id, 'active']
-            );
-            break;
-
-          case 'ban':
-            // Permanently ban user
-            await query(
-              'UPDATE users SET is_active = false, is_banned = true WHERE id = $1',
-              [report.reported_user_id]
-            );
-            
-            // End their active auctions
-            await query(
-              'UPDATE auctions SET status = $1, end_time = NOW() WHERE seller_id = $2 AND status = $3',
-              ['ended', report.reported_user_id, 'active']
-            );
-            break;
-        }
+    // Apply action to reported user if applicable
+    if (report.reported_user_id && action !== 'dismiss') {
+      switch (action) {
+        case 'warn':
+          // Create warning notification
+          await client.query(
+            'INSERT INTO notifications (user_id, type, title, message) VALUES ($1, $2, $3, $4)',
+            [
+              report.reported_user_id,
+              'warning',
+              'Account Warning',
+              `You have received a warning for: ${report.reason}. ${notes || ''}`
+            ]
+          );
+          break;
+
+        case 'suspend':
+          // Suspend user for 7 days
+          await client.query(
+            'UPDATE users SET is_active = false, suspension_end = NOW() + INTERVAL \'7 days\' WHERE id = $1',
+            [report.reported_user_id]
+          );
+          
+          // End their active auctions
+          await client.query(
+            'UPDATE auctions SET status = $1, end_time = NOW() WHERE seller_id = $2 AND status = $3',
+            ['ended', report.reported_user_id, 'active']
+          );
+          break;
+
+        case 'ban':
+          // Permanently ban user
+          await client.query(
+            'UPDATE users SET is_active = false, is_banned = true WHERE id = $1',
+            [report.reported_user_id]
+          );
+          
+          // End their active auctions
+          await client.query(
+            'UPDATE auctions SET status = $1, end_time = NOW() WHERE seller_id = $2 AND status = $3',
+            ['ended', report.reported_user_id, 'active']
+          );
+          break;
       }
+    }
 
-      // Handle auction-specific actions
-      if (report.auction_id && (action === 'suspend' || action === 'ban')) {
-        await query(
-          'UPDATE auctions SET status = $1, end_time = NOW() WHERE id = $2',
-          ['removed', report.auction_id]
-        );
-      }
+    await client.query('COMMIT');
 
-      await query('COMMIT');
+    await notifyReporter(report, status);
 
-      res.json({ message: 'Report resolved successfully' });
-    } catch (error) {
-      await query('ROLLBACK');
-      throw error;
-    }
+    res.json({ message: 'Report resolved successfully', status });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Resolve report error:', error);
     res.status(500).json({ message: 'Failed to resolve report' });
+  } finally {
+    client.release();
+  }
+});
+
+// Get bid retraction requests (pending first by default)
+router.get('/retractions', [authenticateToken, requireModerator], async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const offset = (page - 1) * limit;
+    const status = req.query.status || 'pending';
+
+    let whereClause = '';
+    const queryParams = [];
+    let paramIndex = 1;
+
+    if (status !== 'all') {
+      whereClause = `WHERE r.status = $${paramIndex}`;
+      queryParams.push(status);
+      paramIndex++;
+    }
+
+    queryParams.push(limit, offset);
+
+    const result = await query(`
+      SELECT 
+        r.id, r.reason, r.explanation, r.status, r.review_notes, r.created_at, r.reviewed_at,
+        r.auction_id, b.amount as bid_amount, b.created_at as bid_created_at,
+        a.title as auction_title, a.current_price, a.end_time,
+        u1.username as bidder_username,
+        u2.username as reviewed_by_username
+      FROM bid_retractions r
+      JOIN bids b ON r.bid_id = b.id
+      JOIN auctions a ON r.auction_id = a.id
+      JOIN users u1 ON r.bidder_id = u1.id
+      LEFT JOIN users u2 ON r.reviewed_by = u2.id
+      ${whereClause}
+      ORDER BY r.created_at ASC
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `, queryParams);
+
+    // Get total count
+    const countResult = await query(`
+      SELECT COUNT(*) as total FROM bid_retractions r ${whereClause}
+    `, queryParams.slice(0, -2));
+
+    const retractions = result.rows.map(retraction => ({
+      id: retraction.id,
+      reason: retraction.reason,
+      reasonLabel: RETRACTION_REASONS[retraction.reason],
+      explanation: retraction.explanation,
+      status: retraction.status,
+      reviewNotes: retraction.review_notes,
+      createdAt: retraction.created_at,
+      reviewedAt: retraction.reviewed_at,
+      bid: {
+        amount: parseFloat(retraction.bid_amount),
+        createdAt: retraction.bid_created_at
+      },
+      bidder: {
+        username: retraction.bidder_username
+      },
+      auction: {
+        id: retraction.auction_id,
+        title: retraction.auction_title,
+        currentPrice: parseFloat(retraction.current_price),
+        endTime: retraction.end_time
+      },
+      reviewedBy: retraction.reviewed_by_username ? {
+        username: retraction.reviewed_by_username
+      } : null
+    }));
+
+    const totalCount = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      retractions,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCount,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get retractions error:', error);
+    res.status(500).json({ message: 'Failed to get retractions' });
+  }
+});
+
+// Approve or reject a bid retraction
+router.put('/retractions/:id/resolve', [
+  authenticateToken,
+  requireModerator,
+  body('action').isIn(['approve', 'reject']).withMessage('Invalid action'),
+  body('notes').optional().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const retractionId = parseInt(req.params.id);
+    const { action, notes } = req.body;
+
+    if (isNaN(retractionId)) {
+      return res.status(400).json({ message: 'Invalid retraction ID' });
+    }
+
+    const result = await reviewRetraction({ retractionId, moderator: req.user, action, notes });
+
+    res.status(result.status).json(result.payload);
+  } catch (error) {
+    console.error('Resolve retraction error:', error);
+    res.status(500).json({ message: 'Failed to resolve retraction' });
+  }
+});
+
+// Settle a disputed order: close it (the sale stands) or cancel it
+router.put('/orders/:id/resolve', [
+  authenticateToken,
+  requireModerator,
+  body('outcome').isIn(['closed', 'cancelled']).withMessage('Outcome must be closed or cancelled')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({ message: 'Invalid order ID' });
+    }
+
+    const result = await resolveDispute({ orderId, outcome: req.body.outcome });
+
+    res.status(result.status).json(result.payload);
+  } catch (error) {
+    console.error('Resolve order dispute error:', error);
+    res.status(500).json({ message: 'Failed to resolve dispute' });
   }
 });
 
 // Get system settings
 router.get('/settings', [authenticateToken, requireAdmin], async (req, res) => {
   try {
-    const result = await query('SELECT key, value, description FROM system_settings ORDER BY key');
-    
-    const settings = {};
-    result.rows.forEach(setting => {
-      settings[setting.key] = {
-        value: setting.value,
-        description: setting.description
-      };
-    });
+    const settings = await getAllSettings();
 
     res.json({ settings });
   } catch (error) {
@@ -365,27 +517,53 @@ router.put('/settings', [
 
     const { settings } = req.body;
 
-    // Start transaction
-    await query('BEGIN');
+    // Validate known settings before writing anything
+    for (const [key, value] of Object.entries(settings)) {
+      const definition = SETTINGS[key];
+      if (definition && definition.validate) {
+        const error = definition.validate(value);
+        if (error) {
+          return res.status(400).json({ message: `Invalid value for ${key}: ${error}` });
+        }
+      }
+    }
+
+    const client = await pool.connect();
 
     try {
+      // Start transaction
+      await client.query('BEGIN');
+
       for (const [key, value] of Object.entries(settings)) {
-        await query(
-          'UPDATE system_settings SET value = $1 WHERE key = $2',
-          [value, key]
-        );
+        const definition = SETTINGS[key];
+
+        if (definition) {
+          const normalized = definition.normalize ? definition.normalize(value) : value;
+          await client.query(`
+            INSERT INTO system_settings (key, value, description)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = CURRENT_TIMESTAMP
+          `, [key, JSON.stringify(normalized), definition.description]);
+        } else {
+          await client.query(
+            'UPDATE system_settings SET value = $1, updated_at = CURRENT_TIMESTAMP WHERE key = $2',
+            [JSON.stringify(value), key]
+          );
+        }
       }
 
-      await query('COMMIT');
-
-      // Clear relevant caches
-      await cache.del(CACHE_KEYS.SYSTEM_SETTINGS);
-
-      res.json({ message: 'Settings updated successfully' });
+      await client.query('COMMIT');
     } catch (error) {
-      await query('ROLLBACK');
+      await client.query('ROLLBACK');
       throw error;
+    } finally {
+      client.release();
     }
+
+    // Clear relevant caches
+    await cache.del(CACHE_KEYS.SYSTEM_SETTINGS);
+
+    res.json({ message: 'Settings updated successfully' });
   } catch (error) {
     console.error('Update settings error:', error);
     res.status(500).json({ message: 'Failed to update settings' });
@@ -589,7 +767,7 @@ router.get('/export/:type', [authenticateToken, requireAdmin], async (req, res)
             b.id, b.amount, b.created_at, u.username as bidder,
             a.title as auction_title
           FROM bids b
-          JOIN users u ON b.user_id = u.id
+          JOIN users u ON b.bidder_id = u.id
           JOIN auctions a ON b.auction_id = a.id
           WHERE b.created_at BETWEEN $1 AND $2
           ORDER BY b.created_at DESC
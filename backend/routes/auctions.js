@@ -1,58 +1,530 @@
 const express = require('express');
 const { body, validationResult, query: expressQuery } = require('express-validator');
-const multer = require('multer');
 const path = require('path');
-const fs = require('fs').promises;
-const { query } = require('../config/database');
-const { authenticateToken, requireSeller, optionalAuth } = require('../middleware/auth');
+const { pool, query } = require('../config/database');
+const { authenticateToken, requireSeller, optionalAuth, requireOwnershipOrModerator } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { createImageUpload } = require('../middleware/upload');
 const { cache, CACHE_KEYS } = require('../config/redis');
+const { notifyAuctionBidders, notifyWatchlistUsers, NOTIFICATION_TYPES } = require('../utils/notifications');
+const imageProcessor = require('../utils/imageProcessor');
+const { formatOffer, makeOffer } = require('../utils/secondChance');
+const { getAuctionLadder, isReserveMet, isBuyNowAvailable, lowerReserve } = require('../utils/bidEngine');
+const { getSetting } = require('../utils/settings');
+const realtime = require('../utils/realtime');
+const { validateLadder, normalizeLadder, getIncrement, getMinimumBid } = require('../utils/bidIncrements');
+const {
+  MAX_QUERY_LENGTH,
+  TITLE_HEADLINE_OPTIONS,
+  SNIPPET_HEADLINE_OPTIONS,
+  buildPrefixQuery,
+  highlightToHtml
+} = require('../utils/search');
+const { validateSpecs, getMissingSpecs, parseSpecFilters, specFilterSql } = require('../utils/categorySpecs');
+const { getUserRig, withCompatibility } = require('../utils/rigs');
+const { matchSavedSearches } = require('../utils/savedSearches');
+const { DEFAULT_PRICE_WINDOW_DAYS, MAX_PRICE_WINDOW_DAYS, getComparableSales } = require('../utils/marketPrices');
+const { recordInteraction, getRankingProfile, rankingSql, formatRanking } = require('../utils/feedRanking');
+const {
+  SNAPSHOT_SIZE, FEED_SORTS, orderBySql, positionSql, afterPositionSql,
+  encodeCursor, decodeCursor, saveSnapshot, loadSnapshot
+} = require('../utils/feedCursor');
+const {
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  formatLocation,
+  distanceSql,
+  getLocation,
+  validateLocationIds,
+  setAuctionCodLocations,
+  getAuctionCodLocations,
+  getCodLocationsByAuction
+} = require('../utils/locations');
 
 const router = express.Router();
 
-// Configure multer for image uploads
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../uploads/auctions');
-    try {
-      await fs.mkdir(uploadDir, { recursive: true });
-      cb(null, uploadDir);
-    } catch (error) {
-      cb(error);
-    }
+// How far ahead a seller may schedule an auction to start
+const MAX_SCHEDULE_AHEAD_DAYS = 30;
+
+// Auction images, served publicly from /uploads/auctions
+const upload = createImageUpload({
+  directory: path.join(__dirname, '../uploads/auctions'),
+  prefix: 'auction',
+  maxFiles: 10
+});
+
+// Remove files uploaded with a request that was rejected
+const discardUploads = async (req) => {
+  if (req.files && req.files.length > 0) {
+    await imageProcessor.deleteAuctionImages(req.files.map(file => `/uploads/auctions/${file.filename}`));
+  }
+};
+
+// Multipart forms send arrays and objects as JSON strings
+const parseJsonField = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+// COD locations are sent as an array of location IDs (see GET /api/locations)
+const codLocationsField = () => body('codLocations')
+  .optional()
+  .customSanitizer(parseJsonField)
+  .custom(value => Array.isArray(value) && value.every(id => Number.isInteger(Number(id)) && Number(id) > 0))
+  .withMessage('COD locations must be an array of location IDs')
+  .bail()
+  .customSanitizer(value => value.map(Number));
+
+// Spec values are sent as an object keyed by the category's spec keys (see GET /api/categories/:id)
+const specsField = () => body('specs')
+  .optional()
+  .customSanitizer(parseJsonField)
+  .custom(value => !!value && typeof value === 'object' && !Array.isArray(value))
+  .withMessage('Specs must be an object of spec values');
+
+// Look up the seller of the auction in req.params.id (for requireOwnershipOrModerator)
+const getAuctionOwnerId = async (req) => {
+  const result = await query('SELECT seller_id FROM auctions WHERE id = $1', [parseInt(req.params.id)]);
+  return result.rows.length > 0 ? result.rows[0].seller_id : null;
+};
+
+// Work out when a new listing starts. A future start time schedules it.
+const resolveStart = (startTime) => {
+  const requestedStart = startTime ? new Date(startTime) : null;
+  const isScheduled = !!requestedStart && requestedStart > new Date();
+  const startsAt = isScheduled ? requestedStart : new Date();
+
+  if (isScheduled && startsAt - Date.now() > MAX_SCHEDULE_AHEAD_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `Auctions can be scheduled at most ${MAX_SCHEDULE_AHEAD_DAYS} days ahead` };
+  }
+
+  return { isScheduled, startsAt };
+};
+
+// When an untouched draft is deleted by the scheduler
+const getDraftExpiry = (auction, expiryDays) => {
+  return new Date(new Date(auction.updated_at).getTime() + expiryDays * 24 * 60 * 60 * 1000);
+};
+
+// Fields a draft still needs before it can be published.
+// Required specs come from `category_spec_schema` when the row carries it.
+const getMissingDraftFields = (auction) => {
+  const missing = [];
+  if (!auction.title || auction.title.length < 5) missing.push('title');
+  if (!auction.description || auction.description.length < 20) missing.push('description');
+  if (!auction.category_id) missing.push('categoryId');
+  if (!auction.condition) missing.push('condition');
+  if (!auction.starting_price) missing.push('startingPrice');
+  if (!auction.duration_hours) missing.push('durationHours');
+  if (!auction.images || auction.images.length === 0) missing.push('images');
+  missing.push(...getMissingSpecs(auction.category_spec_schema, auction.specs).map(key => `specs.${key}`));
+  return missing;
+};
+
+// The reserve amount is only revealed to the seller and moderators.
+// Cached detail responses never contain it, so it is added per request.
+const withPrivateReserve = async (auction, user) => {
+  if (!user || (user.id !== auction.seller.id && !['admin', 'moderator'].includes(user.role))) {
+    return auction;
+  }
+
+  const result = await query('SELECT reserve_price FROM auctions WHERE id = $1', [auction.id]);
+  const reservePrice = result.rows[0]?.reserve_price;
+
+  return {
+    ...auction,
+    reservePrice: reservePrice ? parseFloat(reservePrice) : null
+  };
+};
+
+// The rig listings are checked against: `rigId`, or the viewer's primary rig.
+// Returns { rig } (null for guests and users without rigs) or { error }.
+const resolveViewerRig = async (user, rigId) => {
+  if (!user) {
+    return { rig: null };
+  }
+
+  const rig = await getUserRig(user.id, rigId ? parseInt(rigId) : null);
+  if (rigId && !rig) {
+    return { error: 'Rig not found' };
+  }
+
+  return { rig };
+};
+
+// Opening an auction counts towards the viewer's personalized feed (not for the seller)
+const recordView = async (user, details) => {
+  if (user && user.id !== details.seller.id) {
+    await recordInteraction(user.id, details.id, 'view');
+  }
+};
+
+// Per-viewer parts of a (possibly cached) details response
+const personalizeDetails = async (auction, user, rig) => {
+  const [details] = withCompatibility([await withPrivateReserve(auction, user)], rig);
+  return details;
+};
+
+// Shape an auction row as a feed card.
+// Shared by the feed and the draft preview so a preview matches the live card.
+const formatFeedCard = (auction, buyNowRemoval, codLocations = []) => ({
+  id: auction.id,
+  title: auction.title,
+  description: auction.description,
+  condition: auction.condition,
+  currentPrice: parseFloat(auction.current_price),
+  startingPrice: parseFloat(auction.starting_price),
+  buyNowPrice: auction.buy_now_price ? parseFloat(auction.buy_now_price) : null,
+  buyNowAvailable: isBuyNowAvailable(auction, buyNowRemoval),
+  shippingCost: parseFloat(auction.shipping_cost),
+  hasReserve: !!auction.reserve_price,
+  reserveMet: isReserveMet(auction),
+  images: auction.images,
+  endTime: auction.end_time,
+  bidCount: auction.bid_count,
+  viewCount: auction.view_count + 1, // Include the current view
+  watchCount: auction.watch_count,
+  status: auction.status,
+  createdAt: auction.created_at,
+  isFeatured: auction.is_featured,
+  isWatched: auction.is_watched,
+  timeRemaining: Math.max(0, auction.time_remaining),
+  specs: auction.specs || {},
+  codLocations,
+  distanceKm: auction.distance_km != null ? Math.round(parseFloat(auction.distance_km) * 10) / 10 : null,
+  seller: {
+    username: auction.seller_username,
+    reputation: auction.seller_reputation
   },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, `auction-${uniqueSuffix}${path.extname(file.originalname)}`);
+  category: {
+    name: auction.category_name,
+    icon: auction.category_icon
   }
 });
 
-const upload = multer({
-  storage,
-  limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB
-    files: 10 // Maximum 10 images per auction
+// Shape an auction row (with seller and category columns) as the details page.
+// Shared by the details route and the draft preview.
+const formatAuctionDetails = (auction, { ladder, buyNowRemoval, codLocations = [], bids = [], extensions = [], addenda = [] }) => ({
+  id: auction.id,
+  title: auction.title,
+  description: auction.description,
+  condition: auction.condition,
+  currentPrice: parseFloat(auction.current_price),
+  startingPrice: parseFloat(auction.starting_price),
+  hasReserve: !!auction.reserve_price,
+  reserveMet: isReserveMet(auction),
+  buyNowPrice: auction.buy_now_price ? parseFloat(auction.buy_now_price) : null,
+  buyNowAvailable: isBuyNowAvailable(auction, buyNowRemoval),
+  shippingCost: parseFloat(auction.shipping_cost),
+  bidIncrement: getIncrement(auction.current_price, ladder),
+  minimumBid: getMinimumBid(auction.current_price, ladder),
+  bidIncrements: ladder,
+  specs: auction.specs || {},
+  codLocations,
+  images: auction.images,
+  status: auction.status,
+  startTime: auction.start_time,
+  endTime: auction.end_time,
+  bidCount: auction.bid_count,
+  viewCount: auction.view_count + 1,
+  watchCount: auction.watch_count,
+  winnerId: auction.winner_id,
+  isFeatured: auction.is_featured,
+  isWatched: auction.is_watched,
+  timeRemaining: Math.max(0, auction.time_remaining),
+  createdAt: auction.created_at,
+  updatedAt: auction.updated_at,
+  seller: {
+    id: auction.seller_id,
+    username: auction.seller_username,
+    fullName: auction.seller_name,
+    reputation: auction.seller_reputation,
+    totalSales: auction.seller_total_sales
   },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|webp/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Only image files (JPEG, JPG, PNG, WebP) are allowed'));
-    }
-  }
+  category: {
+    id: auction.category_id,
+    name: auction.category_name,
+    icon: auction.category_icon,
+    specSchema: auction.category_spec_schema || []
+  },
+  recentBids: bids.map(bid => ({
+    amount: parseFloat(bid.amount),
+    createdAt: bid.created_at,
+    bidder: bid.bidder_username
+  })),
+  extensions: extensions.map(extension => ({
+    previousEndTime: extension.previous_end_time,
+    newEndTime: extension.new_end_time,
+    extendedSeconds: extension.extended_seconds,
+    triggeringBidAmount: extension.bid_amount ? parseFloat(extension.bid_amount) : null,
+    createdAt: extension.created_at
+  })),
+  addenda: addenda.map(addendum => ({
+    content: addendum.content,
+    createdAt: addendum.created_at
+  })),
+  relistedFrom: auction.relisted_from
 });
 
-// Get auction feed (TikTok-style vertical browsing)
-router.get('/feed', optionalAuth, [
-  expressQuery('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+// Search's default order; the feed sorts are in utils/feedCursor.js
+const RELEVANCE_ORDER_BY = 'rank DESC, a.end_time ASC';
+
+// Query filters shared by the feed and search
+const feedFilterValidators = () => [
   expressQuery('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
   expressQuery('category').optional().isInt().withMessage('Category must be a valid ID'),
   expressQuery('condition').optional().isIn(['new', 'like_new', 'good', 'fair', 'poor']).withMessage('Invalid condition'),
   expressQuery('maxPrice').optional().isFloat({ min: 0 }).withMessage('Max price must be positive'),
-  expressQuery('sort').optional().isIn(['newest', 'ending_soon', 'price_low', 'price_high', 'popular']).withMessage('Invalid sort option')
+  expressQuery('nearLocation').optional().custom(value => value === 'home' || /^[1-9]\d*$/.test(value)).withMessage('Near location must be a location ID or "home"'),
+  expressQuery('radiusKm').optional().isFloat({ min: 1, max: MAX_RADIUS_KM }).withMessage(`Radius must be 1-${MAX_RADIUS_KM} km`),
+  expressQuery('codOnly').optional().isBoolean().withMessage('codOnly must be true or false'),
+  expressQuery('rigId').optional().isInt({ min: 1 }).withMessage('Rig must be a rig ID')
+];
+
+// Resolve the `nearLocation` filter: a gazetteer location, or the buyer's home location.
+// Returns { near } (null when not filtering) or { error }.
+const resolveNearLocation = async (nearLocation, user) => {
+  if (!nearLocation) {
+    return { near: null };
+  }
+
+  let locationId = nearLocation;
+
+  if (nearLocation === 'home') {
+    const homeResult = user
+      ? await query('SELECT home_location_id FROM users WHERE id = $1', [user.id])
+      : { rows: [] };
+    locationId = homeResult.rows[0]?.home_location_id;
+
+    if (!locationId) {
+      return { error: 'Set a home location to find auctions near you' };
+    }
+  }
+
+  const near = await getLocation(parseInt(locationId));
+  return near ? { near } : { error: 'Unknown location' };
+};
+
+// Build the query behind the feed and search: live auctions with their seller, category and
+// watch state, narrowed by the feed filters (`spec.*` filters included, see
+// utils/categorySpecs.js). With `search` (a tsquery string) only matching auctions are kept
+// and each row gets its `rank` and highlighted title and snippet. With a `ranking` profile
+// (utils/feedRanking.js) each row gets its `ranking_score` and `ranking_signals`, and with
+// `cursorSort` its `feed_position` in that sort (utils/feedCursor.js).
+// Returns the query text (without ORDER BY) and its parameters.
+const buildFeedQuery = ({ userId, category, condition, maxPrice, near, radiusKm, codOnly, specFilters = [], search, ranking, cursorSort }) => {
+  const queryParams = [userId];
+  let paramIndex = 2;
+
+  // Only auctions with a COD location within the radius, with the distance to the nearest one
+  let nearJoin = '';
+  if (near) {
+    nearJoin = `
+      JOIN LATERAL (
+        SELECT MIN(${distanceSql('l', paramIndex, paramIndex + 1)}) as distance_km
+        FROM auction_cod_locations acl
+        JOIN locations l ON acl.location_id = l.id
+        WHERE acl.auction_id = a.id
+      ) near ON near.distance_km <= $${paramIndex + 2}
+    `;
+    queryParams.push(near.latitude, near.longitude, radiusKm);
+    paramIndex += 3;
+  }
+
+  let searchColumns = '';
+  let searchJoin = '';
+  if (search) {
+    searchJoin = `CROSS JOIN to_tsquery('english', $${paramIndex}) q`;
+    searchColumns = `,
+      ts_rank_cd(a.search_vector, q) as rank,
+      ts_headline('english', a.title, q, $${paramIndex + 1}) as title_highlight,
+      ts_headline('english', COALESCE(a.description, ''), q, $${paramIndex + 2}) as snippet`;
+    queryParams.push(search, TITLE_HEADLINE_OPTIONS, SNIPPET_HEADLINE_OPTIONS);
+    paramIndex += 3;
+  }
+
+  let rankingColumns = '';
+  let rankingJoin = '';
+  if (ranking) {
+    const { join, params } = rankingSql(ranking, paramIndex);
+    rankingJoin = join;
+    rankingColumns = `,
+      row_to_json(signals) as ranking_signals,
+      ranking.score as ranking_score`;
+    queryParams.push(...params);
+    paramIndex += params.length;
+  }
+
+  const positionColumn = cursorSort ? `,
+      ${positionSql(cursorSort)} as feed_position` : '';
+
+  let queryText = `
+    SELECT 
+      a.id, a.title, a.description, a.condition, a.current_price, 
+      a.starting_price, a.reserve_price, a.buy_now_price, a.shipping_cost, a.images,
+      a.end_time, a.bid_count, a.view_count, a.watch_count, a.status,
+      a.created_at, a.is_featured, a.specs,
+      u.username as seller_username, u.reputation_score as seller_reputation,
+      c.name as category_name, c.icon as category_icon,
+      CASE WHEN w.id IS NOT NULL THEN true ELSE false END as is_watched,
+      EXTRACT(EPOCH FROM (a.end_time - NOW())) as time_remaining,
+      ${near ? 'near.distance_km' : 'NULL'} as distance_km${searchColumns}${rankingColumns}${positionColumn}
+    FROM auctions a
+    JOIN users u ON a.seller_id = u.id
+    LEFT JOIN categories c ON a.category_id = c.id
+    LEFT JOIN watchlist w ON a.id = w.auction_id AND w.user_id = $1
+    ${nearJoin}
+    ${searchJoin}
+    ${rankingJoin}
+    WHERE a.status = 'active' AND a.end_time > NOW()
+  `;
+
+  if (search) {
+    queryText += ' AND a.search_vector @@ q';
+  }
+
+  if (category) {
+    queryText += ` AND a.category_id = $${paramIndex}`;
+    queryParams.push(category);
+    paramIndex++;
+  }
+
+  if (condition) {
+    queryText += ` AND a.condition = $${paramIndex}`;
+    queryParams.push(condition);
+    paramIndex++;
+  }
+
+  if (maxPrice) {
+    queryText += ` AND a.current_price <= $${paramIndex}`;
+    queryParams.push(maxPrice);
+    paramIndex++;
+  }
+
+  if (codOnly) {
+    queryText += ' AND EXISTS (SELECT 1 FROM auction_cod_locations acl WHERE acl.auction_id = a.id)';
+  }
+
+  for (const filter of specFilters) {
+    const { sql, param } = specFilterSql('a.specs', filter, paramIndex);
+    queryText += ` AND ${sql}`;
+    queryParams.push(param);
+    paramIndex++;
+  }
+
+  return { queryText, queryParams, paramIndex };
+};
+
+// Count a view for each listed auction and shape the rows as feed cards
+const toFeedCards = async (rows) => {
+  if (rows.length > 0) {
+    await query(
+      'UPDATE auctions SET view_count = view_count + 1 WHERE id = ANY($1)',
+      [rows.map(auction => auction.id)]
+    );
+  }
+
+  const buyNowRemoval = await getSetting('buy_now_removal');
+  const codLocations = await getCodLocationsByAuction(rows.map(auction => auction.id));
+
+  return rows.map(auction => formatFeedCard(auction, buyNowRemoval, codLocations.get(auction.id)));
+};
+
+// One page of feed rows after `position` (from the top when null), leaving out `excludeIds`
+const getFeedRows = async (filters, sort, { position = null, excludeIds = [], limit }) => {
+  let { queryText, queryParams, paramIndex } = buildFeedQuery({ ...filters, cursorSort: sort });
+
+  if (position) {
+    const { sql, params } = afterPositionSql(sort, position, paramIndex);
+    queryText += ` AND ${sql}`;
+    queryParams.push(...params);
+    paramIndex += params.length;
+  }
+
+  if (excludeIds.length > 0) {
+    queryText += ` AND a.id <> ALL($${paramIndex}::int[])`;
+    queryParams.push(excludeIds);
+    paramIndex++;
+  }
+
+  queryText += ` ORDER BY ${orderBySql(sort)} LIMIT $${paramIndex}`;
+  queryParams.push(limit);
+
+  const result = await query(queryText, queryParams);
+  return result.rows;
+};
+
+// Feed rows of the given auctions that are still live, as a map of auction ID -> row
+const getFeedRowsById = async (filters, sort, auctionIds) => {
+  const { queryText, queryParams, paramIndex } = buildFeedQuery({ ...filters, cursorSort: sort });
+
+  const result = await query(`${queryText} AND a.id = ANY($${paramIndex}::int[])`, [...queryParams, auctionIds]);
+  return new Map(result.rows.map(row => [row.id, row]));
+};
+
+// One page of the feed after the cursor `after` (from the top when null), leaving out
+// `excludeIds`. Sorts that are not stable read through a snapshot of the pass (see
+// utils/feedCursor.js). Returns { rows, snapshot, offset } for the next cursor.
+const getFeedPage = async (filters, sort, { after = null, excludeIds = [], limit }) => {
+  const keysetPage = async () => ({
+    rows: await getFeedRows(filters, sort, { position: after?.position, excludeIds, limit }),
+    snapshot: null,
+    offset: 0
+  });
+
+  if (FEED_SORTS[sort].stable) {
+    return keysetPage();
+  }
+
+  let snapshot = after?.snapshot || null;
+  let offset = after?.offset || 0;
+  let auctionIds;
+  let firstRows = null;
+
+  if (after) {
+    auctionIds = snapshot ? await loadSnapshot(snapshot) : null;
+    if (!auctionIds) {
+      return keysetPage();
+    }
+  } else {
+    // A new pass: its first page comes straight from the rows being frozen
+    const rows = await getFeedRows(filters, sort, { limit: SNAPSHOT_SIZE });
+    auctionIds = rows.map(row => row.id);
+    firstRows = new Map(rows.map(row => [row.id, row]));
+    snapshot = await saveSnapshot(auctionIds);
+
+    if (!snapshot) {
+      return { rows: rows.filter(row => !excludeIds.includes(row.id)).slice(0, limit), snapshot: null, offset: 0 };
+    }
+  }
+
+  const rows = [];
+  while (rows.length < limit && offset < auctionIds.length) {
+    const ids = auctionIds.slice(offset, offset + limit - rows.length);
+    offset += ids.length;
+
+    const found = firstRows || await getFeedRowsById(filters, sort, ids);
+    rows.push(...ids.filter(id => found.has(id) && !excludeIds.includes(id)).map(id => found.get(id)));
+  }
+
+  return { rows, snapshot, offset };
+};
+
+// Get auction feed (TikTok-style vertical browsing).
+// Pages follow `pagination.nextCursor` (see utils/feedCursor.js). With `loop=true` the feed
+// wraps around to the top instead of ending, and `pagination.loop` says where a new cycle begins.
+// `sort=for_you` ranks by the viewer's history (see utils/feedRanking.js) and falls back to
+// `popular` for guests; `explain=true` adds each auction's ranking signals.
+router.get('/feed', optionalAuth, [
+  ...feedFilterValidators(),
+  expressQuery('sort').optional().isIn(Object.keys(FEED_SORTS)).withMessage('Invalid sort option'),
+  expressQuery('cursor').optional().isString().isLength({ min: 1, max: 500 }).withMessage('Invalid cursor'),
+  expressQuery('loop').optional().isBoolean().withMessage('loop must be true or false'),
+  expressQuery('explain').optional().isBoolean().withMessage('explain must be true or false')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -63,227 +535,210 @@ router.get('/feed', optionalAuth, [
       });
     }
 
-    const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
-    const offset = (page - 1) * limit;
     const category = req.query.category;
     const condition = req.query.condition;
     const maxPrice = req.query.maxPrice;
-    const sort = req.query.sort || 'newest';
-
-    // Development mode - return mock data if database not available
-    if (process.env.NODE_ENV !== 'production') {
-      const mockAuctions = {
-        auctions: [
-          {
-            id: 1,
-            title: 'iPhone 14 Pro Max - Excellent Condition',
-            description: 'Barely used iPhone 14 Pro Max in pristine condition. Includes original box and accessories.',
-            condition: 'like_new',
-            currentPrice: 850.00,
-            startingPrice: 500.00,
-            buyNowPrice: 1000.00,
-            shippingCost: 15.00,
-            images: ['/uploads/auctions/iphone-1.jpg', '/uploads/auctions/iphone-2.jpg'],
-            endTime: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString(), // 2 days from now
-            bidCount: 12,
-            viewCount: 245,
-            watchCount: 18,
-            status: 'active',
-            createdAt: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(), // 1 day ago
-            isFeatured: true,
-            sellerUsername: 'techseller123',
-            sellerReputation: 4.8,
-            categoryName: 'Electronics',
-            categoryIcon: '📱',
-            isWatched: false,
-            timeRemaining: 172800 // 2 days in seconds
-          },
-          {
-            id: 2,
-            title: 'Vintage Nike Air Jordan 1 - Size 10',
-            description: 'Classic Air Jordan 1 in great condition. Perfect for collectors or everyday wear.',
-            condition: 'good',
-            currentPrice: 320.00,
-            startingPrice: 200.00,
-            buyNowPrice: 450.00,
-            shippingCost: 12.00,
-            images: ['/uploads/auctions/jordan-1.jpg'],
-            endTime: new Date(Date.now() + 5 * 24 * 60 * 60 * 1000).toISOString(), // 5 days from now
-            bidCount: 8,
-            viewCount: 156,
-            watchCount: 22,
-            status: 'active',
-            createdAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString(), // 3 days ago
-            isFeatured: false,
-            sellerUsername: 'sneakerhead',
-            sellerReputation: 4.6,
-            categoryName: 'Fashion',
-            categoryIcon: '👕',
-            isWatched: true,
-            timeRemaining: 432000 // 5 days in seconds
-          },
-          {
-            id: 3,
-            title: 'MacBook Pro 16" M2 - Like New',
-            description: 'Powerful MacBook Pro with M2 chip. Perfect for professionals and creatives.',
-            condition: 'like_new',
-            currentPrice: 1850.00,
-            startingPrice: 1500.00,
-            buyNowPrice: 2200.00,
-            shippingCost: 25.00,
-            images: ['/uploads/auctions/macbook-1.jpg', '/uploads/auctions/macbook-2.jpg'],
-            endTime: new Date(Date.now() + 1 * 24 * 60 * 60 * 1000).toISOString(), // 1 day from now
-            bidCount: 15,
-            viewCount: 389,
-            watchCount: 35,
-            status: 'active',
-            createdAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(), // 2 days ago
-            isFeatured: true,
-            sellerUsername: 'applefan',
-            sellerReputation: 4.9,
-            categoryName: 'Electronics',
-            categoryIcon: '📱',
-            isWatched: false,
-            timeRemaining: 86400 // 1 day in seconds
-          }
-        ],
-        pagination: {
-          currentPage: page,
-          totalPages: 1,
-          totalItems: 3,
-          hasNext: false,
-          hasPrev: false
-        }
-      };
-      return res.json(mockAuctions);
+    const requestedSort = req.query.sort || 'newest';
+    const sort = requestedSort === 'for_you' && !req.user ? 'popular' : requestedSort;
+    const nearLocation = req.query.nearLocation;
+    const radiusKm = parseFloat(req.query.radiusKm) || DEFAULT_RADIUS_KM;
+    const codOnly = req.query.codOnly === 'true';
+    const loop = req.query.loop === 'true';
+
+    const { filters: specFilters, error: specFilterError } = parseSpecFilters(req.query);
+    if (specFilterError) {
+      return res.status(400).json({ message: specFilterError });
+    }
+
+    // A cursor only continues the sort it came from
+    const after = req.query.cursor ? decodeCursor(req.query.cursor, sort) : null;
+    if (req.query.cursor && !after) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const { near, error: nearError } = await resolveNearLocation(nearLocation, req.user);
+    if (nearError) {
+      return res.status(400).json({ message: nearError });
+    }
+
+    const { rig, error: rigError } = await resolveViewerRig(req.user, req.query.rigId);
+    if (rigError) {
+      return res.status(404).json({ message: rigError });
     }
 
+    // The personalized feed is ranked per viewer, so it is never cached
+    const ranking = sort === 'for_you' ? await getRankingProfile(req.user.id) : null;
+
     // Check cache first
-    const cacheKey = `${CACHE_KEYS.AUCTION_FEED(page)}_${category || 'all'}_${condition || 'all'}_${maxPrice || 'all'}_${sort}`;
-    const cachedFeed = await cache.get(cacheKey);
+    const cacheKey = `${CACHE_KEYS.AUCTION_FEED(req.query.cursor || 1)}_${loop ? 'loop' : 'once'}_${limit}_${category || 'all'}_${condition || 'all'}_${maxPrice || 'all'}_${sort}_${near ? `${near.id}_${radiusKm}` : 'anywhere'}_${codOnly ? 'cod' : 'all'}_${specFilters.map(filter => `${filter.key}:${filter.op}:${filter.value}`).join(',') || 'anyspec'}`;
+    const cachedFeed = ranking ? null : await cache.get(cacheKey);
     
+    // Compatibility depends on the viewer's rig, so it is added after caching
     if (cachedFeed) {
-      return res.json(cachedFeed);
+      return res.json({ ...cachedFeed, auctions: withCompatibility(cachedFeed.auctions, rig) });
     }
 
-    // Build query
-    let queryText = `
-      SELECT 
-        a.id, a.title, a.description, a.condition, a.current_price, 
-        a.starting_price, a.buy_now_price, a.shipping_cost, a.images,
-        a.end_time, a.bid_count, a.view_count, a.watch_count, a.status,
-        a.created_at, a.is_featured,
-        u.username as seller_username, u.reputation_score as seller_reputation,
-        c.name as category_name, c.icon as category_icon,
-        CASE WHEN w.id IS NOT NULL THEN true ELSE false END as is_watched,
-        EXTRACT(EPOCH FROM (a.end_time - NOW())) as time_remaining
-      FROM auctions a
-      JOIN users u ON a.seller_id = u.id
-      LEFT JOIN categories c ON a.category_id = c.id
-      LEFT JOIN watchlist w ON a.id = w.auction_id AND w.user_id = $1
-      WHERE a.status = 'active' AND a.end_time > NOW()
-    `;
+    const feedFilters = {
+      userId: req.user?.id || null,
+      category,
+      condition,
+      maxPrice,
+      near,
+      radiusKm,
+      codOnly,
+      specFilters,
+      ranking
+    };
 
-    const queryParams = [req.user?.id || null];
-    let paramIndex = 2;
+    let page = await getFeedPage(feedFilters, sort, { after, limit });
+    let rows = page.rows;
+    let cycle = after?.cycle || 1;
+    let newCycleAt = null;
 
-    // Add filters
-    if (category) {
-      queryText += ` AND a.category_id = $${paramIndex}`;
-      queryParams.push(category);
-      paramIndex++;
+    // Past the end of the feed, loop mode carries on from the top within the same page.
+    // Auctions that ended meanwhile are no longer live and drop out; ones already on this
+    // page are not repeated.
+    if (loop && rows.length < limit) {
+      const wrapped = await getFeedPage(feedFilters, sort, {
+        excludeIds: rows.map(row => row.id),
+        limit: limit - rows.length
+      });
+
+      if (wrapped.rows.length > 0) {
+        newCycleAt = rows.length;
+        cycle += 1;
+        rows = rows.concat(wrapped.rows);
+        page = wrapped;
+      }
     }
 
-    if (condition) {
-      queryText += ` AND a.condition = $${paramIndex}`;
-      queryParams.push(condition);
-      paramIndex++;
+    const cards = await toFeedCards(rows);
+
+    const auctions = ranking && req.query.explain === 'true'
+      ? cards.map((card, index) => ({ ...card, ranking: formatRanking(rows[index]) }))
+      : cards;
+
+    // A looping feed only ends when it is empty
+    const hasMore = loop ? rows.length > 0 : rows.length === limit;
+
+    const response = {
+      auctions,
+      sort,
+      near: near ? { location: formatLocation(near), radiusKm } : null,
+      pagination: {
+        limit,
+        nextCursor: hasMore
+          ? encodeCursor({
+            sort,
+            position: rows[rows.length - 1].feed_position,
+            cycle,
+            snapshot: page.snapshot,
+            offset: page.offset
+          })
+          : null,
+        hasMore,
+        loop: loop ? { cycle, newCycleAt } : null
+      }
+    };
+
+    // Cache for 2 minutes
+    if (!ranking) {
+      await cache.set(cacheKey, response, 120);
     }
 
-    if (maxPrice) {
-      queryText += ` AND a.current_price <= $${paramIndex}`;
-      queryParams.push(maxPrice);
-      paramIndex++;
+    res.json({ ...response, auctions: withCompatibility(auctions, rig) });
+  } catch (error) {
+    console.error('Get auction feed error:', error);
+    res.status(500).json({ message: 'Failed to get auction feed' });
+  }
+});
+
+// Search live auctions by keyword (full-text over title and description).
+// Every word matches as a prefix; takes the feed's filters and sorts (except `for_you`), plus
+// `relevance` (the default), and pages with `page`. Matches are wrapped in <mark> in `highlight`.
+router.get('/search', optionalAuth, [
+  expressQuery('q').trim().isLength({ min: 1, max: MAX_QUERY_LENGTH }).withMessage(`Search must be 1-${MAX_QUERY_LENGTH} characters`),
+  expressQuery('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  ...feedFilterValidators(),
+  expressQuery('sort').optional().isIn([...Object.keys(FEED_SORTS).filter(sort => sort !== 'for_you'), 'relevance']).withMessage('Invalid sort option')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
 
-    // Add sorting
-    switch (sort) {
-      case 'ending_soon':
-        queryText += ' ORDER BY a.end_time ASC';
-        break;
-      case 'price_low':
-        queryText += ' ORDER BY a.current_price ASC';
-        break;
-      case 'price_high':
-        queryText += ' ORDER BY a.current_price DESC';
-        break;
-      case 'popular':
-        queryText += ' ORDER BY (a.bid_count + a.watch_count) DESC, a.created_at DESC';
-        break;
-      default: // newest
-        queryText += ' ORDER BY a.is_featured DESC, a.created_at DESC';
-    }
-
-    queryText += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-    queryParams.push(limit, offset);
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+    const sort = req.query.sort || 'relevance';
+    const search = buildPrefixQuery(req.query.q);
 
-    const result = await query(queryText, queryParams);
+    if (!search) {
+      return res.status(400).json({ message: 'Search must contain at least one letter or number' });
+    }
 
-    // Update view counts for returned auctions
-    if (result.rows.length > 0) {
-      const auctionIds = result.rows.map(auction => auction.id);
-      await query(
-        'UPDATE auctions SET view_count = view_count + 1 WHERE id = ANY($1)',
-        [auctionIds]
-      );
+    const { filters: specFilters, error: specFilterError } = parseSpecFilters(req.query);
+    if (specFilterError) {
+      return res.status(400).json({ message: specFilterError });
     }
 
-    const auctions = result.rows.map(auction => ({
-      id: auction.id,
-      title: auction.title,
-      description: auction.description,
-      condition: auction.condition,
-      currentPrice: parseFloat(auction.current_price),
-      startingPrice: parseFloat(auction.starting_price),
-      buyNowPrice: auction.buy_now_price ? parseFloat(auction.buy_now_price) : null,
-      shippingCost: parseFloat(auction.shipping_cost),
-      images: auction.images,
-      endTime: auction.end_time,
-      bidCount: auction.bid_count,
-      viewCount: auction.view_count + 1, // Include the current view
-      watchCount: auction.watch_count,
-      status: auction.status,
-      createdAt: auction.created_at,
-      isFeatured: auction.is_featured,
-      isWatched: auction.is_watched,
-      timeRemaining: Math.max(0, auction.time_remaining),
-      seller: {
-        username: auction.seller_username,
-        reputation: auction.seller_reputation
-      },
-      category: {
-        name: auction.category_name,
-        icon: auction.category_icon
+    const { rig, error: rigError } = await resolveViewerRig(req.user, req.query.rigId);
+    if (rigError) {
+      return res.status(404).json({ message: rigError });
+    }
+
+    const { near, error: nearError } = await resolveNearLocation(req.query.nearLocation, req.user);
+    if (nearError) {
+      return res.status(400).json({ message: nearError });
+    }
+
+    const radiusKm = parseFloat(req.query.radiusKm) || DEFAULT_RADIUS_KM;
+
+    let { queryText, queryParams, paramIndex } = buildFeedQuery({
+      userId: req.user?.id || null,
+      category: req.query.category,
+      condition: req.query.condition,
+      maxPrice: req.query.maxPrice,
+      near,
+      radiusKm,
+      codOnly: req.query.codOnly === 'true',
+      specFilters,
+      search
+    });
+
+    queryText += ` ORDER BY ${sort === 'relevance' ? RELEVANCE_ORDER_BY : orderBySql(sort)} LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+    queryParams.push(limit, offset);
+
+    const result = await query(queryText, queryParams);
+    const cards = await toFeedCards(result.rows);
+
+    const auctions = cards.map((card, index) => ({
+      ...card,
+      relevance: parseFloat(result.rows[index].rank),
+      highlight: {
+        title: highlightToHtml(result.rows[index].title_highlight),
+        snippet: highlightToHtml(result.rows[index].snippet)
       }
     }));
 
-    const response = {
-      auctions,
+    res.json({
+      query: req.query.q,
+      auctions: withCompatibility(auctions, rig),
+      near: near ? { location: formatLocation(near), radiusKm } : null,
       pagination: {
         page,
         limit,
         hasMore: auctions.length === limit
       }
-    };
-
-    // Cache for 2 minutes
-    await cache.set(cacheKey, response, 120);
-
-    res.json(response);
+    });
   } catch (error) {
-    console.error('Get auction feed error:', error);
-    res.status(500).json({ message: 'Failed to get auction feed' });
+    console.error('Search auctions error:', error);
+    res.status(500).json({ message: 'Failed to search auctions' });
   }
 });
 
@@ -296,6 +751,15 @@ router.get('/:id', optionalAuth, async (req, res) => {
       return res.status(400).json({ message: 'Invalid auction ID' });
     }
 
+    if (req.query.rigId !== undefined && !/^[1-9]\d*$/.test(req.query.rigId)) {
+      return res.status(400).json({ message: 'Invalid rig ID' });
+    }
+
+    const { rig, error: rigError } = await resolveViewerRig(req.user, req.query.rigId);
+    if (rigError) {
+      return res.status(404).json({ message: rigError });
+    }
+
     // Check cache first
     const cacheKey = CACHE_KEYS.AUCTION_DETAILS(auctionId);
     const cachedAuction = await cache.get(cacheKey);
@@ -304,16 +768,17 @@ router.get('/:id', optionalAuth, async (req, res) => {
       // Update view count
       await query('UPDATE auctions SET view_count = view_count + 1 WHERE id = $1', [auctionId]);
       cachedAuction.viewCount += 1;
-      return res.json(cachedAuction);
+      await recordView(req.user, cachedAuction);
+      return res.json(await personalizeDetails(cachedAuction, req.user, rig));
     }
 
     const result = await query(`
       SELECT 
         a.*, 
         u.username as seller_username, u.full_name as seller_name,
-        u.reputation_score as seller_reputation, u.whatsapp as seller_whatsapp,
+        u.reputation_score as seller_reputation,
         u.total_sales as seller_total_sales,
-        c.name as category_name, c.icon as category_icon,
+        c.name as category_name, c.icon as category_icon, c.spec_schema as category_spec_schema,
         CASE WHEN w.id IS NOT NULL THEN true ELSE false END as is_watched,
         EXTRACT(EPOCH FROM (a.end_time - NOW())) as time_remaining
       FROM auctions a
@@ -329,67 +794,58 @@ router.get('/:id', optionalAuth, async (req, res) => {
 
     const auction = result.rows[0];
 
+    // Drafts are hidden; sellers see them through the preview
+    if (auction.status === 'draft') {
+      return res.status(404).json({ message: 'Auction not found' });
+    }
+
     // Get recent bids
     const bidsResult = await query(`
       SELECT b.amount, b.created_at, u.username as bidder_username
       FROM bids b
       JOIN users u ON b.bidder_id = u.id
-      WHERE b.auction_id = $1
+      WHERE b.auction_id = $1 AND b.is_retracted = false
       ORDER BY b.created_at DESC
       LIMIT 10
     `, [auctionId]);
 
+    // Get anti-snipe extension history
+    const extensionsResult = await query(`
+      SELECT e.previous_end_time, e.new_end_time, e.extended_seconds, e.created_at,
+        b.amount as bid_amount
+      FROM auction_extensions e
+      LEFT JOIN bids b ON e.bid_id = b.id
+      WHERE e.auction_id = $1
+      ORDER BY e.created_at ASC
+    `, [auctionId]);
+
+    // Get addenda (description changes made after bidding started)
+    const addendaResult = await query(`
+      SELECT content, created_at
+      FROM auction_addenda
+      WHERE auction_id = $1
+      ORDER BY created_at ASC
+    `, [auctionId]);
+
     // Update view count
     await query('UPDATE auctions SET view_count = view_count + 1 WHERE id = $1', [auctionId]);
 
-    const response = {
-      id: auction.id,
-      title: auction.title,
-      description: auction.description,
-      condition: auction.condition,
-      currentPrice: parseFloat(auction.current_price),
-      startingPrice: parseFloat(auction.starting_price),
-      reservePrice: auction.reserve_price ? parseFloat(auction.reserve_price) : null,
-      buyNowPrice: auction.buy_now_price ? parseFloat(auction.buy_now_price) : null,
-      shippingCost: parseFloat(auction.shipping_cost),
-      codLocations: auction.cod_locations,
-      images: auction.images,
-      status: auction.status,
-      startTime: auction.start_time,
-      endTime: auction.end_time,
-      bidCount: auction.bid_count,
-      viewCount: auction.view_count + 1,
-      watchCount: auction.watch_count,
-      winnerId: auction.winner_id,
-      isFeatured: auction.is_featured,
-      isWatched: auction.is_watched,
-      timeRemaining: Math.max(0, auction.time_remaining),
-      createdAt: auction.created_at,
-      updatedAt: auction.updated_at,
-      seller: {
-        id: auction.seller_id,
-        username: auction.seller_username,
-        fullName: auction.seller_name,
-        reputation: auction.seller_reputation,
-        whatsapp: auction.seller_whatsapp,
-        totalSales: auction.seller_total_sales
-      },
-      category: {
-        id: auction.category_id,
-        name: auction.category_name,
-        icon: auction.category_icon
-      },
-      recentBids: bidsResult.rows.map(bid => ({
-        amount: parseFloat(bid.amount),
-        createdAt: bid.created_at,
-        bidder: bid.bidder_username
-      }))
-    };
+    const ladder = await getAuctionLadder(auction);
+
+    const response = formatAuctionDetails(auction, {
+      ladder,
+      buyNowRemoval: await getSetting('buy_now_removal'),
+      codLocations: await getAuctionCodLocations(auctionId),
+      bids: bidsResult.rows,
+      extensions: extensionsResult.rows,
+      addenda: addendaResult.rows
+    });
 
     // Cache for 1 minute
     await cache.set(cacheKey, response, 60);
 
-    res.json(response);
+    await recordView(req.user, response);
+    res.json(await personalizeDetails(response, req.user, rig));
   } catch (error) {
     console.error('Get auction details error:', error);
     res.status(500).json({ message: 'Failed to get auction details' });
@@ -401,6 +857,7 @@ router.post('/', [
   authenticateToken,
   requireSeller,
   upload.array('images', 10),
+  idempotent('create_auction', { onReject: discardUploads }),
   body('title').isLength({ min: 5, max: 200 }).withMessage('Title must be 5-200 characters'),
   body('description').isLength({ min: 20, max: 2000 }).withMessage('Description must be 20-2000 characters'),
   body('categoryId').isInt().withMessage('Valid category ID is required'),
@@ -410,11 +867,19 @@ router.post('/', [
   body('buyNowPrice').optional().isFloat({ min: 0.01 }).withMessage('Buy now price must be positive'),
   body('shippingCost').optional().isFloat({ min: 0 }).withMessage('Shipping cost must be non-negative'),
   body('durationHours').isInt({ min: 1, max: 168 }).withMessage('Duration must be 1-168 hours'),
-  body('codLocations').optional().isArray().withMessage('COD locations must be an array')
+  body('startTime').optional().isISO8601().withMessage('Start time must be a valid date'),
+  codLocationsField(),
+  specsField(),
+  body('bidIncrements').optional().customSanitizer(parseJsonField).custom(value => {
+    const error = validateLadder(value);
+    if (error) throw new Error(error);
+    return true;
+  })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      await discardUploads(req);
       return res.status(400).json({
         message: 'Validation failed',
         errors: errors.array()
@@ -422,57 +887,92 @@ router.post('/', [
     }
 
     if (!req.files || req.files.length === 0) {
+      await discardUploads(req);
       return res.status(400).json({ message: 'At least one image is required' });
     }
 
     const {
       title, description, categoryId, condition, startingPrice,
       reservePrice, buyNowPrice, shippingCost = 0, durationHours,
-      codLocations = []
+      codLocations = [], specs = {}, bidIncrements, startTime
     } = req.body;
 
     // Validate reserve and buy now prices
     if (reservePrice && parseFloat(reservePrice) < parseFloat(startingPrice)) {
+      await discardUploads(req);
       return res.status(400).json({ message: 'Reserve price must be greater than starting price' });
     }
 
     if (buyNowPrice && parseFloat(buyNowPrice) < parseFloat(startingPrice)) {
+      await discardUploads(req);
       return res.status(400).json({ message: 'Buy now price must be greater than starting price' });
     }
 
     // Check if category exists
-    const categoryResult = await query('SELECT id FROM categories WHERE id = $1 AND is_active = true', [categoryId]);
+    const categoryResult = await query('SELECT id, spec_schema FROM categories WHERE id = $1 AND is_active = true', [categoryId]);
     if (categoryResult.rows.length === 0) {
+      await discardUploads(req);
       return res.status(400).json({ message: 'Invalid category' });
     }
 
+    const { specs: validSpecs, error: specsError } = validateSpecs(categoryResult.rows[0].spec_schema, specs);
+    if (specsError) {
+      await discardUploads(req);
+      return res.status(400).json({ message: specsError });
+    }
+
+    const locationError = await validateLocationIds(codLocations);
+    if (locationError) {
+      await discardUploads(req);
+      return res.status(400).json({ message: locationError });
+    }
+
     // Process uploaded images
     const imagePaths = req.files.map(file => `/uploads/auctions/${file.filename}`);
 
+    // A future start time schedules the auction; the scheduler activates it
+    const { isScheduled, startsAt, error: startError } = resolveStart(startTime);
+    if (startError) {
+      await discardUploads(req);
+      return res.status(400).json({ message: startError });
+    }
+
     // Calculate end time
-    const endTime = new Date(Date.now() + parseInt(durationHours) * 60 * 60 * 1000);
+    const endTime = new Date(startsAt.getTime() + parseInt(durationHours) * 60 * 60 * 1000);
 
     // Create auction
     const result = await query(`
       INSERT INTO auctions (
         seller_id, category_id, title, description, condition,
         starting_price, current_price, reserve_price, buy_now_price,
-        shipping_cost, cod_locations, images, end_time
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        shipping_cost, images, start_time, end_time, duration_hours,
+        bid_increments, specs, status
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
       RETURNING *
     `, [
       req.user.id, categoryId, title, description, condition,
       startingPrice, startingPrice, reservePrice, buyNowPrice,
-      shippingCost, codLocations, imagePaths, endTime
+      shippingCost, imagePaths, startsAt, endTime, durationHours,
+      bidIncrements ? JSON.stringify(normalizeLadder(bidIncrements)) : null,
+      JSON.stringify(validSpecs),
+      isScheduled ? 'scheduled' : 'active'
     ]);
 
     const auction = result.rows[0];
 
+    await setAuctionCodLocations(pool, auction.id, codLocations);
+
     // Clear cache
     await cache.del(CACHE_KEYS.AUCTION_FEED(1));
 
+    // Alert matching saved searches in the background; scheduled auctions are
+    // matched by the scheduler when they go live
+    if (!isScheduled) {
+      matchSavedSearches(auction.id);
+    }
+
     res.status(201).json({
-      message: 'Auction created successfully',
+      message: isScheduled ? 'Auction scheduled successfully' : 'Auction created successfully',
       auction: {
         id: auction.id,
         title: auction.title,
@@ -483,8 +983,11 @@ router.post('/', [
         reservePrice: auction.reserve_price ? parseFloat(auction.reserve_price) : null,
         buyNowPrice: auction.buy_now_price ? parseFloat(auction.buy_now_price) : null,
         shippingCost: parseFloat(auction.shipping_cost),
-        codLocations: auction.cod_locations,
+        codLocations: await getAuctionCodLocations(auction.id),
+        specs: auction.specs,
+        bidIncrements: auction.bid_increments,
         images: auction.images,
+        startTime: auction.start_time,
         endTime: auction.end_time,
         status: auction.status,
         createdAt: auction.created_at
@@ -496,44 +999,1156 @@ router.post('/', [
   }
 });
 
-// Get user's auctions (seller's listings)
-router.get('/user/:userId', optionalAuth, [
-  expressQuery('status').optional().isIn(['draft', 'active', 'ended', 'cancelled', 'sold']).withMessage('Invalid status'),
-  expressQuery('page').optional().isInt({ min: 1 }).withMessage('Page must be positive'),
-  expressQuery('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be 1-50')
+// Fields a seller may still change once bidding has started
+const FIELDS_EDITABLE_WITH_BIDS = ['description', 'images'];
+
+// Save a draft listing.
+// Every field is optional so sellers can save as they go; the listing stays hidden
+// until it is published and drafts untouched for `draft_expiry_days` are deleted.
+router.post('/drafts', [
+  authenticateToken,
+  requireSeller,
+  upload.array('images', 10),
+  idempotent('create_draft', { onReject: discardUploads }),
+  body('title').optional().isLength({ min: 5, max: 200 }).withMessage('Title must be 5-200 characters'),
+  body('description').optional().isLength({ max: 2000 }).withMessage('Description must be less than 2000 characters'),
+  body('categoryId').optional().isInt().withMessage('Valid category ID is required'),
+  body('condition').optional().isIn(['new', 'like_new', 'good', 'fair', 'poor']).withMessage('Valid condition is required'),
+  body('startingPrice').optional().isFloat({ min: 0.01 }).withMessage('Starting price must be positive'),
+  body('reservePrice').optional().isFloat({ min: 0.01 }).withMessage('Reserve price must be positive'),
+  body('buyNowPrice').optional().isFloat({ min: 0.01 }).withMessage('Buy now price must be positive'),
+  body('shippingCost').optional().isFloat({ min: 0 }).withMessage('Shipping cost must be non-negative'),
+  body('durationHours').optional().isInt({ min: 1, max: 168 }).withMessage('Duration must be 1-168 hours'),
+  codLocationsField(),
+  specsField(),
+  body('bidIncrements').optional().customSanitizer(parseJsonField).custom(value => {
+    const error = validateLadder(value);
+    if (error) throw new Error(error);
+    return true;
+  })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      await discardUploads(req);
       return res.status(400).json({
         message: 'Validation failed',
         errors: errors.array()
       });
     }
 
-    const userId = parseInt(req.params.userId);
-    const status = req.query.status;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const offset = (page - 1) * limit;
+    const {
+      title, description, categoryId, condition, startingPrice,
+      reservePrice, buyNowPrice, shippingCost = 0, durationHours,
+      codLocations = [], specs, bidIncrements
+    } = req.body;
 
-    if (isNaN(userId)) {
-      return res.status(400).json({ message: 'Invalid user ID' });
+    // Specs belong to a category's schema, so they can only be saved with one
+    let specSchema = [];
+    if (categoryId !== undefined) {
+      const categoryResult = await query('SELECT id, spec_schema FROM categories WHERE id = $1 AND is_active = true', [categoryId]);
+      if (categoryResult.rows.length === 0) {
+        await discardUploads(req);
+        return res.status(400).json({ message: 'Invalid category' });
+      }
+      specSchema = categoryResult.rows[0].spec_schema;
     }
 
-    let queryText = `
-      SELECT 
-        a.id, a.title, a.condition, a.current_price, a.starting_price,
-        a.images, a.end_time, a.bid_count, a.status, a.created_at,
-        c.name as category_name
-      FROM auctions a
-      LEFT JOIN categories c ON a.category_id = c.id
-      WHERE a.seller_id = $1
-    `;
+    const { specs: validSpecs, error: specsError } = validateSpecs(specSchema, specs || {}, { partial: true });
+    if (specsError) {
+      await discardUploads(req);
+      return res.status(400).json({ message: specsError });
+    }
+
+    const locationError = await validateLocationIds(codLocations);
+    if (locationError) {
+      await discardUploads(req);
+      return res.status(400).json({ message: locationError });
+    }
+
+    const imagePaths = (req.files || []).map(file => `/uploads/auctions/${file.filename}`);
+
+    const result = await query(`
+      INSERT INTO auctions (
+        seller_id, category_id, title, description, condition,
+        starting_price, current_price, reserve_price, buy_now_price,
+        shipping_cost, images, start_time, end_time, duration_hours,
+        bid_increments, specs, status
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NULL, NULL, $12, $13, $14, 'draft')
+      RETURNING *
+    `, [
+      req.user.id, categoryId || null, title || null, description || null, condition || null,
+      startingPrice || null, startingPrice || null, reservePrice || null, buyNowPrice || null,
+      shippingCost, imagePaths, durationHours || null,
+      bidIncrements ? JSON.stringify(normalizeLadder(bidIncrements)) : null,
+      JSON.stringify(validSpecs)
+    ]);
+
+    const auction = { ...result.rows[0], category_spec_schema: specSchema };
+
+    await setAuctionCodLocations(pool, auction.id, codLocations);
+
+    res.status(201).json({
+      message: 'Draft saved successfully',
+      auction: {
+        id: auction.id,
+        title: auction.title,
+        description: auction.description,
+        condition: auction.condition,
+        startingPrice: auction.starting_price ? parseFloat(auction.starting_price) : null,
+        reservePrice: auction.reserve_price ? parseFloat(auction.reserve_price) : null,
+        buyNowPrice: auction.buy_now_price ? parseFloat(auction.buy_now_price) : null,
+        shippingCost: parseFloat(auction.shipping_cost),
+        codLocations: await getAuctionCodLocations(auction.id),
+        specs: auction.specs,
+        bidIncrements: auction.bid_increments,
+        durationHours: auction.duration_hours,
+        images: auction.images,
+        status: auction.status,
+        missingFields: getMissingDraftFields(auction),
+        expiresAt: getDraftExpiry(auction, await getSetting('draft_expiry_days')),
+        createdAt: auction.created_at
+      }
+    });
+  } catch (error) {
+    await discardUploads(req);
+    console.error('Create draft error:', error);
+    res.status(500).json({ message: 'Failed to save draft' });
+  }
+});
+
+// Preview a listing as buyers will see it: the feed card and the details page.
+// For drafts the countdown is shown as if the listing were published now.
+router.get('/:id/preview', [
+  authenticateToken,
+  requireOwnershipOrModerator(getAuctionOwnerId)
+], async (req, res) => {
+  try {
+    const auctionId = parseInt(req.params.id);
+
+    if (isNaN(auctionId)) {
+      return res.status(400).json({ message: 'Invalid auction ID' });
+    }
+
+    const result = await query(`
+      SELECT 
+        a.*, 
+        u.username as seller_username, u.full_name as seller_name,
+        u.reputation_score as seller_reputation,
+        u.total_sales as seller_total_sales,
+        c.name as category_name, c.icon as category_icon, c.spec_schema as category_spec_schema,
+        false as is_watched,
+        EXTRACT(EPOCH FROM (a.end_time - NOW())) as time_remaining
+      FROM auctions a
+      JOIN users u ON a.seller_id = u.id
+      LEFT JOIN categories c ON a.category_id = c.id
+      WHERE a.id = $1
+    `, [auctionId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Auction not found' });
+    }
+
+    const auction = result.rows[0];
+    const isDraft = auction.status === 'draft';
+
+    if (isDraft) {
+      const now = new Date();
+      const durationSeconds = (auction.duration_hours || 0) * 60 * 60;
+      auction.start_time = now;
+      auction.end_time = new Date(now.getTime() + durationSeconds * 1000);
+      auction.time_remaining = durationSeconds;
+      auction.current_price = auction.starting_price;
+    }
+
+    const buyNowRemoval = await getSetting('buy_now_removal');
+    const ladder = await getAuctionLadder(auction);
+    const codLocations = await getAuctionCodLocations(auctionId);
+
+    res.json({
+      status: auction.status,
+      missingFields: isDraft ? getMissingDraftFields(auction) : [],
+      expiresAt: isDraft ? getDraftExpiry(auction, await getSetting('draft_expiry_days')) : null,
+      card: formatFeedCard(auction, buyNowRemoval, codLocations),
+      details: formatAuctionDetails(auction, { ladder, buyNowRemoval, codLocations })
+    });
+  } catch (error) {
+    console.error('Preview auction error:', error);
+    res.status(500).json({ message: 'Failed to preview auction' });
+  }
+});
+
+// Publish a draft. The countdown starts now, or at `startTime` to schedule it.
+router.post('/:id/publish', [
+  authenticateToken,
+  requireOwnershipOrModerator(getAuctionOwnerId),
+  body('startTime').optional().isISO8601().withMessage('Start time must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const auctionId = parseInt(req.params.id);
+
+    if (isNaN(auctionId)) {
+      return res.status(400).json({ message: 'Invalid auction ID' });
+    }
+
+    const auctionResult = await query(`
+      SELECT a.*, c.spec_schema as category_spec_schema
+      FROM auctions a
+      LEFT JOIN categories c ON a.category_id = c.id
+      WHERE a.id = $1
+    `, [auctionId]);
+
+    if (auctionResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Auction not found' });
+    }
+
+    const draft = auctionResult.rows[0];
+
+    if (draft.status !== 'draft') {
+      return res.status(400).json({ message: 'Only drafts can be published' });
+    }
+
+    const missingFields = getMissingDraftFields(draft);
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        message: 'Draft is incomplete',
+        missingFields
+      });
+    }
+
+    // Validate reserve and buy now prices
+    if (draft.reserve_price && parseFloat(draft.reserve_price) < parseFloat(draft.starting_price)) {
+      return res.status(400).json({ message: 'Reserve price must be greater than starting price' });
+    }
+
+    if (draft.buy_now_price && parseFloat(draft.buy_now_price) < parseFloat(draft.starting_price)) {
+      return res.status(400).json({ message: 'Buy now price must be greater than starting price' });
+    }
+
+    // The category may have been disabled since the draft was saved
+    const categoryResult = await query('SELECT id FROM categories WHERE id = $1 AND is_active = true', [draft.category_id]);
+    if (categoryResult.rows.length === 0) {
+      return res.status(400).json({ message: 'Invalid category' });
+    }
+
+    // ...or its spec schema changed
+    const { error: specsError } = validateSpecs(draft.category_spec_schema, draft.specs);
+    if (specsError) {
+      return res.status(400).json({ message: specsError });
+    }
+
+    const { isScheduled, startsAt, error: startError } = resolveStart(req.body.startTime);
+    if (startError) {
+      return res.status(400).json({ message: startError });
+    }
+
+    const endTime = new Date(startsAt.getTime() + draft.duration_hours * 60 * 60 * 1000);
+
+    // Guard on status so a double submit publishes only once. created_at is reset
+    // so the listing sorts as new in the feed.
+    const result = await query(`
+      UPDATE auctions
+      SET status = $1, start_time = $2, end_time = $3, current_price = starting_price,
+          created_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4 AND status = 'draft'
+      RETURNING *
+    `, [isScheduled ? 'scheduled' : 'active', startsAt, endTime, auctionId]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ message: 'Draft was already published' });
+    }
+
+    const auction = result.rows[0];
+
+    // Clear cache
+    await cache.del(CACHE_KEYS.AUCTION_FEED(1));
+
+    // Alert matching saved searches in the background; scheduled auctions are
+    // matched by the scheduler when they go live
+    if (!isScheduled) {
+      matchSavedSearches(auction.id);
+    }
+
+    res.json({
+      message: isScheduled ? 'Auction scheduled successfully' : 'Auction published successfully',
+      auction: {
+        id: auction.id,
+        title: auction.title,
+        status: auction.status,
+        startTime: auction.start_time,
+        endTime: auction.end_time
+      }
+    });
+  } catch (error) {
+    console.error('Publish draft error:', error);
+    res.status(500).json({ message: 'Failed to publish draft' });
+  }
+});
+
+// Update an auction.
+// Before the first bid every listing field can change. Once bids exist only the
+// description and images can, and each change is recorded as a dated addendum so
+// bidders can see what was changed after they bid.
+router.put('/:id', [
+  authenticateToken,
+  requireOwnershipOrModerator(getAuctionOwnerId),
+  upload.array('images', 10),
+  body('title').optional().isLength({ min: 5, max: 200 }).withMessage('Title must be 5-200 characters'),
+  body('description').optional().isLength({ max: 2000 }).withMessage('Description must be less than 2000 characters'),
+  body('categoryId').optional().isInt().withMessage('Valid category ID is required'),
+  body('condition').optional().isIn(['new', 'like_new', 'good', 'fair', 'poor']).withMessage('Valid condition is required'),
+  body('startingPrice').optional().isFloat({ min: 0.01 }).withMessage('Starting price must be positive'),
+  body('reservePrice').optional({ values: 'null' }).isFloat({ min: 0.01 }).withMessage('Reserve price must be positive'),
+  body('buyNowPrice').optional({ values: 'null' }).isFloat({ min: 0.01 }).withMessage('Buy now price must be positive'),
+  body('shippingCost').optional().isFloat({ min: 0 }).withMessage('Shipping cost must be non-negative'),
+  body('durationHours').optional().isInt({ min: 1, max: 168 }).withMessage('Duration must be 1-168 hours'),
+  codLocationsField(),
+  specsField(),
+  body('removeImages').optional().customSanitizer(parseJsonField).isArray().withMessage('removeImages must be an array of image URLs'),
+  body('bidIncrements').optional({ values: 'null' }).customSanitizer(parseJsonField).custom(value => {
+    const error = validateLadder(value);
+    if (error) throw new Error(error);
+    return true;
+  })
+], async (req, res) => {
+  const client = await pool.connect();
+  const newImages = (req.files || []).map(file => `/uploads/auctions/${file.filename}`);
+  let committed = false;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await discardUploads(req);
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const auctionId = parseInt(req.params.id);
+
+    if (isNaN(auctionId)) {
+      await discardUploads(req);
+      return res.status(400).json({ message: 'Invalid auction ID' });
+    }
+
+    const {
+      title, description, categoryId, condition, startingPrice, reservePrice,
+      buyNowPrice, shippingCost, durationHours, codLocations, specs, bidIncrements, removeImages = []
+    } = req.body;
+
+    if (codLocations !== undefined) {
+      const locationError = await validateLocationIds(codLocations);
+      if (locationError) {
+        await discardUploads(req);
+        return res.status(400).json({ message: locationError });
+      }
+    }
+
+    await client.query('BEGIN');
+
+    // Lock the auction so a first bid cannot slip in while the edit is checked
+    const auctionResult = await client.query('SELECT * FROM auctions WHERE id = $1 FOR UPDATE', [auctionId]);
+
+    if (auctionResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      await discardUploads(req);
+      return res.status(404).json({ message: 'Auction not found' });
+    }
+
+    const auction = auctionResult.rows[0];
+
+    if (!['draft', 'scheduled', 'active'].includes(auction.status)) {
+      await client.query('ROLLBACK');
+      await discardUploads(req);
+      return res.status(400).json({ message: `Cannot edit an auction that is ${auction.status}` });
+    }
+
+    const hasBids = auction.bid_count > 0;
+    const isDraft = auction.status === 'draft';
+    const fields = {
+      title, description, categoryId, condition, startingPrice, reservePrice,
+      buyNowPrice, shippingCost, durationHours, codLocations, specs, bidIncrements
+    };
+    const changed = Object.keys(fields).filter(field => fields[field] !== undefined);
+    const imagesChanged = newImages.length > 0 || removeImages.length > 0;
+
+    if (changed.length === 0 && !imagesChanged) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'No fields to update' });
+    }
+
+    if (hasBids) {
+      const locked = changed.filter(field => !FIELDS_EDITABLE_WITH_BIDS.includes(field));
+      if (locked.length > 0) {
+        await client.query('ROLLBACK');
+        await discardUploads(req);
+        return res.status(400).json({
+          message: 'Only the description and images can be changed once bidding has started',
+          lockedFields: locked
+        });
+      }
+    }
+
+    // Drafts can hold a partial description; published listings need the full one
+    if (description !== undefined && description.length < 20 && !isDraft) {
+      await client.query('ROLLBACK');
+      await discardUploads(req);
+      return res.status(400).json({ message: 'Description must be 20-2000 characters' });
+    }
+
+    // The countdown of a published auction is already running
+    if (durationHours !== undefined && !isDraft) {
+      await client.query('ROLLBACK');
+      await discardUploads(req);
+      return res.status(400).json({ message: 'Duration can only be changed on drafts' });
+    }
+
+    // Work out the resulting image list
+    const images = auction.images.filter(image => !removeImages.includes(image)).concat(newImages);
+
+    // Drafts may be saved without images; they are required to publish
+    if (images.length === 0 && !isDraft) {
+      await client.query('ROLLBACK');
+      await discardUploads(req);
+      return res.status(400).json({ message: 'At least one image is required' });
+    }
+
+    if (images.length > 10) {
+      await client.query('ROLLBACK');
+      await discardUploads(req);
+      return res.status(400).json({ message: 'An auction can have at most 10 images' });
+    }
+
+    // Validate reserve and buy now prices against the resulting starting price
+    const nextStartingPrice = startingPrice !== undefined ? parseFloat(startingPrice) : parseFloat(auction.starting_price || 0);
+    const nextReserve = reservePrice !== undefined ? reservePrice : auction.reserve_price;
+    const nextBuyNow = buyNowPrice !== undefined ? buyNowPrice : auction.buy_now_price;
+
+    if (nextReserve && parseFloat(nextReserve) < nextStartingPrice) {
+      await client.query('ROLLBACK');
+      await discardUploads(req);
+      return res.status(400).json({ message: 'Reserve price must be greater than starting price' });
+    }
+
+    if (nextBuyNow && parseFloat(nextBuyNow) < nextStartingPrice) {
+      await client.query('ROLLBACK');
+      await discardUploads(req);
+      return res.status(400).json({ message: 'Buy now price must be greater than starting price' });
+    }
+
+    // Specs are checked against the schema of the category the listing ends up in
+    let nextSpecs;
+    if (categoryId !== undefined || specs !== undefined) {
+      const nextCategoryId = categoryId !== undefined ? categoryId : auction.category_id;
+      const categoryResult = nextCategoryId
+        ? await client.query('SELECT id, spec_schema FROM categories WHERE id = $1 AND is_active = true', [nextCategoryId])
+        : { rows: [] };
+      if (categoryResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        await discardUploads(req);
+        return res.status(400).json({ message: 'Invalid category' });
+      }
+
+      const specResult = validateSpecs(
+        categoryResult.rows[0].spec_schema,
+        specs !== undefined ? specs : auction.specs,
+        { partial: isDraft }
+      );
+      if (specResult.error) {
+        await client.query('ROLLBACK');
+        await discardUploads(req);
+        return res.status(400).json({ message: specResult.error });
+      }
+      nextSpecs = specResult.specs;
+    }
+
+    // Build update query
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    const setField = (column, value) => {
+      updates.push(`${column} = $${paramIndex}`);
+      values.push(value);
+      paramIndex++;
+    };
+
+    if (imagesChanged) setField('images', images);
+
+    const addenda = [];
+
+    if (hasBids) {
+      // The original description stands; the change is published as an addendum
+      if (description !== undefined && description !== auction.description) {
+        addenda.push(description);
+      }
+      if (imagesChanged) {
+        const parts = [];
+        if (newImages.length > 0) parts.push(`${newImages.length} added`);
+        if (removeImages.length > 0) parts.push(`${auction.images.length + newImages.length - images.length} removed`);
+        addenda.push(`Photos updated (${parts.join(', ')}).`);
+      }
+    } else {
+      if (title !== undefined) setField('title', title);
+      if (description !== undefined) setField('description', description);
+      if (categoryId !== undefined) setField('category_id', categoryId);
+      if (condition !== undefined) setField('condition', condition);
+      if (startingPrice !== undefined) {
+        setField('starting_price', startingPrice);
+        setField('current_price', startingPrice);
+      }
+      if (reservePrice !== undefined) setField('reserve_price', reservePrice);
+      if (buyNowPrice !== undefined) setField('buy_now_price', buyNowPrice);
+      if (shippingCost !== undefined) setField('shipping_cost', shippingCost);
+      if (durationHours !== undefined) setField('duration_hours', durationHours);
+      if (nextSpecs !== undefined) setField('specs', JSON.stringify(nextSpecs));
+      if (bidIncrements !== undefined) {
+        setField('bid_increments', bidIncrements ? JSON.stringify(normalizeLadder(bidIncrements)) : null);
+      }
+    }
+
+    let updated = auction;
+
+    const codLocationsChanged = !hasBids && codLocations !== undefined;
+    if (codLocationsChanged) {
+      await setAuctionCodLocations(client, auctionId, codLocations);
+    }
+
+    if (updates.length > 0 || codLocationsChanged) {
+      values.push(auctionId);
+      const updateResult = await client.query(
+        `UPDATE auctions SET ${[...updates, 'updated_at = CURRENT_TIMESTAMP'].join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+        values
+      );
+      updated = updateResult.rows[0];
+    }
+
+    for (const content of addenda) {
+      await client.query(
+        'INSERT INTO auction_addenda (auction_id, author_id, content) VALUES ($1, $2, $3)',
+        [auctionId, req.user.id, content]
+      );
+    }
+
+    await client.query('COMMIT');
+    committed = true;
+
+    // Remove files for images that are no longer used
+    const removed = auction.images.filter(image => !images.includes(image));
+    if (removed.length > 0) {
+      await imageProcessor.deleteAuctionImages(removed);
+    }
+
+    // Clear cache
+    await cache.del(CACHE_KEYS.AUCTION_DETAILS(auctionId));
+    await cache.del(CACHE_KEYS.AUCTION_FEED(1));
+
+    realtime.emitToAuction(auctionId, realtime.EVENTS.AUCTION_UPDATED, {
+      auctionId,
+      title: updated.title,
+      images: updated.images,
+      addenda: addenda.length
+    });
+
+    if (addenda.length > 0) {
+      await notifyAuctionBidders(
+        auctionId,
+        null,
+        NOTIFICATION_TYPES.AUCTION_UPDATED,
+        'Listing updated',
+        `The seller updated "${auction.title}" after you bid. Check the addenda before bidding again.`,
+        { auctionId, auctionTitle: auction.title }
+      );
+    }
+
+    res.json({
+      message: 'Auction updated successfully',
+      auction: {
+        id: updated.id,
+        title: updated.title,
+        description: updated.description,
+        condition: updated.condition,
+        startingPrice: parseFloat(updated.starting_price),
+        currentPrice: parseFloat(updated.current_price),
+        reservePrice: updated.reserve_price ? parseFloat(updated.reserve_price) : null,
+        buyNowPrice: updated.buy_now_price ? parseFloat(updated.buy_now_price) : null,
+        shippingCost: parseFloat(updated.shipping_cost),
+        codLocations: await getAuctionCodLocations(auctionId),
+        specs: updated.specs,
+        bidIncrements: updated.bid_increments,
+        durationHours: updated.duration_hours,
+        images: updated.images,
+        status: updated.status,
+        updatedAt: updated.updated_at
+      },
+      addenda
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (!committed) {
+      await discardUploads(req);
+    }
+    console.error('Update auction error:', error);
+    res.status(500).json({ message: 'Failed to update auction' });
+  } finally {
+    client.release();
+  }
+});
+
+// Delete an auction.
+// Without bids the listing and its images are removed. Once bids exist the auction
+// is cancelled instead, so bidders keep a record of what they bid on.
+router.delete('/:id', [
+  authenticateToken,
+  requireOwnershipOrModerator(getAuctionOwnerId),
+  body('reason').optional().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const auctionId = parseInt(req.params.id);
+
+    if (isNaN(auctionId)) {
+      return res.status(400).json({ message: 'Invalid auction ID' });
+    }
+
+    await client.query('BEGIN');
+
+    const auctionResult = await client.query('SELECT * FROM auctions WHERE id = $1 FOR UPDATE', [auctionId]);
+
+    if (auctionResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Auction not found' });
+    }
+
+    const auction = auctionResult.rows[0];
+
+    if (!['draft', 'scheduled', 'active'].includes(auction.status)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: `Cannot delete an auction that is ${auction.status}` });
+    }
+
+    if (auction.bid_count > 0) {
+      await client.query(`
+        UPDATE auctions
+        SET status = 'cancelled', end_time = NOW(), updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [auctionId]);
+
+      await client.query(`
+        UPDATE proxy_bids SET is_active = false, updated_at = CURRENT_TIMESTAMP
+        WHERE auction_id = $1 AND is_active = true
+      `, [auctionId]);
+
+      await client.query('COMMIT');
+
+      await cache.del(CACHE_KEYS.AUCTION_DETAILS(auctionId));
+      await cache.del(CACHE_KEYS.AUCTION_FEED(1));
+      await cache.del(CACHE_KEYS.AUCTION_BIDS(auctionId));
+
+      realtime.emitAuctionEnded(auctionId, {
+        auctionId,
+        status: 'cancelled',
+        winnerId: null,
+        finalPrice: null,
+        type: 'cancelled'
+      });
+
+      await notifyAuctionBidders(
+        auctionId,
+        null,
+        NOTIFICATION_TYPES.AUCTION_CANCELLED,
+        'Auction cancelled',
+        `The auction for "${auction.title}" was cancelled.${req.body.reason ? ` Reason: ${req.body.reason}` : ''}`,
+        { auctionId, auctionTitle: auction.title, reason: req.body.reason || null }
+      );
+
+      return res.json({ message: 'Auction cancelled because it has bids', status: 'cancelled' });
+    }
+
+    await client.query('DELETE FROM auctions WHERE id = $1', [auctionId]);
+    await client.query('COMMIT');
+
+    await imageProcessor.deleteAuctionImages(auction.images);
+
+    await cache.del(CACHE_KEYS.AUCTION_DETAILS(auctionId));
+    await cache.del(CACHE_KEYS.AUCTION_FEED(1));
+
+    res.json({ message: 'Auction deleted successfully', status: 'deleted' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Delete auction error:', error);
+    res.status(500).json({ message: 'Failed to delete auction' });
+  } finally {
+    client.release();
+  }
+});
+
+// Relist an auction that ended without a sale.
+// The listing is copied (with its own copies of the images) and linked to the
+// original; prices, duration and start time can be changed.
+router.post('/:id/relist', [
+  authenticateToken,
+  requireOwnershipOrModerator(getAuctionOwnerId),
+  body('startingPrice').optional().isFloat({ min: 0.01 }).withMessage('Starting price must be positive'),
+  body('reservePrice').optional({ values: 'null' }).isFloat({ min: 0.01 }).withMessage('Reserve price must be positive'),
+  body('buyNowPrice').optional({ values: 'null' }).isFloat({ min: 0.01 }).withMessage('Buy now price must be positive'),
+  body('durationHours').optional().isInt({ min: 1, max: 168 }).withMessage('Duration must be 1-168 hours'),
+  body('startTime').optional().isISO8601().withMessage('Start time must be a valid date')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const auctionId = parseInt(req.params.id);
+
+  if (isNaN(auctionId)) {
+    return res.status(400).json({ message: 'Invalid auction ID' });
+  }
+
+  const client = await pool.connect();
+  let images = [];
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the original so concurrent relists of it run one at a time
+    const originalResult = await client.query('SELECT * FROM auctions WHERE id = $1 FOR UPDATE', [auctionId]);
+
+    if (originalResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Auction not found' });
+    }
+
+    const original = originalResult.rows[0];
+
+    if (original.status !== 'ended') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Only auctions that ended without a sale can be relisted' });
+    }
+
+    const relistResult = await client.query('SELECT id FROM auctions WHERE relisted_from = $1', [auctionId]);
+    if (relistResult.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        message: 'Auction has already been relisted',
+        relistId: relistResult.rows[0].id
+      });
+    }
+
+    const categoryResult = await client.query('SELECT id FROM categories WHERE id = $1 AND is_active = true', [original.category_id]);
+    if (categoryResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'The category of this auction is no longer available' });
+    }
+
+    const { startingPrice, reservePrice, buyNowPrice, startTime } = req.body;
+
+    const nextStartingPrice = startingPrice !== undefined ? startingPrice : original.starting_price;
+    const nextReserve = reservePrice !== undefined ? reservePrice : original.reserve_price;
+    const nextBuyNow = buyNowPrice !== undefined ? buyNowPrice : original.buy_now_price;
+
+    // Validate reserve and buy now prices
+    if (nextReserve && parseFloat(nextReserve) < parseFloat(nextStartingPrice)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Reserve price must be greater than starting price' });
+    }
+
+    if (nextBuyNow && parseFloat(nextBuyNow) < parseFloat(nextStartingPrice)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Buy now price must be greater than starting price' });
+    }
+
+    const { isScheduled, startsAt, error: startError } = resolveStart(startTime);
+    if (startError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: startError });
+    }
+
+    // Auctions created before durations were stored fall back to their actual length
+    const originalDuration = original.duration_hours || Math.min(168, Math.max(1, Math.round(
+      (new Date(original.end_time) - new Date(original.start_time)) / (60 * 60 * 1000)
+    )));
+    const durationHours = req.body.durationHours !== undefined ? parseInt(req.body.durationHours) : originalDuration;
+    const endTime = new Date(startsAt.getTime() + durationHours * 60 * 60 * 1000);
+
+    images = await imageProcessor.copyAuctionImages(original.images);
+
+    const result = await client.query(`
+      INSERT INTO auctions (
+        seller_id, category_id, title, description, condition,
+        starting_price, current_price, reserve_price, buy_now_price,
+        shipping_cost, images, start_time, end_time, duration_hours,
+        bid_increments, specs, relisted_from, status
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+      RETURNING *
+    `, [
+      original.seller_id, original.category_id, original.title, original.description, original.condition,
+      nextStartingPrice, nextStartingPrice, nextReserve, nextBuyNow,
+      original.shipping_cost, images, startsAt, endTime, durationHours,
+      original.bid_increments ? JSON.stringify(original.bid_increments) : null,
+      JSON.stringify(original.specs || {}),
+      auctionId, isScheduled ? 'scheduled' : 'active'
+    ]);
+
+    const auction = result.rows[0];
+
+    // Keep the same COD locations
+    await client.query(`
+      INSERT INTO auction_cod_locations (auction_id, location_id)
+      SELECT $1, location_id FROM auction_cod_locations WHERE auction_id = $2
+    `, [auction.id, auctionId]);
+
+    await client.query('COMMIT');
+
+    // Clear cache
+    await cache.del(CACHE_KEYS.AUCTION_FEED(1));
+
+    // Alert matching saved searches in the background; scheduled auctions are
+    // matched by the scheduler when they go live
+    if (!isScheduled) {
+      matchSavedSearches(auction.id);
+    }
+
+    res.status(201).json({
+      message: isScheduled ? 'Auction relisted and scheduled successfully' : 'Auction relisted successfully',
+      auction: {
+        id: auction.id,
+        title: auction.title,
+        startingPrice: parseFloat(auction.starting_price),
+        currentPrice: parseFloat(auction.current_price),
+        reservePrice: auction.reserve_price ? parseFloat(auction.reserve_price) : null,
+        buyNowPrice: auction.buy_now_price ? parseFloat(auction.buy_now_price) : null,
+        images: auction.images,
+        startTime: auction.start_time,
+        endTime: auction.end_time,
+        durationHours: auction.duration_hours,
+        status: auction.status,
+        relistedFrom: auction.relisted_from,
+        createdAt: auction.created_at
+      }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    // The copied images belong to a relist that was never created
+    await imageProcessor.deleteAuctionImages(images);
+    console.error('Relist auction error:', error);
+    res.status(500).json({ message: 'Failed to relist auction' });
+  } finally {
+    client.release();
+  }
+});
+
+// Offer a sold auction to the runner-up after the winner did not pay
+router.post('/:id/second-chance', [
+  authenticateToken,
+  requireOwnershipOrModerator(getAuctionOwnerId)
+], async (req, res) => {
+  try {
+    const auctionId = parseInt(req.params.id);
+
+    if (isNaN(auctionId)) {
+      return res.status(400).json({ message: 'Invalid auction ID' });
+    }
+
+    const result = await makeOffer({ auctionId });
+
+    res.status(result.status).json(result.payload);
+  } catch (error) {
+    console.error('Second chance offer error:', error);
+    res.status(500).json({ message: 'Failed to make second chance offer' });
+  }
+});
+
+// Recent sales of similar items (same category, similar title): median, min, max, the price
+// trend and the closest matches. Drafts are only open to their seller, who can use this to
+// pick a starting price.
+router.get('/:id/comparables', optionalAuth, [
+  expressQuery('days').optional().isInt({ min: 7, max: MAX_PRICE_WINDOW_DAYS }).withMessage(`Days must be 7-${MAX_PRICE_WINDOW_DAYS}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const auctionId = parseInt(req.params.id);
+
+    if (isNaN(auctionId)) {
+      return res.status(400).json({ message: 'Invalid auction ID' });
+    }
+
+    const auctionResult = await query(
+      'SELECT id, seller_id, title, category_id, status FROM auctions WHERE id = $1',
+      [auctionId]
+    );
+    const auction = auctionResult.rows[0];
+
+    const canSeeDraft = req.user && (req.user.id === auction?.seller_id || ['admin', 'moderator'].includes(req.user.role));
+    if (!auction || (auction.status === 'draft' && !canSeeDraft)) {
+      return res.status(404).json({ message: 'Auction not found' });
+    }
+
+    if (!auction.title || !auction.category_id) {
+      return res.status(400).json({ message: 'Add a title and category to find comparable sales' });
+    }
+
+    const days = parseInt(req.query.days) || DEFAULT_PRICE_WINDOW_DAYS;
+    const { sales, ...summary } = await getComparableSales(auctionId, days);
+
+    res.json({
+      auctionId,
+      ...summary,
+      comparables: sales
+    });
+  } catch (error) {
+    console.error('Get comparable sales error:', error);
+    res.status(500).json({ message: 'Failed to get comparable sales' });
+  }
+});
+
+// Skip an auction in the feed. Skipped auctions sink in the viewer's personalized feed and
+// count against their category.
+router.post('/:id/skip', authenticateToken, async (req, res) => {
+  try {
+    const auctionId = parseInt(req.params.id);
+
+    if (isNaN(auctionId)) {
+      return res.status(400).json({ message: 'Invalid auction ID' });
+    }
+
+    const auctionResult = await query(
+      'SELECT id FROM auctions WHERE id = $1 AND status <> \'draft\'',
+      [auctionId]
+    );
+
+    if (auctionResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Auction not found' });
+    }
+
+    await recordInteraction(req.user.id, auctionId, 'skip');
+
+    res.json({ message: 'Auction skipped' });
+  } catch (error) {
+    console.error('Skip auction error:', error);
+    res.status(500).json({ message: 'Failed to skip auction' });
+  }
+});
+
+// List the second chance offers made on an auction
+router.get('/:id/second-chance', [
+  authenticateToken,
+  requireOwnershipOrModerator(getAuctionOwnerId)
+], async (req, res) => {
+  try {
+    const auctionId = parseInt(req.params.id);
+
+    if (isNaN(auctionId)) {
+      return res.status(400).json({ message: 'Invalid auction ID' });
+    }
+
+    const result = await query(`
+      SELECT o.*, u.username as bidder_username
+      FROM second_chance_offers o
+      JOIN users u ON o.bidder_id = u.id
+      WHERE o.auction_id = $1
+      ORDER BY o.created_at DESC
+    `, [auctionId]);
+
+    res.json({
+      offers: result.rows.map(offer => ({
+        ...formatOffer(offer),
+        bidderUsername: offer.bidder_username
+      }))
+    });
+  } catch (error) {
+    console.error('Get second chance offers error:', error);
+    res.status(500).json({ message: 'Failed to get second chance offers' });
+  }
+});
+
+// Lower (or remove) the reserve price on a live auction.
+// Raising the reserve mid-auction is not allowed.
+router.put('/:id/reserve', [
+  authenticateToken,
+  requireOwnershipOrModerator(getAuctionOwnerId),
+  body('reservePrice').optional({ values: 'null' }).isFloat({ min: 0.01 }).withMessage('Reserve price must be positive')
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const auctionId = parseInt(req.params.id);
+    const newReserve = req.body.reservePrice != null ? parseFloat(req.body.reservePrice) : null;
+
+    if (isNaN(auctionId)) {
+      return res.status(400).json({ message: 'Invalid auction ID' });
+    }
+
+    await client.query('BEGIN');
+
+    const auctionResult = await client.query(`
+      SELECT * FROM auctions
+      WHERE id = $1 AND status = 'active' AND end_time > NOW()
+      FOR UPDATE
+    `, [auctionId]);
+
+    if (auctionResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Auction not found or has ended' });
+    }
+
+    const auction = auctionResult.rows[0];
+
+    if (!auction.reserve_price) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Auction has no reserve price' });
+    }
+
+    if (newReserve !== null && newReserve >= parseFloat(auction.reserve_price)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Reserve price can only be lowered on a live auction' });
+    }
+
+    // If the leader's active maximum now covers the reserve, their proxy bids up to it
+    const { auction: updated, autoBid } = await lowerReserve(client, auction, newReserve);
+
+    await client.query('COMMIT');
+
+    const reserveMet = isReserveMet(updated);
+    // Under the reserve_met removal rule, meeting the lowered reserve withdraws Buy It Now
+    const buyNowAvailable = isBuyNowAvailable(updated, await getSetting('buy_now_removal'));
+
+    // Clear cache
+    await cache.del(CACHE_KEYS.AUCTION_DETAILS(auctionId));
+    await cache.del(CACHE_KEYS.AUCTION_FEED(1));
+    await cache.del(CACHE_KEYS.AUCTION_BIDS(auctionId));
+
+    // Emit real-time update (without the reserve amount)
+    realtime.emitToAuction(auctionId, realtime.EVENTS.RESERVE_LOWERED, {
+      auctionId,
+      hasReserve: !!updated.reserve_price,
+      reserveMet,
+      buyNowAvailable,
+      currentPrice: parseFloat(updated.current_price),
+      bidCount: updated.bid_count,
+      autoBid: autoBid ? {
+        bidId: autoBid.id,
+        bidderId: autoBid.bidder_id,
+        amount: parseFloat(autoBid.amount)
+      } : null
+    });
+
+    await notifyWatchlistUsers(
+      auctionId,
+      NOTIFICATION_TYPES.RESERVE_LOWERED,
+      'Reserve price lowered',
+      `The seller lowered the reserve price on "${auction.title}".`,
+      {
+        auctionId,
+        auctionTitle: auction.title,
+        reserveMet,
+        currentPrice: parseFloat(updated.current_price)
+      }
+    );
+
+    res.json({
+      message: 'Reserve price updated successfully',
+      auction: {
+        id: updated.id,
+        reservePrice: updated.reserve_price ? parseFloat(updated.reserve_price) : null,
+        currentPrice: parseFloat(updated.current_price),
+        bidCount: updated.bid_count,
+        reserveMet,
+        buyNowAvailable
+      }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Update reserve price error:', error);
+    res.status(500).json({ message: 'Failed to update reserve price' });
+  } finally {
+    client.release();
+  }
+});
+
+// Get user's auctions (seller's listings)
+router.get('/user/:userId', optionalAuth, [
+  expressQuery('status').optional().isIn(['draft', 'scheduled', 'active', 'ended', 'cancelled', 'sold']).withMessage('Invalid status'),
+  expressQuery('page').optional().isInt({ min: 1 }).withMessage('Page must be positive'),
+  expressQuery('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be 1-50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = parseInt(req.params.userId);
+    const status = req.query.status;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    if (isNaN(userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    // Drafts are only listed for their seller and moderators
+    const canSeeDrafts = !!req.user && (req.user.id === userId || ['admin', 'moderator'].includes(req.user.role));
+
+    let queryText = `
+      SELECT 
+        a.id, a.title, a.condition, a.current_price, a.starting_price,
+        a.images, a.start_time, a.end_time, a.duration_hours, a.bid_count, a.status,
+        a.created_at, a.updated_at,
+        c.name as category_name
+      FROM auctions a
+      LEFT JOIN categories c ON a.category_id = c.id
+      WHERE a.seller_id = $1
+    `;
 
     const queryParams = [userId];
     let paramIndex = 2;
 
+    if (!canSeeDrafts) {
+      queryText += ` AND a.status <> 'draft'`;
+    }
+
     if (status) {
       queryText += ` AND a.status = $${paramIndex}`;
       queryParams.push(status);
@@ -544,18 +2159,22 @@ router.get('/user/:userId', optionalAuth, [
     queryParams.push(limit, offset);
 
     const result = await query(queryText, queryParams);
+    const draftExpiryDays = canSeeDrafts ? await getSetting('draft_expiry_days') : null;
 
     const auctions = result.rows.map(auction => ({
       id: auction.id,
       title: auction.title,
       condition: auction.condition,
-      currentPrice: parseFloat(auction.current_price),
-      startingPrice: parseFloat(auction.starting_price),
+      currentPrice: auction.current_price ? parseFloat(auction.current_price) : null,
+      startingPrice: auction.starting_price ? parseFloat(auction.starting_price) : null,
       images: auction.images,
+      startTime: auction.start_time,
       endTime: auction.end_time,
+      durationHours: auction.duration_hours,
       bidCount: auction.bid_count,
       status: auction.status,
       createdAt: auction.created_at,
+      expiresAt: auction.status === 'draft' ? getDraftExpiry(auction, draftExpiryDays) : null,
       category: auction.category_name
     }));
 
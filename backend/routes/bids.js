@@ -2,248 +2,278 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { query } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
-const { cache, CACHE_KEYS, CHANNELS } = require('../config/redis');
+const { idempotent } = require('../middleware/idempotency');
+const { cache, CACHE_KEYS } = require('../config/redis');
+const { placeBid, buyNow } = require('../utils/bidEngine');
+const { RETRACTION_REASONS, requestRetraction } = require('../utils/bidRetractions');
+const { formatOffer, respondToOffer } = require('../utils/secondChance');
 
 const router = express.Router();
 
 // Place a bid on an auction
 router.post('/', [
   authenticateToken,
+  idempotent('bid'),
   body('auctionId').isInt().withMessage('Valid auction ID is required'),
   body('amount').isFloat({ min: 0.01 }).withMessage('Bid amount must be positive'),
-  body('maxBid').optional().isFloat({ min: 0.01 }).withMessage('Max bid must be positive')
+  body('maxBid').optional().isFloat({ min: 0.01 }).withMessage('Max bid must be positive'),
+  body('confirmBuyNow').optional().isBoolean().withMessage('confirmBuyNow must be a boolean').toBoolean()
 ], async (req, res) => {
-  const client = await require('../config/database').pool.connect();
-  
   try {
-    await client.query('BEGIN');
-    
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      await client.query('ROLLBACK');
       return res.status(400).json({
         message: 'Validation failed',
         errors: errors.array()
       });
     }
 
-    const { auctionId, amount, maxBid } = req.body;
-    const bidderId = req.user.id;
+    const { auctionId, amount, maxBid, confirmBuyNow } = req.body;
 
-    // Get auction details with row-level locking
-    const auctionResult = await client.query(`
-      SELECT a.*, u.username as seller_username
-      FROM auctions a
-      JOIN users u ON a.seller_id = u.id
-      WHERE a.id = $1 AND a.status = 'active' AND a.end_time > NOW()
-      FOR UPDATE
-    `, [auctionId]);
+    const result = await placeBid({ auctionId, bidder: req.user, amount, maxBid, confirmBuyNow });
 
-    if (auctionResult.rows.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(404).json({ message: 'Auction not found or has ended' });
-    }
+    res.status(result.status).json(result.payload);
+  } catch (error) {
+    console.error('Place bid error:', error);
+    res.status(500).json({ message: 'Failed to place bid' });
+  }
+});
 
-    const auction = auctionResult.rows[0];
+// Buy an auction outright at its Buy It Now price
+router.post('/buy-now/:auctionId', [authenticateToken, idempotent('buy_now')], async (req, res) => {
+  try {
+    const auctionId = parseInt(req.params.auctionId);
 
-    // Check if bidder is not the seller
-    if (auction.seller_id === bidderId) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ message: 'Cannot bid on your own auction' });
+    if (isNaN(auctionId)) {
+      return res.status(400).json({ message: 'Invalid auction ID' });
     }
 
-    // Validate bid amount
-    const minBidIncrement = 1.00; // Minimum bid increment
-    const requiredMinBid = parseFloat(auction.current_price) + minBidIncrement;
+    const result = await buyNow({ auctionId, buyer: req.user });
 
-    if (parseFloat(amount) < requiredMinBid) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ 
-        message: `Bid must be at least $${requiredMinBid.toFixed(2)}`,
-        minimumBid: requiredMinBid
+    res.status(result.status).json(result.payload);
+  } catch (error) {
+    console.error('Buy now error:', error);
+    res.status(500).json({ message: 'Failed to complete purchase' });
+  }
+});
+
+// Set or raise a maximum (proxy) bid.
+// The system bids on the user's behalf, one increment at a time, up to maxAmount.
+router.post('/proxy', [
+  authenticateToken,
+  idempotent('proxy_bid'),
+  body('auctionId').isInt().withMessage('Valid auction ID is required'),
+  body('maxAmount').isFloat({ min: 0.01 }).withMessage('Max amount must be positive'),
+  body('confirmBuyNow').optional().isBoolean().withMessage('confirmBuyNow must be a boolean').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Check if there's a buy now price and bid meets it
-    if (auction.buy_now_price && parseFloat(amount) >= parseFloat(auction.buy_now_price)) {
-      // Buy now - end auction immediately
-      await client.query(`
-        UPDATE auctions 
-        SET current_price = $1, status = 'sold', winner_id = $2, 
-            end_time = NOW(), updated_at = CURRENT_TIMESTAMP
-        WHERE id = $3
-      `, [auction.buy_now_price, bidderId, auctionId]);
-
-      // Record the winning bid
-      await client.query(`
-        INSERT INTO bids (auction_id, bidder_id, amount, is_winning, created_at)
-        VALUES ($1, $2, $3, true, NOW())
-      `, [auctionId, bidderId, auction.buy_now_price]);
-
-      await client.query('COMMIT');
-
-      // Clear cache
-      await cache.del(CACHE_KEYS.AUCTION_DETAILS(auctionId));
-      await cache.del(CACHE_KEYS.AUCTION_FEED(1));
-
-      // Emit real-time update
-      const io = req.app.get('io');
-      if (io) {
-        io.emit('auction_ended', {
-          auctionId,
-          winnerId: bidderId,
-          finalPrice: parseFloat(auction.buy_now_price),
-          type: 'buy_now'
-        });
-      }
+    const { auctionId, maxAmount, confirmBuyNow } = req.body;
 
-      return res.json({
-        message: 'Buy now successful! You won the auction.',
-        bid: {
-          id: null,
-          auctionId,
-          amount: parseFloat(auction.buy_now_price),
-          isWinning: true,
-          type: 'buy_now'
-        },
-        auction: {
-          status: 'sold',
-          winnerId: bidderId,
-          finalPrice: parseFloat(auction.buy_now_price)
-        }
-      });
+    const result = await placeBid({ auctionId, bidder: req.user, maxBid: maxAmount, confirmBuyNow });
+
+    res.status(result.status).json(result.payload);
+  } catch (error) {
+    console.error('Set proxy bid error:', error);
+    res.status(500).json({ message: 'Failed to set proxy bid' });
+  }
+});
+
+// Get user's proxy bids (optionally for a single auction)
+router.get('/proxy', authenticateToken, async (req, res) => {
+  try {
+    const auctionId = req.query.auctionId ? parseInt(req.query.auctionId) : null;
+
+    if (req.query.auctionId && isNaN(auctionId)) {
+      return res.status(400).json({ message: 'Invalid auction ID' });
     }
 
-    // Get current highest bid for proxy bidding logic
-    const currentHighestBidResult = await client.query(`
-      SELECT * FROM bids 
-      WHERE auction_id = $1 AND is_winning = true
-      ORDER BY created_at DESC 
-      LIMIT 1
-    `, [auctionId]);
+    let queryText = `
+      SELECT
+        pb.auction_id, pb.max_amount, pb.is_active, pb.created_at, pb.updated_at,
+        a.title as auction_title, a.current_price, a.status as auction_status, a.end_time,
+        EXISTS (
+          SELECT 1 FROM bids b
+          WHERE b.auction_id = pb.auction_id AND b.bidder_id = pb.bidder_id AND b.is_winning = true
+        ) as is_leading
+      FROM proxy_bids pb
+      JOIN auctions a ON pb.auction_id = a.id
+      WHERE pb.bidder_id = $1
+    `;
 
-    let newCurrentPrice = parseFloat(amount);
-    let isWinning = true;
-    let isAutoBid = false;
-
-    // Proxy bidding logic
-    if (currentHighestBidResult.rows.length > 0) {
-      const currentHighestBid = currentHighestBidResult.rows[0];
-      const currentMaxBid = parseFloat(currentHighestBid.max_bid || currentHighestBid.amount);
-      const newMaxBid = parseFloat(maxBid || amount);
-
-      if (newMaxBid <= currentMaxBid) {
-        // Current bidder still wins, but price increases
-        newCurrentPrice = Math.min(newMaxBid + minBidIncrement, currentMaxBid);
-        isWinning = false;
-        
-        // Update current auction price
-        await client.query(`
-          UPDATE auctions 
-          SET current_price = $1, updated_at = CURRENT_TIMESTAMP
-          WHERE id = $2
-        `, [newCurrentPrice, auctionId]);
-      } else {
-        // New bidder wins
-        newCurrentPrice = Math.min(currentMaxBid + minBidIncrement, newMaxBid);
-        
-        // Mark previous winning bid as not winning
-        await client.query(`
-          UPDATE bids SET is_winning = false WHERE auction_id = $1 AND is_winning = true
-        `, [auctionId]);
-        
-        // Update auction
-        await client.query(`
-          UPDATE auctions 
-          SET current_price = $1, bid_count = bid_count + 1, updated_at = CURRENT_TIMESTAMP
-          WHERE id = $2
-        `, [newCurrentPrice, auctionId]);
-      }
+    const queryParams = [req.user.id];
+
+    if (auctionId) {
+      queryText += ' AND pb.auction_id = $2';
+      queryParams.push(auctionId);
     } else {
-      // First bid
-      await client.query(`
-        UPDATE auctions 
-        SET current_price = $1, bid_count = bid_count + 1, updated_at = CURRENT_TIMESTAMP
-        WHERE id = $2
-      `, [newCurrentPrice, auctionId]);
+      queryText += ` AND pb.is_active = true AND a.status = 'active'`;
     }
 
-    // Check if auction should be extended (anti-snipe protection)
-    const timeRemaining = new Date(auction.end_time) - new Date();
-    const fiveMinutes = 5 * 60 * 1000;
-    
-    if (timeRemaining < fiveMinutes) {
-      // Extend auction by 5 minutes
-      const newEndTime = new Date(Date.now() + fiveMinutes);
-      await client.query(`
-        UPDATE auctions SET end_time = $1 WHERE id = $2
-      `, [newEndTime, auctionId]);
+    queryText += ' ORDER BY a.end_time ASC';
+
+    const result = await query(queryText, queryParams);
+
+    const proxyBids = result.rows.map(proxy => ({
+      auctionId: proxy.auction_id,
+      maxAmount: parseFloat(proxy.max_amount),
+      isActive: proxy.is_active,
+      isLeading: proxy.is_leading,
+      createdAt: proxy.created_at,
+      updatedAt: proxy.updated_at,
+      auction: {
+        title: proxy.auction_title,
+        currentPrice: parseFloat(proxy.current_price),
+        status: proxy.auction_status,
+        endTime: proxy.end_time
+      }
+    }));
+
+    res.json({ proxyBids });
+  } catch (error) {
+    console.error('Get proxy bids error:', error);
+    res.status(500).json({ message: 'Failed to get proxy bids' });
+  }
+});
+
+// Cancel a proxy bid.
+// Bids already placed stand; the system simply stops bidding on the user's behalf.
+router.delete('/proxy/:auctionId', authenticateToken, async (req, res) => {
+  try {
+    const auctionId = parseInt(req.params.auctionId);
+
+    if (isNaN(auctionId)) {
+      return res.status(400).json({ message: 'Invalid auction ID' });
+    }
+
+    const result = await query(`
+      UPDATE proxy_bids pb
+      SET is_active = false, updated_at = CURRENT_TIMESTAMP
+      FROM auctions a
+      WHERE pb.auction_id = a.id AND pb.auction_id = $1 AND pb.bidder_id = $2
+        AND pb.is_active = true AND a.status = 'active'
+      RETURNING pb.max_amount
+    `, [auctionId, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'No active proxy bid for this auction' });
     }
 
-    // Insert the new bid
-    const bidResult = await client.query(`
-      INSERT INTO bids (auction_id, bidder_id, amount, max_bid, is_winning, is_auto_bid, created_at)
-      VALUES ($1, $2, $3, $4, $5, $6, NOW())
-      RETURNING *
-    `, [auctionId, bidderId, amount, maxBid || amount, isWinning, isAutoBid]);
-
-    const newBid = bidResult.rows[0];
-
-    await client.query('COMMIT');
-
-    // Clear cache
-    await cache.del(CACHE_KEYS.AUCTION_DETAILS(auctionId));
-    await cache.del(CACHE_KEYS.AUCTION_FEED(1));
-
-    // Emit real-time update
-    const io = req.app.get('io');
-    if (io) {
-      io.emit('bid_placed', {
-        auctionId,
-        bidId: newBid.id,
-        bidderId,
-        bidderUsername: req.user.username,
-        amount: parseFloat(amount),
-        currentPrice: newCurrentPrice,
-        isWinning,
-        bidCount: auction.bid_count + 1,
-        timeRemaining: Math.max(0, (new Date(auction.end_time) - new Date()) / 1000)
+    res.json({ message: 'Proxy bid cancelled' });
+  } catch (error) {
+    console.error('Cancel proxy bid error:', error);
+    res.status(500).json({ message: 'Failed to cancel proxy bid' });
+  }
+});
+
+// Request retraction of a bid (reviewed by moderators)
+router.post('/:bidId/retraction', [
+  authenticateToken,
+  body('reason').isIn(Object.keys(RETRACTION_REASONS)).withMessage(`Reason must be one of: ${Object.keys(RETRACTION_REASONS).join(', ')}`),
+  body('explanation').optional().isLength({ max: 500 }).withMessage('Explanation must be less than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Create notification for auction owner
-    await client.query(`
-      INSERT INTO notifications (user_id, type, title, message, data)
-      VALUES ($1, 'new_bid', 'New bid on your auction', $2, $3)
-    `, [
-      auction.seller_id,
-      `${req.user.username} placed a bid of $${amount} on "${auction.title}"`,
-      JSON.stringify({ auctionId, bidAmount: amount, bidderId })
-    ]);
+    const bidId = parseInt(req.params.bidId);
+
+    if (isNaN(bidId)) {
+      return res.status(400).json({ message: 'Invalid bid ID' });
+    }
+
+    const { reason, explanation } = req.body;
+
+    const result = await requestRetraction({ bidId, bidder: req.user, reason, explanation });
+
+    res.status(result.status).json(result.payload);
+  } catch (error) {
+    console.error('Request bid retraction error:', error);
+    res.status(500).json({ message: 'Failed to request bid retraction' });
+  }
+});
+
+// Get second chance offers made to the current user
+router.get('/second-chance', authenticateToken, async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+
+    if (!['pending', 'accepted', 'declined', 'expired', 'all'].includes(status)) {
+      return res.status(400).json({ message: 'Invalid status' });
+    }
+
+    let queryText = `
+      SELECT o.*, a.title as auction_title, a.images as auction_images
+      FROM second_chance_offers o
+      JOIN auctions a ON o.auction_id = a.id
+      WHERE o.bidder_id = $1
+    `;
+    const queryParams = [req.user.id];
+
+    if (status !== 'all') {
+      queryText += ' AND o.status = $2';
+      queryParams.push(status);
+    }
+
+    queryText += ' ORDER BY o.created_at DESC';
+
+    const result = await query(queryText, queryParams);
 
     res.json({
-      message: isWinning ? 'Bid placed successfully! You are currently winning.' : 'Bid placed successfully.',
-      bid: {
-        id: newBid.id,
-        auctionId,
-        amount: parseFloat(amount),
-        maxBid: parseFloat(maxBid || amount),
-        isWinning,
-        isAutoBid,
-        createdAt: newBid.created_at
-      },
-      auction: {
-        currentPrice: newCurrentPrice,
-        bidCount: auction.bid_count + 1
-      }
+      offers: result.rows.map(offer => ({
+        ...formatOffer(offer),
+        auction: {
+          id: offer.auction_id,
+          title: offer.auction_title,
+          image: offer.auction_images?.[0] || null
+        }
+      }))
     });
+  } catch (error) {
+    console.error('Get second chance offers error:', error);
+    res.status(500).json({ message: 'Failed to get second chance offers' });
+  }
+});
 
+// Accept or decline a second chance offer
+router.post('/second-chance/:offerId', [
+  authenticateToken,
+  idempotent('second_chance'),
+  body('action').isIn(['accept', 'decline']).withMessage('Action must be accept or decline')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const offerId = parseInt(req.params.offerId);
+
+    if (isNaN(offerId)) {
+      return res.status(400).json({ message: 'Invalid offer ID' });
+    }
+
+    const result = await respondToOffer({ offerId, bidder: req.user, action: req.body.action });
+
+    res.status(result.status).json(result.payload);
   } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Place bid error:', error);
-    res.status(500).json({ message: 'Failed to place bid' });
-  } finally {
-    client.release();
+    console.error('Respond to second chance offer error:', error);
+    res.status(500).json({ message: 'Failed to respond to offer' });
   }
 });
 
@@ -266,7 +296,7 @@ router.get('/auction/:auctionId', async (req, res) => {
 
     const result = await query(`
       SELECT 
-        b.id, b.amount, b.is_winning, b.is_auto_bid, b.created_at,
+        b.id, b.amount, b.is_winning, b.is_auto_bid, b.is_retracted, b.created_at,
         u.username as bidder_username, u.reputation_score as bidder_reputation
       FROM bids b
       JOIN users u ON b.bidder_id = u.id
@@ -280,6 +310,7 @@ router.get('/auction/:auctionId', async (req, res) => {
       amount: parseFloat(bid.amount),
       isWinning: bid.is_winning,
       isAutoBid: bid.is_auto_bid,
+      isRetracted: bid.is_retracted,
       createdAt: bid.created_at,
       bidder: {
         username: bid.bidder_username,
@@ -398,7 +429,7 @@ router.get('/auction/:auctionId/history', authenticateToken, async (req, res) =>
 
     const result = await query(`
       SELECT 
-        b.id, b.amount, b.max_bid, b.is_winning, b.is_auto_bid, b.created_at,
+        b.id, b.amount, b.max_bid, b.is_winning, b.is_auto_bid, b.is_retracted, b.created_at,
         u.username as bidder_username, u.email as bidder_email,
         u.reputation_score as bidder_reputation
       FROM bids b
@@ -413,6 +444,7 @@ router.get('/auction/:auctionId/history', authenticateToken, async (req, res) =>
       maxBid: parseFloat(bid.max_bid),
       isWinning: bid.is_winning,
       isAutoBid: bid.is_auto_bid,
+      isRetracted: bid.is_retracted,
       createdAt: bid.created_at,
       bidder: {
         username: bid.bidder_username,
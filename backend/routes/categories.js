@@ -3,6 +3,8 @@ const { body, validationResult } = require('express-validator');
 const { query } = require('../config/database');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const { cache, CACHE_KEYS } = require('../config/redis');
+const { validatePolicy, normalizePolicy } = require('../utils/antiSnipe');
+const { validateSpecSchema, normalizeSpecSchema } = require('../utils/categorySpecs');
 
 const router = express.Router();
 
@@ -72,12 +74,12 @@ router.get('/', async (req, res) => {
 
     const result = await query(`
       SELECT 
-        c.id, c.name, c.description, c.icon, c.is_active, c.created_at,
+        c.id, c.name, c.description, c.icon, c.spec_schema, c.is_active, c.created_at,
         COUNT(a.id) as auction_count
       FROM categories c
       LEFT JOIN auctions a ON c.id = a.category_id AND a.status = 'active'
       WHERE c.is_active = true
-      GROUP BY c.id, c.name, c.description, c.icon, c.is_active, c.created_at
+      GROUP BY c.id, c.name, c.description, c.icon, c.spec_schema, c.is_active, c.created_at
       ORDER BY c.name ASC
     `);
 
@@ -86,6 +88,7 @@ router.get('/', async (req, res) => {
       name: category.name,
       description: category.description,
       icon: category.icon,
+      specSchema: category.spec_schema,
       isActive: category.is_active,
       auctionCount: parseInt(category.auction_count),
       createdAt: category.created_at
@@ -137,6 +140,8 @@ router.get('/:id', async (req, res) => {
       name: category.name,
       description: category.description,
       icon: category.icon,
+      antiSnipe: category.anti_snipe,
+      specSchema: category.spec_schema,
       isActive: category.is_active,
       createdAt: category.created_at,
       stats: {
@@ -159,7 +164,21 @@ router.post('/', [
   requireAdmin,
   body('name').isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
   body('description').optional().isLength({ max: 500 }).withMessage('Description must be less than 500 characters'),
-  body('icon').optional().isURL().withMessage('Icon must be a valid URL')
+  body('icon').optional().isURL().withMessage('Icon must be a valid URL'),
+  body('antiSnipe').optional({ values: 'null' }).custom(value => {
+    const error = validatePolicy(value, { partial: true });
+    if (error) {
+      throw new Error(error);
+    }
+    return true;
+  }),
+  body('specSchema').optional().custom(value => {
+    const error = validateSpecSchema(value);
+    if (error) {
+      throw new Error(error);
+    }
+    return true;
+  })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -170,7 +189,7 @@ router.post('/', [
       });
     }
 
-    const { name, description, icon } = req.body;
+    const { name, description, icon, antiSnipe, specSchema = [] } = req.body;
 
     // Check if category name already exists
     const existingCategory = await query(
@@ -184,8 +203,12 @@ router.post('/', [
 
     // Create category
     const result = await query(
-      'INSERT INTO categories (name, description, icon) VALUES ($1, $2, $3) RETURNING *',
-      [name, description, icon]
+      'INSERT INTO categories (name, description, icon, anti_snipe, spec_schema) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+      [
+        name, description, icon,
+        antiSnipe ? JSON.stringify(normalizePolicy(antiSnipe)) : null,
+        JSON.stringify(normalizeSpecSchema(specSchema))
+      ]
     );
 
     const category = result.rows[0];
@@ -200,6 +223,8 @@ router.post('/', [
         name: category.name,
         description: category.description,
         icon: category.icon,
+        antiSnipe: category.anti_snipe,
+        specSchema: category.spec_schema,
         isActive: category.is_active,
         createdAt: category.created_at
       }
@@ -217,6 +242,20 @@ router.put('/:id', [
   body('name').optional().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
   body('description').optional().isLength({ max: 500 }).withMessage('Description must be less than 500 characters'),
   body('icon').optional().isURL().withMessage('Icon must be a valid URL'),
+  body('antiSnipe').optional({ values: 'null' }).custom(value => {
+    const error = validatePolicy(value, { partial: true });
+    if (error) {
+      throw new Error(error);
+    }
+    return true;
+  }),
+  body('specSchema').optional().custom(value => {
+    const error = validateSpecSchema(value);
+    if (error) {
+      throw new Error(error);
+    }
+    return true;
+  }),
   body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
 ], async (req, res) => {
   try {
@@ -234,7 +273,7 @@ router.put('/:id', [
       return res.status(400).json({ message: 'Invalid category ID' });
     }
 
-    const { name, description, icon, isActive } = req.body;
+    const { name, description, icon, antiSnipe, specSchema, isActive } = req.body;
 
     // Check if category exists
     const existingCategory = await query('SELECT * FROM categories WHERE id = $1', [categoryId]);
@@ -278,6 +317,20 @@ router.put('/:id', [
       paramIndex++;
     }
 
+    // null clears the override so the global policy applies
+    if (antiSnipe !== undefined) {
+      updates.push(`anti_snipe = $${paramIndex}`);
+      values.push(antiSnipe ? JSON.stringify(normalizePolicy(antiSnipe)) : null);
+      paramIndex++;
+    }
+
+    // Existing listings keep their specs; the new schema applies when they are next edited
+    if (specSchema !== undefined) {
+      updates.push(`spec_schema = $${paramIndex}`);
+      values.push(JSON.stringify(normalizeSpecSchema(specSchema)));
+      paramIndex++;
+    }
+
     if (isActive !== undefined) {
       updates.push(`is_active = $${paramIndex}`);
       values.push(isActive);
@@ -304,6 +357,8 @@ router.put('/:id', [
         name: category.name,
         description: category.description,
         icon: category.icon,
+        antiSnipe: category.anti_snipe,
+        specSchema: category.spec_schema,
         isActive: category.is_active,
         createdAt: category.created_at
       }
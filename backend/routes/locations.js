@@ -0,0 +1,52 @@
+const express = require('express');
+const { validationResult, query: expressQuery } = require('express-validator');
+const { query } = require('../config/database');
+const { formatLocation } = require('../utils/locations');
+
+const router = express.Router();
+
+// List gazetteer locations for COD and home location pickers.
+// `q` matches city or area names; `city` limits the list to one city.
+router.get('/', [
+  expressQuery('q').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Search must be 1-100 characters'),
+  expressQuery('city').optional().trim().isLength({ min: 1, max: 100 }).withMessage('City must be 1-100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let queryText = 'SELECT * FROM locations WHERE true';
+    const queryParams = [];
+    let paramIndex = 1;
+
+    if (req.query.city) {
+      queryText += ` AND LOWER(city) = LOWER($${paramIndex})`;
+      queryParams.push(req.query.city);
+      paramIndex++;
+    }
+
+    if (req.query.q) {
+      queryText += ` AND (city ILIKE $${paramIndex} OR area ILIKE $${paramIndex})`;
+      queryParams.push(`%${req.query.q.replace(/[%_\\]/g, '\\$&')}%`);
+      paramIndex++;
+    }
+
+    queryText += ' ORDER BY city, area NULLS FIRST';
+
+    const result = await query(queryText, queryParams);
+
+    res.json({
+      locations: result.rows.map(formatLocation)
+    });
+  } catch (error) {
+    console.error('Get locations error:', error);
+    res.status(500).json({ message: 'Failed to get locations' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const { validationResult, query: expressQuery } = require('express-validator');
+const { buildPrefixQuery, MAX_QUERY_LENGTH } = require('../utils/search');
+const { DEFAULT_PRICE_WINDOW_DAYS, MAX_PRICE_WINDOW_DAYS, getMarketPrices } = require('../utils/marketPrices');
+
+const router = express.Router();
+
+// Sold prices for items matching `q` (every word as a title prefix, like auction search):
+// median, min, max, the price trend and the most recent sales
+router.get('/prices', [
+  expressQuery('q').trim().isLength({ min: 1, max: MAX_QUERY_LENGTH }).withMessage(`Search must be 1-${MAX_QUERY_LENGTH} characters`),
+  expressQuery('category').optional().isInt({ min: 1 }).withMessage('Category must be a valid ID'),
+  expressQuery('condition').optional().isIn(['new', 'like_new', 'good', 'fair', 'poor']).withMessage('Invalid condition'),
+  expressQuery('days').optional().isInt({ min: 7, max: MAX_PRICE_WINDOW_DAYS }).withMessage(`Days must be 7-${MAX_PRICE_WINDOW_DAYS}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const searchQuery = buildPrefixQuery(req.query.q);
+
+    if (!searchQuery) {
+      return res.status(400).json({ message: 'Search must contain at least one letter or number' });
+    }
+
+    const summary = await getMarketPrices({
+      searchQuery,
+      categoryId: req.query.category ? parseInt(req.query.category) : null,
+      condition: req.query.condition || null,
+      days: parseInt(req.query.days) || DEFAULT_PRICE_WINDOW_DAYS
+    });
+
+    res.json({
+      query: req.query.q,
+      ...summary
+    });
+  } catch (error) {
+    console.error('Get market prices error:', error);
+    res.status(500).json({ message: 'Failed to get market prices' });
+  }
+});
+
+module.exports = router;
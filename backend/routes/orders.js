@@ -0,0 +1,240 @@
+const express = require('express');
+const { body, validationResult, query: expressQuery } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { ORDER_STATUSES, ORDER_ACTIONS, formatOrder, transitionOrder } = require('../utils/orders');
+const { buildContactLink } = require('../utils/whatsapp');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// Orders with the auction and both parties, plus whether the viewer has rated this order
+const ORDER_SELECT = `
+  SELECT o.*,
+    a.title as auction_title, a.images as auction_images,
+    s.username as seller_username, b.username as buyer_username,
+    EXISTS (
+      SELECT 1 FROM user_ratings r WHERE r.order_id = o.id AND r.rater_id = $1
+    ) as has_rated
+  FROM orders o
+  JOIN auctions a ON o.auction_id = a.id
+  JOIN users s ON o.seller_id = s.id
+  JOIN users b ON o.buyer_id = b.id
+`;
+
+const formatOrderDetails = (order) => ({
+  ...formatOrder(order),
+  auction: {
+    id: order.auction_id,
+    title: order.auction_title,
+    image: order.auction_images?.[0] || null
+  },
+  seller: {
+    id: order.seller_id,
+    username: order.seller_username
+  },
+  buyer: {
+    id: order.buyer_id,
+    username: order.buyer_username
+  },
+  canRate: order.status === 'closed' && !order.has_rated
+});
+
+// Get the current user's orders, as buyer (purchases) or seller (sales)
+router.get('/', [
+  authenticateToken,
+  expressQuery('role').optional().isIn(['buyer', 'seller']).withMessage('Role must be buyer or seller'),
+  expressQuery('status').optional().isIn(ORDER_STATUSES).withMessage('Invalid status'),
+  expressQuery('page').optional().isInt({ min: 1 }).withMessage('Page must be positive'),
+  expressQuery('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be 1-50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const role = req.query.role || 'buyer';
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    let queryText = `${ORDER_SELECT} WHERE o.${role === 'seller' ? 'seller_id' : 'buyer_id'} = $1`;
+    const queryParams = [req.user.id];
+    let paramIndex = 2;
+
+    if (req.query.status) {
+      queryText += ` AND o.status = $${paramIndex}`;
+      queryParams.push(req.query.status);
+      paramIndex++;
+    }
+
+    queryText += ` ORDER BY o.created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+    queryParams.push(limit, offset);
+
+    const result = await query(queryText, queryParams);
+    const orders = result.rows.map(formatOrderDetails);
+
+    res.json({
+      role,
+      orders,
+      pagination: {
+        page,
+        limit,
+        hasMore: orders.length === limit
+      }
+    });
+  } catch (error) {
+    console.error('Get orders error:', error);
+    res.status(500).json({ message: 'Failed to get orders' });
+  }
+});
+
+// Get a single order (buyer, seller or moderator)
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({ message: 'Invalid order ID' });
+    }
+
+    const result = await query(`${ORDER_SELECT} WHERE o.id = $2`, [req.user.id, orderId]);
+    const order = result.rows[0];
+    const isParty = order && (order.buyer_id === req.user.id || order.seller_id === req.user.id);
+
+    if (!order || (!isParty && !['admin', 'moderator'].includes(req.user.role))) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    res.json({
+      order: formatOrderDetails(order),
+      role: order.seller_id === req.user.id ? 'seller' : order.buyer_id === req.user.id ? 'buyer' : null
+    });
+  } catch (error) {
+    console.error('Get order error:', error);
+    res.status(500).json({ message: 'Failed to get order' });
+  }
+});
+
+// WhatsApp deep link to the other party of a won auction's order (buyer and seller only).
+// Every reveal of a contact number is recorded in the audit log.
+router.get('/:id/whatsapp', authenticateToken, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({ message: 'Invalid order ID' });
+    }
+
+    const result = await query(`
+      SELECT o.id, o.seller_id, o.buyer_id, o.amount, o.status, o.auction_id,
+        a.title as auction_title, a.status as auction_status,
+        s.username as seller_username, s.whatsapp as seller_whatsapp,
+        b.username as buyer_username, b.whatsapp as buyer_whatsapp
+      FROM orders o
+      JOIN auctions a ON o.auction_id = a.id
+      JOIN users s ON o.seller_id = s.id
+      JOIN users b ON o.buyer_id = b.id
+      WHERE o.id = $1
+    `, [orderId]);
+
+    const order = result.rows[0];
+
+    if (!order || (order.buyer_id !== req.user.id && order.seller_id !== req.user.id)) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.auction_status !== 'sold' || order.status === 'cancelled') {
+      return res.status(400).json({ message: 'WhatsApp contact is only available for won auctions' });
+    }
+
+    const isBuyer = order.buyer_id === req.user.id;
+    const contact = isBuyer
+      ? { id: order.seller_id, username: order.seller_username, whatsapp: order.seller_whatsapp }
+      : { id: order.buyer_id, username: order.buyer_username, whatsapp: order.buyer_whatsapp };
+
+    const price = `$${parseFloat(order.amount).toFixed(2)}`;
+    const message = isBuyer
+      ? `Hi ${contact.username}, I won "${order.auction_title}" for ${price}. Order reference: #${order.id}.`
+      : `Hi ${contact.username}, you won "${order.auction_title}" for ${price}. Order reference: #${order.id}.`;
+
+    const link = buildContactLink(contact.whatsapp, message);
+
+    if (!link) {
+      return res.status(404).json({
+        message: `${isBuyer ? 'The seller' : 'The buyer'} has not shared a WhatsApp number`
+      });
+    }
+
+    await recordAudit({
+      req,
+      userId: req.user.id,
+      action: 'whatsapp_contact_revealed',
+      resourceType: 'order',
+      resourceId: order.id,
+      details: {
+        auctionId: order.auction_id,
+        revealedUserId: contact.id,
+        role: isBuyer ? 'buyer' : 'seller'
+      }
+    });
+
+    res.json({
+      orderId: order.id,
+      contact: {
+        id: contact.id,
+        username: contact.username
+      },
+      message,
+      link
+    });
+  } catch (error) {
+    console.error('Get WhatsApp contact error:', error);
+    res.status(500).json({ message: 'Failed to get WhatsApp contact' });
+  }
+});
+
+// Move an order along: confirm_payment, ship, hand_over, confirm_receipt, close, cancel or dispute
+router.put('/:id/status', [
+  authenticateToken,
+  idempotent('order_status'),
+  body('action').isIn(Object.keys(ORDER_ACTIONS)).withMessage(`Action must be one of: ${Object.keys(ORDER_ACTIONS).join(', ')}`),
+  body('trackingNumber').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Tracking number must be 1-100 characters'),
+  body('reason')
+    .if(body('action').equals('dispute'))
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('A dispute needs a reason of 10-1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({ message: 'Invalid order ID' });
+    }
+
+    const { action, trackingNumber, reason } = req.body;
+
+    const result = await transitionOrder({ orderId, user: req.user, action, trackingNumber, reason });
+
+    res.status(result.status).json(result.payload);
+  } catch (error) {
+    console.error('Update order status error:', error);
+    res.status(500).json({ message: 'Failed to update order' });
+  }
+});
+
+module.exports = router;
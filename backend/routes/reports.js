@@ -0,0 +1,157 @@
+const express = require('express');
+const { body, validationResult, query: expressQuery } = require('express-validator');
+const path = require('path');
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { createImageUpload } = require('../middleware/upload');
+const imageProcessor = require('../utils/imageProcessor');
+const { REPORT_TYPES, REPORT_REASONS, formatReport, submitReport } = require('../utils/reports');
+
+const router = express.Router();
+
+const EVIDENCE_URL_PREFIX = '/api/reports/evidence/';
+
+// Evidence images are kept out of the public uploads and served by GET /evidence/:file
+const upload = createImageUpload({
+  directory: imageProcessor.reportEvidenceDir,
+  prefix: 'report',
+  maxFiles: 5
+});
+
+// Remove evidence uploaded with a report that was not filed
+const discardEvidence = async (req) => {
+  await imageProcessor.deleteReportEvidence((req.files || []).map(file => file.filename));
+};
+
+// Report a listing, a user or a transaction (order) to moderators
+router.post('/', [
+  authenticateToken,
+  upload.array('evidence', 5),
+  body('type').isIn(REPORT_TYPES).withMessage(`Type must be one of: ${REPORT_TYPES.join(', ')}`),
+  body('targetId').isInt({ min: 1 }).withMessage('Valid target ID is required').toInt(),
+  body('reason').isIn(Object.keys(REPORT_REASONS)).withMessage(`Reason must be one of: ${Object.keys(REPORT_REASONS).join(', ')}`),
+  body('description').optional().isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await discardEvidence(req);
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Photos can carry the reporter's location; strip it before anyone else sees them
+    try {
+      for (const file of req.files || []) {
+        await imageProcessor.stripMetadata(file.path);
+      }
+    } catch (error) {
+      await discardEvidence(req);
+      return res.status(400).json({ message: 'Evidence must be valid images' });
+    }
+
+    const { type, targetId, reason, description } = req.body;
+
+    const result = await submitReport({
+      reporter: req.user,
+      type,
+      targetId,
+      reason,
+      description,
+      evidenceImages: (req.files || []).map(file => `${EVIDENCE_URL_PREFIX}${file.filename}`)
+    });
+
+    if (!result.accepted) {
+      await discardEvidence(req);
+    }
+
+    res.status(result.status).json(result.payload);
+  } catch (error) {
+    await discardEvidence(req);
+    console.error('Submit report error:', error);
+    res.status(500).json({ message: 'Failed to submit report' });
+  }
+});
+
+// Get the current user's reports
+router.get('/', [
+  authenticateToken,
+  expressQuery('status').optional().isIn(['pending', 'reviewed', 'resolved', 'dismissed']).withMessage('Invalid status'),
+  expressQuery('page').optional().isInt({ min: 1 }).withMessage('Page must be positive'),
+  expressQuery('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be 1-50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    let queryText = 'SELECT * FROM reports WHERE reporter_id = $1';
+    const queryParams = [req.user.id];
+    let paramIndex = 2;
+
+    if (req.query.status) {
+      queryText += ` AND status = $${paramIndex}`;
+      queryParams.push(req.query.status);
+      paramIndex++;
+    }
+
+    queryText += ` ORDER BY created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+    queryParams.push(limit, offset);
+
+    const result = await query(queryText, queryParams);
+    const reports = result.rows.map(formatReport);
+
+    res.json({
+      reports,
+      pagination: {
+        page,
+        limit,
+        hasMore: reports.length === limit
+      }
+    });
+  } catch (error) {
+    console.error('Get my reports error:', error);
+    res.status(500).json({ message: 'Failed to get reports' });
+  }
+});
+
+// Get a report evidence image (the reporter and moderators only)
+router.get('/evidence/:file', authenticateToken, async (req, res) => {
+  try {
+    const file = path.basename(req.params.file);
+    const isModerator = ['admin', 'moderator'].includes(req.user.role);
+
+    if (!isModerator) {
+      const result = await query(
+        'SELECT id FROM reports WHERE reporter_id = $1 AND $2 = ANY(evidence_images)',
+        [req.user.id, `${EVIDENCE_URL_PREFIX}${file}`]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ message: 'Evidence not found' });
+      }
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.sendFile(imageProcessor.getReportEvidencePath(file), (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ message: 'Evidence not found' });
+      }
+    });
+  } catch (error) {
+    console.error('Get report evidence error:', error);
+    res.status(500).json({ message: 'Failed to get evidence' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,152 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { pool, query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { buildPrefixQuery, MAX_QUERY_LENGTH } = require('../utils/search');
+const { getLocation, DEFAULT_RADIUS_KM, MAX_RADIUS_KM } = require('../utils/locations');
+const { MAX_SAVED_SEARCHES, SAVED_SEARCH_FREQUENCIES, formatSavedSearch } = require('../utils/savedSearches');
+
+const router = express.Router();
+
+// Saved searches with their location and how many listings have matched them
+const SAVED_SEARCH_SELECT = `
+  SELECT s.*,
+    l.city as location_city, l.area as location_area,
+    l.latitude as location_latitude, l.longitude as location_longitude,
+    (SELECT COUNT(*) FROM saved_search_matches m WHERE m.saved_search_id = s.id) as match_count
+  FROM saved_searches s
+  LEFT JOIN locations l ON s.location_id = l.id
+`;
+
+// Get the current user's saved searches
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const result = await query(
+      `${SAVED_SEARCH_SELECT} WHERE s.user_id = $1 ORDER BY s.created_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({
+      savedSearches: result.rows.map(formatSavedSearch)
+    });
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({ message: 'Failed to get saved searches' });
+  }
+});
+
+// Save a search. New listings matching every given filter alert the user, straight
+// away (`instant`, the default) or in a digest each morning (`daily`).
+router.post('/', [
+  authenticateToken,
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('keyword').optional().trim().isLength({ min: 1, max: MAX_QUERY_LENGTH }).withMessage(`Keyword must be 1-${MAX_QUERY_LENGTH} characters`),
+  body('categoryId').optional().isInt({ min: 1 }).withMessage('Category must be a valid ID').toInt(),
+  body('condition').optional().isIn(['new', 'like_new', 'good', 'fair', 'poor']).withMessage('Invalid condition'),
+  body('maxPrice').optional().isFloat({ min: 0.01 }).withMessage('Max price must be positive'),
+  body('locationId').optional().isInt({ min: 1 }).withMessage('Location must be a location ID').toInt(),
+  body('radiusKm').optional().isFloat({ min: 1, max: MAX_RADIUS_KM }).withMessage(`Radius must be 1-${MAX_RADIUS_KM} km`),
+  body('frequency').optional().isIn(SAVED_SEARCH_FREQUENCIES).withMessage(`Frequency must be one of: ${SAVED_SEARCH_FREQUENCIES.join(', ')}`)
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      name, keyword, categoryId, condition, maxPrice, locationId,
+      radiusKm = DEFAULT_RADIUS_KM, frequency = 'instant'
+    } = req.body;
+
+    if ([keyword, categoryId, condition, maxPrice, locationId].every(filter => filter === undefined)) {
+      return res.status(400).json({ message: 'A saved search needs at least one filter' });
+    }
+
+    const searchQuery = keyword !== undefined ? buildPrefixQuery(keyword) : null;
+    if (keyword !== undefined && !searchQuery) {
+      return res.status(400).json({ message: 'Keyword must contain at least one letter or number' });
+    }
+
+    if (categoryId !== undefined) {
+      const categoryResult = await query('SELECT id FROM categories WHERE id = $1 AND is_active = true', [categoryId]);
+      if (categoryResult.rows.length === 0) {
+        return res.status(400).json({ message: 'Invalid category' });
+      }
+    }
+
+    if (locationId !== undefined && !(await getLocation(locationId))) {
+      return res.status(400).json({ message: 'Unknown location' });
+    }
+
+    await client.query('BEGIN');
+
+    // Lock the user so concurrent saves cannot pass the limit
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [req.user.id]);
+
+    const countResult = await client.query('SELECT COUNT(*) as count FROM saved_searches WHERE user_id = $1', [req.user.id]);
+    if (parseInt(countResult.rows[0].count) >= MAX_SAVED_SEARCHES) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: `You can keep at most ${MAX_SAVED_SEARCHES} saved searches` });
+    }
+
+    const insertResult = await client.query(`
+      INSERT INTO saved_searches (
+        user_id, name, keyword, search_query, category_id, condition,
+        max_price, location_id, radius_km, frequency
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING id
+    `, [
+      req.user.id, name || keyword || 'Saved search', keyword || null, searchQuery,
+      categoryId || null, condition || null, maxPrice || null,
+      locationId || null, locationId ? radiusKm : null, frequency
+    ]);
+
+    await client.query('COMMIT');
+
+    const result = await query(`${SAVED_SEARCH_SELECT} WHERE s.id = $1`, [insertResult.rows[0].id]);
+
+    res.status(201).json({
+      message: 'Search saved',
+      savedSearch: formatSavedSearch(result.rows[0])
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Create saved search error:', error);
+    res.status(500).json({ message: 'Failed to save search' });
+  } finally {
+    client.release();
+  }
+});
+
+// Delete a saved search
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const savedSearchId = parseInt(req.params.id);
+
+    if (isNaN(savedSearchId)) {
+      return res.status(400).json({ message: 'Invalid saved search ID' });
+    }
+
+    const result = await query(
+      'DELETE FROM saved_searches WHERE id = $1 AND user_id = $2 RETURNING id',
+      [savedSearchId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    res.json({ message: 'Saved search deleted' });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({ message: 'Failed to delete saved search' });
+  }
+});
+
+module.exports = router;
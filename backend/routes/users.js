@@ -1,8 +1,10 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
-const { query } = require('../config/database');
-const { authenticateToken, requireAdmin, requireModerator } = require('../middleware/auth');
+const { pool, query } = require('../config/database');
+const { authenticateToken, optionalAuth, requireAdmin, requireModerator } = require('../middleware/auth');
+const { formatLocation, getLocation } = require('../utils/locations');
+const { MAX_RIGS, formatRig, getUserRigs } = require('../utils/rigs');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
@@ -51,12 +53,13 @@ router.get('/profile', authenticateToken, async (req, res) => {
       SELECT 
         id, username, email, full_name, phone, address, city, state, 
         postal_code, country, profile_image, bio, role, is_verified, 
-        is_active, created_at, last_login,
+        is_active, created_at, last_login, home_location_id,
         (SELECT COUNT(*) FROM auctions WHERE seller_id = users.id) as total_auctions,
         (SELECT COUNT(*) FROM auctions WHERE seller_id = users.id AND status = 'active') as active_auctions,
-        (SELECT COUNT(*) FROM bids WHERE user_id = users.id) as total_bids,
+        (SELECT COUNT(*) FROM bids WHERE bidder_id = users.id) as total_bids,
         (SELECT AVG(rating) FROM user_ratings WHERE rated_user_id = users.id) as avg_rating,
-        (SELECT COUNT(*) FROM user_ratings WHERE rated_user_id = users.id) as rating_count
+        (SELECT COUNT(*) FROM user_ratings WHERE rated_user_id = users.id) as rating_count,
+        (SELECT COUNT(*) FROM user_follows WHERE seller_id = users.id) as follower_count
       FROM users 
       WHERE id = $1
     `, [req.user.id]);
@@ -66,6 +69,8 @@ router.get('/profile', authenticateToken, async (req, res) => {
     }
 
     const user = result.rows[0];
+    const homeLocation = user.home_location_id ? await getLocation(user.home_location_id) : null;
+    const rigs = await getUserRigs(user.id);
 
     res.json({
       id: user.id,
@@ -78,6 +83,8 @@ router.get('/profile', authenticateToken, async (req, res) => {
       state: user.state,
       postalCode: user.postal_code,
       country: user.country,
+      homeLocation: homeLocation ? formatLocation(homeLocation) : null,
+      rigs: rigs.map(formatRig),
       profileImage: user.profile_image,
       bio: user.bio,
       role: user.role,
@@ -90,7 +97,8 @@ router.get('/profile', authenticateToken, async (req, res) => {
         activeAuctions: parseInt(user.active_auctions),
         totalBids: parseInt(user.total_bids),
         avgRating: user.avg_rating ? parseFloat(user.avg_rating) : 0,
-        ratingCount: parseInt(user.rating_count)
+        ratingCount: parseInt(user.rating_count),
+        followerCount: parseInt(user.follower_count)
       }
     });
   } catch (error) {
@@ -109,7 +117,8 @@ router.put('/profile', [
   body('state').optional().isLength({ max: 100 }).withMessage('State must be less than 100 characters'),
   body('postalCode').optional().isLength({ max: 20 }).withMessage('Postal code must be less than 20 characters'),
   body('country').optional().isLength({ max: 100 }).withMessage('Country must be less than 100 characters'),
-  body('bio').optional().isLength({ max: 500 }).withMessage('Bio must be less than 500 characters')
+  body('bio').optional().isLength({ max: 500 }).withMessage('Bio must be less than 500 characters'),
+  body('homeLocationId').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Home location must be a location ID').toInt()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -120,7 +129,7 @@ router.put('/profile', [
       });
     }
 
-    const { fullName, phone, address, city, state, postalCode, country, bio } = req.body;
+    const { fullName, phone, address, city, state, postalCode, country, bio, homeLocationId } = req.body;
 
     // Build update query
     const updates = [];
@@ -175,6 +184,21 @@ router.put('/profile', [
       paramIndex++;
     }
 
+    // Used for "near me" auction filters; null clears it
+    let homeLocation = null;
+    if (homeLocationId !== undefined) {
+      if (homeLocationId !== null) {
+        homeLocation = await getLocation(homeLocationId);
+        if (!homeLocation) {
+          return res.status(400).json({ message: 'Unknown location' });
+        }
+      }
+
+      updates.push(`home_location_id = $${paramIndex}`);
+      values.push(homeLocationId);
+      paramIndex++;
+    }
+
     if (updates.length === 0) {
       return res.status(400).json({ message: 'No fields to update' });
     }
@@ -198,6 +222,7 @@ router.put('/profile', [
         state: user.state,
         postalCode: user.postal_code,
         country: user.country,
+        homeLocation: homeLocation ? formatLocation(homeLocation) : null,
         bio: user.bio
       }
     });
@@ -243,6 +268,222 @@ router.post('/profile/image', authenticateToken, upload.single('profileImage'),
   }
 });
 
+// Rig fields; null clears an optional one
+const rigValidators = ({ requireName }) => [
+  requireName
+    ? body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Name must be 1-50 characters')
+    : body('name').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Name must be 1-50 characters'),
+  body('socket').optional({ values: 'null' }).trim().isLength({ min: 1, max: 30 }).withMessage('Socket must be 1-30 characters'),
+  body('chipset').optional({ values: 'null' }).trim().isLength({ min: 1, max: 30 }).withMessage('Chipset must be 1-30 characters'),
+  body('ramType').optional({ values: 'null' })
+    .customSanitizer(value => typeof value === 'string' ? value.trim().toUpperCase() : value)
+    .isIn(['DDR3', 'DDR4', 'DDR5']).withMessage('RAM type must be DDR3, DDR4 or DDR5'),
+  body('psuWattage').optional({ values: 'null' }).isInt({ min: 100, max: 3000 }).withMessage('PSU wattage must be 100-3000 W').toInt(),
+  body('gpuClearanceMm').optional({ values: 'null' }).isInt({ min: 100, max: 600 }).withMessage('GPU clearance must be 100-600 mm').toInt(),
+  body('isPrimary').optional().isBoolean().withMessage('isPrimary must be true or false').toBoolean()
+];
+
+// Request body field -> user_rigs column
+const RIG_COLUMNS = {
+  name: 'name',
+  socket: 'socket',
+  chipset: 'chipset',
+  ramType: 'ram_type',
+  psuWattage: 'psu_wattage',
+  gpuClearanceMm: 'gpu_clearance_mm'
+};
+
+// Get the current user's saved rigs (primary first)
+router.get('/profile/rigs', authenticateToken, async (req, res) => {
+  try {
+    const rigs = await getUserRigs(req.user.id);
+
+    res.json({ rigs: rigs.map(formatRig) });
+  } catch (error) {
+    console.error('Get rigs error:', error);
+    res.status(500).json({ message: 'Failed to get rigs' });
+  }
+});
+
+// Save a rig. The first rig becomes the primary one, which auction
+// compatibility checks use unless another rig is picked.
+router.post('/profile/rigs', [authenticateToken, ...rigValidators({ requireName: true })], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await client.query('BEGIN');
+
+    // Lock the user so concurrent saves cannot pass the limit
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [req.user.id]);
+
+    const countResult = await client.query('SELECT COUNT(*) as count FROM user_rigs WHERE user_id = $1', [req.user.id]);
+    const rigCount = parseInt(countResult.rows[0].count);
+
+    if (rigCount >= MAX_RIGS) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: `You can save at most ${MAX_RIGS} rigs` });
+    }
+
+    const isPrimary = rigCount === 0 || req.body.isPrimary === true;
+    if (isPrimary) {
+      await client.query('UPDATE user_rigs SET is_primary = false WHERE user_id = $1 AND is_primary', [req.user.id]);
+    }
+
+    const { name, socket, chipset, ramType, psuWattage, gpuClearanceMm } = req.body;
+
+    const result = await client.query(`
+      INSERT INTO user_rigs (user_id, name, socket, chipset, ram_type, psu_wattage, gpu_clearance_mm, is_primary)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [req.user.id, name, socket || null, chipset || null, ramType || null, psuWattage || null, gpuClearanceMm || null, isPrimary]);
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      message: 'Rig saved',
+      rig: formatRig(result.rows[0])
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Create rig error:', error);
+    res.status(500).json({ message: 'Failed to save rig' });
+  } finally {
+    client.release();
+  }
+});
+
+// Update a rig, or make it the primary one
+router.put('/profile/rigs/:rigId', [authenticateToken, ...rigValidators({ requireName: false })], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rigId = parseInt(req.params.rigId);
+
+    if (isNaN(rigId)) {
+      return res.status(400).json({ message: 'Invalid rig ID' });
+    }
+
+    await client.query('BEGIN');
+
+    const rigResult = await client.query(
+      'SELECT * FROM user_rigs WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [rigId, req.user.id]
+    );
+
+    if (rigResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Rig not found' });
+    }
+
+    const rig = rigResult.rows[0];
+    const { isPrimary } = req.body;
+
+    if (isPrimary === false && rig.is_primary) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Make another rig primary instead' });
+    }
+
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const [field, column] of Object.entries(RIG_COLUMNS)) {
+      if (req.body[field] !== undefined) {
+        updates.push(`${column} = $${paramIndex}`);
+        values.push(req.body[field]);
+        paramIndex++;
+      }
+    }
+
+    if (isPrimary === true && !rig.is_primary) {
+      await client.query('UPDATE user_rigs SET is_primary = false WHERE user_id = $1 AND is_primary', [req.user.id]);
+      updates.push('is_primary = true');
+    }
+
+    if (updates.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'No fields to update' });
+    }
+
+    values.push(rigId);
+    const result = await client.query(
+      `UPDATE user_rigs SET ${[...updates, 'updated_at = CURRENT_TIMESTAMP'].join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+      values
+    );
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Rig updated',
+      rig: formatRig(result.rows[0])
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Update rig error:', error);
+    res.status(500).json({ message: 'Failed to update rig' });
+  } finally {
+    client.release();
+  }
+});
+
+// Delete a rig. Deleting the primary rig makes the oldest remaining one primary.
+router.delete('/profile/rigs/:rigId', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const rigId = parseInt(req.params.rigId);
+
+    if (isNaN(rigId)) {
+      return res.status(400).json({ message: 'Invalid rig ID' });
+    }
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'DELETE FROM user_rigs WHERE id = $1 AND user_id = $2 RETURNING *',
+      [rigId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Rig not found' });
+    }
+
+    if (result.rows[0].is_primary) {
+      await client.query(`
+        UPDATE user_rigs SET is_primary = true
+        WHERE id = (SELECT id FROM user_rigs WHERE user_id = $1 ORDER BY created_at ASC LIMIT 1)
+      `, [req.user.id]);
+    }
+
+    await client.query('COMMIT');
+
+    res.json({ message: 'Rig deleted' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Delete rig error:', error);
+    res.status(500).json({ message: 'Failed to delete rig' });
+  } finally {
+    client.release();
+  }
+});
+
 // Get public user profile
 router.get('/:id/public', async (req, res) => {
   try {
@@ -258,7 +499,8 @@ router.get('/:id/public', async (req, res) => {
         (SELECT COUNT(*) FROM auctions WHERE seller_id = users.id AND status != 'draft') as total_auctions,
         (SELECT COUNT(*) FROM auctions WHERE seller_id = users.id AND status = 'active') as active_auctions,
         (SELECT AVG(rating) FROM user_ratings WHERE rated_user_id = users.id) as avg_rating,
-        (SELECT COUNT(*) FROM user_ratings WHERE rated_user_id = users.id) as rating_count
+        (SELECT COUNT(*) FROM user_ratings WHERE rated_user_id = users.id) as rating_count,
+        (SELECT COUNT(*) FROM user_follows WHERE seller_id = users.id) as follower_count
       FROM users 
       WHERE id = $1 AND is_active = true
     `, [userId]);
@@ -280,7 +522,8 @@ router.get('/:id/public', async (req, res) => {
         totalAuctions: parseInt(user.total_auctions),
         activeAuctions: parseInt(user.active_auctions),
         avgRating: user.avg_rating ? parseFloat(user.avg_rating) : 0,
-        ratingCount: parseInt(user.rating_count)
+        ratingCount: parseInt(user.rating_count),
+        followerCount: parseInt(user.follower_count)
       }
     });
   } catch (error) {
@@ -290,7 +533,7 @@ router.get('/:id/public', async (req, res) => {
 });
 
 // Get user's auctions (public)
-router.get('/:id/auctions', async (req, res) => {
+router.get('/:id/auctions', optionalAuth, async (req, res) => {
   try {
     const userId = parseInt(req.params.id);
     const page = parseInt(req.query.page) || 1;
@@ -302,6 +545,11 @@ router.get('/:id/auctions', async (req, res) => {
       return res.status(400).json({ message: 'Invalid user ID' });
     }
 
+    // Drafts are only visible to their seller and moderators
+    if (status === 'draft' && (!req.user || (req.user.id !== userId && !['admin', 'moderator'].includes(req.user.role)))) {
+      return res.status(403).json({ message: 'Drafts are only visible to their seller' });
+    }
+
     // Verify user exists and is active
     const userCheck = await query('SELECT id FROM users WHERE id = $1 AND is_active = true', [userId]);
     if (userCheck.rows.length === 0) {
@@ -311,7 +559,7 @@ router.get('/:id/auctions', async (req, res) => {
     const result = await query(`
       SELECT 
         a.id, a.title, a.description, a.starting_price, a.current_price, 
-        a.buy_now_price, a.end_time, a.status, a.created_at,
+        a.buy_now_price, a.start_time, a.end_time, a.status, a.created_at,
         a.images, a.condition, a.location,
         c.name as category_name,
         COUNT(b.id) as bid_count,
@@ -339,6 +587,7 @@ router.get('/:id/auctions', async (req, res) => {
       startingPrice: parseFloat(auction.starting_price),
       currentPrice: parseFloat(auction.current_price),
       buyNowPrice: auction.buy_now_price ? parseFloat(auction.buy_now_price) : null,
+      startTime: auction.start_time,
       endTime: auction.end_time,
       status: auction.status,
       createdAt: auction.created_at,
@@ -369,12 +618,71 @@ router.get('/:id/auctions', async (req, res) => {
   }
 });
 
-// Rate a user (after completed transaction)
+// Follow a seller (get notified when their scheduled auctions go live)
+router.post('/:id/follow', authenticateToken, async (req, res) => {
+  try {
+    const sellerId = parseInt(req.params.id);
+
+    if (isNaN(sellerId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    if (sellerId === req.user.id) {
+      return res.status(400).json({ message: 'Cannot follow yourself' });
+    }
+
+    const userCheck = await query('SELECT id FROM users WHERE id = $1 AND is_active = true', [sellerId]);
+    if (userCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const result = await query(
+      'INSERT INTO user_follows (follower_id, seller_id) VALUES ($1, $2) ON CONFLICT DO NOTHING RETURNING *',
+      [req.user.id, sellerId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ message: 'Already following this user' });
+    }
+
+    res.status(201).json({ message: 'User followed' });
+  } catch (error) {
+    console.error('Follow user error:', error);
+    res.status(500).json({ message: 'Failed to follow user' });
+  }
+});
+
+// Unfollow a seller
+router.delete('/:id/follow', authenticateToken, async (req, res) => {
+  try {
+    const sellerId = parseInt(req.params.id);
+
+    if (isNaN(sellerId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const result = await query(
+      'DELETE FROM user_follows WHERE follower_id = $1 AND seller_id = $2 RETURNING *',
+      [req.user.id, sellerId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Not following this user' });
+    }
+
+    res.json({ message: 'User unfollowed' });
+  } catch (error) {
+    console.error('Unfollow user error:', error);
+    res.status(500).json({ message: 'Failed to unfollow user' });
+  }
+});
+
+// Rate the other party of a closed order
 router.post('/:id/rate', [
   authenticateToken,
   body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
   body('comment').optional().isLength({ max: 500 }).withMessage('Comment must be less than 500 characters'),
-  body('auctionId').isInt().withMessage('Valid auction ID is required')
+  body('orderId').isInt().withMessage('Valid order ID is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -386,7 +694,7 @@ router.post('/:id/rate', [
     }
 
     const ratedUserId = parseInt(req.params.id);
-    const { rating, comment, auctionId } = req.body;
+    const { rating, comment, orderId } = req.body;
 
     if (isNaN(ratedUserId)) {
       return res.status(400).json({ message: 'Invalid user ID' });
@@ -396,30 +704,35 @@ router.post('/:id/rate', [
       return res.status(400).json({ message: 'Cannot rate yourself' });
     }
 
-    // Verify the auction exists and user was involved
-    const auctionCheck = await query(`
-      SELECT seller_id, winner_id FROM auctions 
-      WHERE id = $1 AND status = 'completed'
-    `, [auctionId]);
+    // Verify the order exists and both users took part in it
+    const orderCheck = await query(
+      'SELECT auction_id, seller_id, buyer_id, status FROM orders WHERE id = $1',
+      [orderId]
+    );
 
-    if (auctionCheck.rows.length === 0) {
-      return res.status(404).json({ message: 'Auction not found or not completed' });
+    if (orderCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Order not found' });
     }
 
-    const auction = auctionCheck.rows[0];
-    
-    // Check if user can rate (must be seller rating winner or winner rating seller)
-    const canRate = (req.user.id === auction.seller_id && ratedUserId === auction.winner_id) ||
-                   (req.user.id === auction.winner_id && ratedUserId === auction.seller_id);
+    const order = orderCheck.rows[0];
+
+    // Check if user can rate (must be seller rating buyer or buyer rating seller)
+    const canRate = (req.user.id === order.seller_id && ratedUserId === order.buyer_id) ||
+                   (req.user.id === order.buyer_id && ratedUserId === order.seller_id);
 
     if (!canRate) {
       return res.status(403).json({ message: 'You can only rate users you have completed transactions with' });
     }
 
+    // Ratings unlock once the order is closed
+    if (order.status !== 'closed') {
+      return res.status(400).json({ message: 'You can rate this user once the order is closed' });
+    }
+
     // Check if already rated
     const existingRating = await query(
-      'SELECT id FROM user_ratings WHERE rater_id = $1 AND rated_user_id = $2 AND auction_id = $3',
-      [req.user.id, ratedUserId, auctionId]
+      'SELECT id FROM user_ratings WHERE rater_id = $1 AND order_id = $2',
+      [req.user.id, orderId]
     );
 
     if (existingRating.rows.length > 0) {
@@ -428,8 +741,8 @@ router.post('/:id/rate', [
 
     // Create rating
     await query(
-      'INSERT INTO user_ratings (rater_id, rated_user_id, auction_id, rating, comment) VALUES ($1, $2, $3, $4, $5)',
-      [req.user.id, ratedUserId, auctionId, rating, comment]
+      'INSERT INTO user_ratings (rater_id, rated_user_id, auction_id, order_id, rating, comment) VALUES ($1, $2, $3, $4, $5, $6)',
+      [req.user.id, ratedUserId, order.auction_id, orderId, rating, comment]
     );
 
     res.status(201).json({ message: 'Rating submitted successfully' });
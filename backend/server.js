@@ -21,6 +21,11 @@ const userRoutes = require('./routes/users');
 const categoryRoutes = require('./routes/categories');
 const watchlistRoutes = require('./routes/watchlist');
 const adminRoutes = require('./routes/admin');
+const reportRoutes = require('./routes/reports');
+const orderRoutes = require('./routes/orders');
+const locationRoutes = require('./routes/locations');
+const savedSearchRoutes = require('./routes/savedSearches');
+const marketRoutes = require('./routes/market');
 
 // Import socket handler
 const socketHandler = require('./sockets/socketHandler');
@@ -60,7 +65,8 @@ app.use(cors({
     process.env.FRONTEND_URL || "http://localhost:3000",
     "http://localhost:5173" // Vite default port
   ],
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // Rate limiting
@@ -88,6 +94,11 @@ app.use('/api/users', userRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/watchlist', watchlistRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/market', marketRoutes);
 
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
@@ -1,11 +1,17 @@
 const jwt = require('jsonwebtoken');
 const { query } = require('../config/database');
+const { placeBid } = require('../utils/bidEngine');
+const { MAX_KEY_LENGTH, fingerprintRequest, runIdempotent } = require('../utils/idempotency');
+const realtime = require('../utils/realtime');
 
 // Store active connections
 const activeConnections = new Map();
 const auctionRooms = new Map(); // Track users watching specific auctions
 
 const socketHandler = (io) => {
+  // Routes, the bid engine and the scheduler publish through the event bus
+  realtime.attach(io);
+
   // Authentication middleware for socket connections
   io.use(async (socket, next) => {
     try {
@@ -110,29 +116,72 @@ const socketHandler = (io) => {
       }
     });
 
-    // Handle real-time bid placement (validation happens in API)
-    socket.on('place_bid', async (data) => {
+    // Handle real-time bid placement through the same bid engine as POST /api/bids.
+    // Clients should pass an acknowledgement callback to receive the outcome.
+    socket.on('place_bid', async (data, ack) => {
+      const respond = (response) => {
+        if (typeof ack === 'function') {
+          ack(response);
+        } else if (response.status === 'rejected') {
+          socket.emit('bid_error', response);
+        } else {
+          socket.emit('bid_accepted', response);
+        }
+      };
+
       try {
         if (!socket.isAuthenticated) {
-          socket.emit('bid_error', { message: 'Authentication required to bid' });
+          respond({ status: 'rejected', message: 'Authentication required to bid' });
           return;
         }
 
-        const { auctionId, amount, maxBid } = data;
-        
-        // Emit optimistic update to the bidder
-        socket.emit('bid_optimistic', {
-          auctionId,
-          amount,
-          status: 'processing'
-        });
+        const { auctionId, amount, maxBid, confirmBuyNow, idempotencyKey } = data || {};
 
-        // The actual bid processing happens in the API route
-        // This is just for real-time feedback
-        
+        if (!Number.isInteger(Number(auctionId))) {
+          respond({ status: 'rejected', message: 'Valid auction ID is required' });
+          return;
+        }
+
+        if (!(parseFloat(amount) >= 0.01)) {
+          respond({ status: 'rejected', message: 'Bid amount must be positive' });
+          return;
+        }
+
+        if (maxBid !== undefined && maxBid !== null && !(parseFloat(maxBid) >= 0.01)) {
+          respond({ status: 'rejected', message: 'Max bid must be positive' });
+          return;
+        }
+
+        if (idempotencyKey !== undefined && (typeof idempotencyKey !== 'string' || idempotencyKey.length > MAX_KEY_LENGTH)) {
+          respond({ status: 'rejected', message: `Idempotency key must be a string of at most ${MAX_KEY_LENGTH} characters` });
+          return;
+        }
+
+        // A retried emit with the same idempotency key gets the original outcome
+        const result = await runIdempotent(
+          {
+            key: idempotencyKey,
+            userId: socket.userId,
+            scope: 'socket_bid',
+            fingerprint: fingerprintRequest('place_bid', auctionId, amount, maxBid, confirmBuyNow)
+          },
+          () => placeBid({
+            auctionId: Number(auctionId),
+            bidder: { id: socket.userId, username: socket.username },
+            amount,
+            maxBid,
+            confirmBuyNow: confirmBuyNow === true
+          })
+        );
+
+        respond({
+          status: result.status < 400 ? 'accepted' : 'rejected',
+          ...(result.replayed ? { replayed: true } : {}),
+          ...result.payload
+        });
       } catch (error) {
         console.error('Socket bid error:', error);
-        socket.emit('bid_error', { message: 'Failed to process bid' });
+        respond({ status: 'rejected', message: 'Failed to place bid' });
       }
     });
 
@@ -159,7 +208,7 @@ const socketHandler = (io) => {
         socket.emit('auction_watched', { auctionId, status: 'added' });
         
         // Notify auction room about new watcher
-        io.to(`auction_${auctionId}`).emit('watch_count_updated', {
+        realtime.emitToAuction(auctionId, realtime.EVENTS.WATCH_COUNT_UPDATED, {
           auctionId,
           increment: 1
         });
@@ -192,7 +241,7 @@ const socketHandler = (io) => {
           socket.emit('auction_unwatched', { auctionId, status: 'removed' });
           
           // Notify auction room about removed watcher
-          io.to(`auction_${auctionId}`).emit('watch_count_updated', {
+          realtime.emitToAuction(auctionId, realtime.EVENTS.WATCH_COUNT_UPDATED, {
             auctionId,
             increment: -1
           });
@@ -256,31 +305,6 @@ const socketHandler = (io) => {
     });
   });
 
-  // Utility functions for emitting events from other parts of the app
-  io.emitToBidders = (auctionId, event, data) => {
-    io.to(`auction_${auctionId}`).emit(event, data);
-  };
-
-  io.emitToUser = (userId, event, data) => {
-    io.to(`user_${userId}`).emit(event, data);
-  };
-
-  io.emitBidUpdate = (auctionId, bidData) => {
-    io.to(`auction_${auctionId}`).emit('bid_placed', bidData);
-  };
-
-  io.emitAuctionEnded = (auctionId, endData) => {
-    io.to(`auction_${auctionId}`).emit('auction_ended', endData);
-  };
-
-  io.emitAuctionExtended = (auctionId, newEndTime) => {
-    io.to(`auction_${auctionId}`).emit('auction_extended', {
-      auctionId,
-      newEndTime,
-      message: 'Auction extended due to last-minute bidding'
-    });
-  };
-
   // Periodic cleanup of inactive connections
   setInterval(() => {
     const now = Date.now();
@@ -0,0 +1,44 @@
+const { DEFAULT_ANTI_SNIPE_POLICY, getExtendedEndTime } = require('../utils/antiSnipe');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const secondsFromNow = (seconds) => new Date(NOW.getTime() + seconds * 1000);
+
+describe('getExtendedEndTime', () => {
+  const policy = DEFAULT_ANTI_SNIPE_POLICY;
+
+  it('does not extend for a bid before the trigger window', () => {
+    expect(getExtendedEndTime(policy, secondsFromNow(301), 0, NOW)).toBeNull();
+    expect(getExtendedEndTime(policy, secondsFromNow(300), 0, NOW)).toBeNull();
+  });
+
+  it('pushes the end out to extensionSeconds from the bid', () => {
+    expect(getExtendedEndTime(policy, secondsFromNow(60), 0, NOW)).toEqual(secondsFromNow(300));
+    expect(getExtendedEndTime(policy, secondsFromNow(1), 0, NOW)).toEqual(secondsFromNow(300));
+  });
+
+  it('accepts the end time as a string', () => {
+    expect(getExtendedEndTime(policy, secondsFromNow(60).toISOString(), 0, NOW)).toEqual(secondsFromNow(300));
+  });
+
+  it('stops at the total extension cap', () => {
+    expect(getExtendedEndTime(policy, secondsFromNow(60), 3500, NOW)).toEqual(secondsFromNow(160));
+    expect(getExtendedEndTime(policy, secondsFromNow(60), 3600, NOW)).toBeNull();
+  });
+
+  it('has no cap when maxTotalExtensionSeconds is null', () => {
+    const uncapped = { ...policy, maxTotalExtensionSeconds: null };
+
+    expect(getExtendedEndTime(uncapped, secondsFromNow(60), 100000, NOW)).toEqual(secondsFromNow(300));
+  });
+
+  it('is off when extensionSeconds is 0', () => {
+    expect(getExtendedEndTime({ ...policy, extensionSeconds: 0 }, secondsFromNow(10), 0, NOW)).toBeNull();
+  });
+
+  it('never moves the end earlier', () => {
+    const longWindow = { triggerWindowSeconds: 600, extensionSeconds: 120, maxTotalExtensionSeconds: null };
+
+    expect(getExtendedEndTime(longWindow, secondsFromNow(500), 0, NOW)).toBeNull();
+    expect(getExtendedEndTime(longWindow, secondsFromNow(60), 0, NOW)).toEqual(secondsFromNow(120));
+  });
+});
@@ -0,0 +1,64 @@
+jest.mock('../config/database', () => ({ pool: { connect: jest.fn() }, query: jest.fn() }));
+jest.mock('../config/redis', () => ({ cache: { get: jest.fn(), set: jest.fn(), del: jest.fn() }, CACHE_KEYS: {} }));
+jest.mock('../utils/settings', () => ({ getSetting: jest.fn().mockResolvedValue(null) }));
+jest.mock('../utils/realtime', () => ({}));
+jest.mock('../utils/notifications', () => ({ NOTIFICATION_TYPES: {} }));
+
+const { lowerReserve } = require('../utils/bidEngine');
+
+const auction = {
+  id: 1,
+  current_price: '80.00',
+  reserve_price: '150.00',
+  bid_count: 3
+};
+
+const leader = { id: 9, bidder_id: 20, amount: '80.00', max_bid: '200.00', created_at: new Date('2026-01-01') };
+
+// Transaction client answering the statements lowerReserve runs
+const createClient = (proxies) => ({
+  query: jest.fn(async (sql, params) => {
+    if (sql.includes('is_winning = true') && sql.includes('SELECT')) return { rows: [leader] };
+    if (sql.includes('FROM proxy_bids')) return { rows: proxies };
+    if (sql.includes('INSERT INTO bids')) {
+      return { rows: [{ id: 10, bidder_id: params[1], amount: params[2], is_auto_bid: params[5] }] };
+    }
+    if (sql.includes('UPDATE auctions')) {
+      return { rows: [{ ...auction, reserve_price: params[0], current_price: params[1], bid_count: params[2] }] };
+    }
+    return { rows: [] };
+  })
+});
+
+describe('lowerReserve', () => {
+  it("lifts the price to the reserve with an auto-bid when the leader's maximum covers it", async () => {
+    const client = createClient([{ bidder_id: 20, max_amount: '200.00', updated_at: new Date('2026-01-01') }]);
+
+    const result = await lowerReserve(client, auction, 120);
+
+    expect(result.autoBid).toEqual(expect.objectContaining({ bidder_id: 20, amount: 120, is_auto_bid: true }));
+    expect(result.auction.current_price).toBe(120);
+    expect(result.auction.bid_count).toBe(4);
+  });
+
+  it('ignores a maximum the leader cancelled', async () => {
+    const client = createClient([]);
+
+    const result = await lowerReserve(client, auction, 120);
+
+    expect(result.autoBid).toBeNull();
+    expect(result.auction.current_price).toBe(80);
+    expect(result.auction.bid_count).toBe(3);
+    expect(client.query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO bids'), expect.anything());
+  });
+
+  it('only stores the reserve when it is removed', async () => {
+    const client = createClient([]);
+
+    const result = await lowerReserve(client, auction, null);
+
+    expect(result.autoBid).toBeNull();
+    expect(result.auction.reserve_price).toBeNull();
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,63 @@
+const {
+  DEFAULT_INCREMENT_LADDER,
+  validateLadder,
+  getIncrement,
+  getMinimumBid
+} = require('../utils/bidIncrements');
+
+describe('validateLadder', () => {
+  it('accepts the default ladder', () => {
+    expect(validateLadder(DEFAULT_INCREMENT_LADDER)).toBeNull();
+  });
+
+  it('accepts numeric strings from form fields', () => {
+    expect(validateLadder([{ from: '0', increment: '0.5' }, { from: '50', increment: '2' }])).toBeNull();
+  });
+
+  it('rejects anything but a non-empty array', () => {
+    expect(validateLadder(undefined)).toMatch(/non-empty array/);
+    expect(validateLadder('[{"from":0,"increment":1}]')).toMatch(/non-empty array/);
+    expect(validateLadder([])).toMatch(/non-empty array/);
+  });
+
+  it('rejects tiers that are not objects', () => {
+    expect(validateLadder([{ from: 0, increment: 1 }, null])).toBe('Tier 2 must be an object with "from" and "increment"');
+  });
+
+  it('rejects a negative or missing "from"', () => {
+    expect(validateLadder([{ from: 0, increment: 1 }, { from: -5, increment: 1 }])).toMatch(/^Tier 2: "from"/);
+    expect(validateLadder([{ increment: 1 }])).toMatch(/^Tier 1: "from"/);
+  });
+
+  it('rejects increments below one cent', () => {
+    expect(validateLadder([{ from: 0, increment: 0.001 }])).toMatch(/^Tier 1: "increment"/);
+    expect(validateLadder([{ from: 0, increment: 'abc' }])).toMatch(/^Tier 1: "increment"/);
+  });
+
+  it('requires the first tier to start from 0', () => {
+    expect(validateLadder([{ from: 10, increment: 1 }])).toBe('The first tier must start from 0');
+  });
+
+  it('requires ascending tiers without duplicates', () => {
+    const message = 'Tiers must be sorted by ascending "from" with no duplicates';
+
+    expect(validateLadder([{ from: 0, increment: 1 }, { from: 100, increment: 5 }, { from: 50, increment: 2 }])).toBe(message);
+    expect(validateLadder([{ from: 0, increment: 1 }, { from: 0, increment: 2 }])).toBe(message);
+  });
+});
+
+describe('getIncrement', () => {
+  it('uses the highest tier at or below the price', () => {
+    expect(getIncrement(0)).toBe(0.5);
+    expect(getIncrement(19.99)).toBe(0.5);
+    expect(getIncrement(20)).toBe(1);
+    expect(getIncrement(5000)).toBe(25);
+  });
+
+  it('gives the lowest next bid on a custom ladder', () => {
+    const ladder = [{ from: 0, increment: 1 }, { from: 10, increment: 3 }];
+
+    expect(getMinimumBid('9.50', ladder)).toBe(10.5);
+    expect(getMinimumBid('10.00', ladder)).toBe(13);
+  });
+});
@@ -0,0 +1,87 @@
+const { validateSpecs, parseSpecFilters, specFilterSql } = require('../utils/categorySpecs');
+
+const GPU_SCHEMA = [
+  { key: 'chipset', label: 'Chipset', type: 'text', required: true },
+  { key: 'vram', label: 'VRAM', type: 'number', unit: 'GB', min: 1, max: 64, required: true },
+  { key: 'brand', label: 'Brand', type: 'enum', options: ['ASUS', 'MSI', 'Gigabyte'] },
+  { key: 'lhr', label: 'LHR', type: 'boolean' }
+];
+
+describe('validateSpecs', () => {
+  it('normalizes values from form fields', () => {
+    const result = validateSpecs(GPU_SCHEMA, { chipset: ' RTX 3080 ', vram: '10', brand: 'msi', lhr: 'false' });
+
+    expect(result).toEqual({ specs: { chipset: 'RTX 3080', vram: 10, brand: 'MSI', lhr: false } });
+  });
+
+  it('drops empty values', () => {
+    expect(validateSpecs(GPU_SCHEMA, { chipset: 'RTX 3080', vram: 10, brand: '', lhr: null }))
+      .toEqual({ specs: { chipset: 'RTX 3080', vram: 10 } });
+  });
+
+  it('rejects specs that are not an object', () => {
+    expect(validateSpecs(GPU_SCHEMA, ['RTX 3080'])).toEqual({ error: 'Specs must be an object' });
+    expect(validateSpecs(GPU_SCHEMA, 'RTX 3080')).toEqual({ error: 'Specs must be an object' });
+  });
+
+  it('rejects keys outside the schema', () => {
+    expect(validateSpecs(GPU_SCHEMA, { chipset: 'RTX 3080', vram: 10, socket: 'AM4' }))
+      .toEqual({ error: 'Unknown spec for this category: socket' });
+    expect(validateSpecs(null, { socket: 'AM4' })).toEqual({ error: 'Unknown spec for this category: socket' });
+  });
+
+  it('rejects values that do not fit their field', () => {
+    expect(validateSpecs(GPU_SCHEMA, { chipset: 'RTX 3080', vram: 'ten' })).toEqual({ error: 'VRAM must be a number' });
+    expect(validateSpecs(GPU_SCHEMA, { chipset: 'RTX 3080', vram: 128 })).toEqual({ error: 'VRAM must be between 1 and 64 GB' });
+    expect(validateSpecs(GPU_SCHEMA, { chipset: 'RTX 3080', vram: 10, brand: 'EVGA' }))
+      .toEqual({ error: 'Brand must be one of: ASUS, MSI, Gigabyte' });
+    expect(validateSpecs(GPU_SCHEMA, { chipset: 'RTX 3080', vram: 10, lhr: 'yes' })).toEqual({ error: 'LHR must be true or false' });
+    expect(validateSpecs(GPU_SCHEMA, { chipset: 'x'.repeat(101), vram: 10 })).toEqual({ error: 'Chipset must be 1-100 characters' });
+  });
+
+  it('requires required fields unless partial', () => {
+    expect(validateSpecs(GPU_SCHEMA, { chipset: 'RTX 3080' })).toEqual({ error: 'VRAM is required' });
+    expect(validateSpecs(GPU_SCHEMA, { chipset: 'RTX 3080' }, { partial: true })).toEqual({ specs: { chipset: 'RTX 3080' } });
+  });
+});
+
+describe('parseSpecFilters', () => {
+  it('reads equality and range filters and ignores other parameters', () => {
+    expect(parseSpecFilters({ sort: 'newest', 'spec.socket': ' AM4 ', 'spec.vram_gte': '8', 'spec.vram_lte': '16' })).toEqual({
+      filters: [
+        { key: 'socket', op: 'eq', value: 'AM4' },
+        { key: 'vram', op: 'gte', value: 8 },
+        { key: 'vram', op: 'lte', value: 16 }
+      ]
+    });
+  });
+
+  it('rejects invalid keys, repeated and non-numeric range values', () => {
+    expect(parseSpecFilters({ 'spec.Socket': 'AM4' })).toEqual({ error: 'Invalid spec filter: spec.Socket' });
+    expect(parseSpecFilters({ 'spec.socket': ['AM4', 'AM5'] })).toEqual({ error: 'spec.socket must have a single value' });
+    expect(parseSpecFilters({ 'spec.vram_gte': 'lots' })).toEqual({ error: 'spec.vram_gte must be a number' });
+  });
+});
+
+describe('specFilterSql', () => {
+  it('matches text filters as text only', () => {
+    const { sql, param } = specFilterSql('a.specs', { key: 'socket', op: 'eq', value: 'AM4' }, 5);
+
+    expect(sql).toBe('a.specs @> ANY($5::jsonb[])');
+    expect(param).toEqual(['{"socket":"AM4"}']);
+  });
+
+  it('matches numeric and boolean looking values with their typed forms too', () => {
+    expect(specFilterSql('a.specs', { key: 'vram', op: 'eq', value: '10' }, 2).param)
+      .toEqual(['{"vram":"10"}', '{"vram":10}']);
+    expect(specFilterSql('a.specs', { key: 'lhr', op: 'eq', value: 'true' }, 2).param)
+      .toEqual(['{"lhr":"true"}', '{"lhr":true}']);
+  });
+
+  it('builds a jsonpath for ranges', () => {
+    expect(specFilterSql('a.specs', { key: 'vram', op: 'gte', value: 8 }, 3))
+      .toEqual({ sql: 'a.specs @? $3::jsonpath', param: '$."vram" ? (@ >= 8)' });
+    expect(specFilterSql('a.specs', { key: 'vram', op: 'lte', value: 16.5 }, 4))
+      .toEqual({ sql: 'a.specs @? $4::jsonpath', param: '$."vram" ? (@ <= 16.5)' });
+  });
+});
@@ -0,0 +1,89 @@
+jest.mock('../config/redis', () => ({
+  cache: { get: jest.fn(), set: jest.fn() },
+  CACHE_KEYS: { FEED_SNAPSHOT: (snapshotId) => `auction:feed:snapshot:${snapshotId}` }
+}));
+
+const { cache } = require('../config/redis');
+const { SNAPSHOT_SIZE, encodeCursor, decodeCursor, saveSnapshot, loadSnapshot } = require('../utils/feedCursor');
+
+const token = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const NEWEST_POSITION = [false, '2026-10-18T09:30:00.123456', 42];
+const PRICE_POSITION = [125.5, 42];
+
+describe('decodeCursor', () => {
+  it('reads back an encoded keyset cursor', () => {
+    const cursor = encodeCursor({ sort: 'newest', position: NEWEST_POSITION, cycle: 2 });
+
+    expect(decodeCursor(cursor, 'newest')).toEqual({ position: NEWEST_POSITION, cycle: 2, snapshot: null, offset: 0 });
+  });
+
+  it('reads back an encoded snapshot cursor', () => {
+    const cursor = encodeCursor({ sort: 'price_low', position: PRICE_POSITION, cycle: 1, snapshot: 'AbCdEfGh_-123456', offset: 20 });
+
+    expect(decodeCursor(cursor, 'price_low')).toEqual({ position: PRICE_POSITION, cycle: 1, snapshot: 'AbCdEfGh_-123456', offset: 20 });
+  });
+
+  it('rejects tokens that are not cursors', () => {
+    expect(decodeCursor('not a cursor', 'newest')).toBeNull();
+    expect(decodeCursor(Buffer.from('{"sort":').toString('base64url'), 'newest')).toBeNull();
+    expect(decodeCursor(token(null), 'newest')).toBeNull();
+  });
+
+  it('rejects a cursor from another sort', () => {
+    const cursor = encodeCursor({ sort: 'price_high', position: PRICE_POSITION, cycle: 1 });
+
+    expect(decodeCursor(cursor, 'price_low')).toBeNull();
+  });
+
+  it('rejects positions that do not fit the sort keys', () => {
+    expect(decodeCursor(token({ sort: 'newest', position: [false, 42], cycle: 1 }), 'newest')).toBeNull();
+    expect(decodeCursor(token({ sort: 'newest', position: ['false', '2026-10-18', 42], cycle: 1 }), 'newest')).toBeNull();
+    expect(decodeCursor(token({ sort: 'newest', position: [false, 'yesterday', 42], cycle: 1 }), 'newest')).toBeNull();
+    expect(decodeCursor(token({ sort: 'price_low', position: [125.5, 4.2], cycle: 1 }), 'price_low')).toBeNull();
+    expect(decodeCursor(token({ sort: 'price_low', position: 'abc', cycle: 1 }), 'price_low')).toBeNull();
+  });
+
+  it('rejects a missing or invalid cycle', () => {
+    expect(decodeCursor(token({ sort: 'price_low', position: PRICE_POSITION }), 'price_low')).toBeNull();
+    expect(decodeCursor(token({ sort: 'price_low', position: PRICE_POSITION, cycle: 0 }), 'price_low')).toBeNull();
+    expect(decodeCursor(token({ sort: 'price_low', position: PRICE_POSITION, cycle: 1.5 }), 'price_low')).toBeNull();
+  });
+
+  it('rejects an invalid snapshot or offset', () => {
+    const cursor = { sort: 'popular', position: [3, '2026-10-18T09:30:00', 42], cycle: 1 };
+
+    expect(decodeCursor(token({ ...cursor, snapshot: '../../etc', offset: 0 }), 'popular')).toBeNull();
+    expect(decodeCursor(token({ ...cursor, snapshot: 'AbCdEfGh_-123456' }), 'popular')).toBeNull();
+    expect(decodeCursor(token({ ...cursor, snapshot: 'AbCdEfGh_-123456', offset: -1 }), 'popular')).toBeNull();
+    expect(decodeCursor(token({ ...cursor, snapshot: 'AbCdEfGh_-123456', offset: SNAPSHOT_SIZE + 1 }), 'popular')).toBeNull();
+  });
+});
+
+describe('feed snapshots', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('saves the auction IDs in order under a new snapshot ID', async () => {
+    cache.set.mockResolvedValue(true);
+
+    const snapshot = await saveSnapshot([5, 3, 9]);
+
+    expect(snapshot).toMatch(/^[A-Za-z0-9_-]{16}$/);
+    expect(cache.set).toHaveBeenCalledWith(`auction:feed:snapshot:${snapshot}`, [5, 3, 9], expect.any(Number));
+  });
+
+  it('returns no snapshot when it cannot be saved', async () => {
+    cache.set.mockResolvedValue(false);
+
+    expect(await saveSnapshot([5, 3, 9])).toBeNull();
+  });
+
+  it('loads a saved snapshot', async () => {
+    cache.get.mockResolvedValue([5, 3, 9]);
+
+    expect(await loadSnapshot('AbCdEfGh_-123456')).toEqual([5, 3, 9]);
+    expect(cache.get).toHaveBeenCalledWith('auction:feed:snapshot:AbCdEfGh_-123456');
+  });
+});
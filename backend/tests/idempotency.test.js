@@ -0,0 +1,92 @@
+jest.mock('../utils/idempotency', () => ({
+  ...jest.requireActual('../utils/idempotency'),
+  reserveKey: jest.fn(),
+  completeKey: jest.fn(),
+  releaseKey: jest.fn()
+}));
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+
+const { reserveKey } = require('../utils/idempotency');
+const { idempotent } = require('../middleware/idempotency');
+
+const createRequest = (key) => ({
+  method: 'POST',
+  originalUrl: '/api/auctions',
+  body: { title: 'Graphics card' },
+  user: { id: 7 },
+  files: [{ filename: 'auction-1.jpg' }],
+  get: (header) => (header === 'Idempotency-Key' ? key : undefined)
+});
+
+const createResponse = () => {
+  const res = { headers: {} };
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value;
+    return res;
+  });
+  res.on = jest.fn();
+  return res;
+};
+
+describe('idempotent middleware', () => {
+  let onReject;
+  let next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    onReject = jest.fn();
+    next = jest.fn();
+  });
+
+  it('runs onReject before replaying a stored response', async () => {
+    reserveKey.mockResolvedValue({ reserved: false, replayed: true, status: 201, payload: { auction: { id: 3 } } });
+    const req = createRequest('key-1');
+    const res = createResponse();
+
+    await idempotent('create_auction', { onReject })(req, res, next);
+
+    expect(onReject).toHaveBeenCalledWith(req);
+    expect(res.headers['Idempotent-Replayed']).toBe('true');
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('runs onReject when the key was used for another request', async () => {
+    reserveKey.mockResolvedValue({ reserved: false, status: 422, payload: { message: 'Different request' } });
+    const req = createRequest('key-1');
+    const res = createResponse();
+
+    await idempotent('create_auction', { onReject })(req, res, next);
+
+    expect(onReject).toHaveBeenCalledWith(req);
+    expect(res.status).toHaveBeenCalledWith(422);
+  });
+
+  it('runs onReject for a key that is too long', async () => {
+    const res = createResponse();
+
+    await idempotent('create_auction', { onReject })(createRequest('k'.repeat(300)), res, next);
+
+    expect(onReject).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(reserveKey).not.toHaveBeenCalled();
+  });
+
+  it('hands a new key on to the route without onReject', async () => {
+    reserveKey.mockResolvedValue({ reserved: true });
+
+    await idempotent('create_auction', { onReject })(createRequest('key-2'), createResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(onReject).not.toHaveBeenCalled();
+  });
+
+  it('passes requests without a key straight through', async () => {
+    await idempotent('create_auction', { onReject })(createRequest(undefined), createResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(reserveKey).not.toHaveBeenCalled();
+  });
+});
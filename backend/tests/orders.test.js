@@ -0,0 +1,100 @@
+jest.mock('../config/database', () => ({ pool: { connect: jest.fn() }, query: jest.fn() }));
+jest.mock('../utils/settings', () => ({ getSetting: jest.fn().mockResolvedValue(null) }));
+jest.mock('../utils/notifications', () => ({
+  sendNotification: jest.fn(),
+  NOTIFICATION_TYPES: {
+    PAYMENT_RECEIVED: 'payment_received',
+    ITEM_SHIPPED: 'item_shipped',
+    ITEM_DELIVERED: 'item_delivered',
+    ORDER_UPDATED: 'order_updated'
+  }
+}));
+
+const { pool } = require('../config/database');
+const { ORDER_STATUSES, ORDER_ACTIONS, transitionOrder } = require('../utils/orders');
+
+const SELLER = { id: 10 };
+const BUYER = { id: 20 };
+
+// Transaction client holding one order in `status`
+const createClient = (status) => ({
+  query: jest.fn(async (sql, values) => {
+    if (sql.includes('FOR UPDATE OF o')) {
+      return { rows: [{ id: 1, auction_id: 5, seller_id: SELLER.id, buyer_id: BUYER.id, status, auction_title: 'Lamp' }] };
+    }
+    if (sql.startsWith('UPDATE orders')) {
+      return { rows: [{ id: 1, auction_id: 5, seller_id: SELLER.id, buyer_id: BUYER.id, amount: '10.00', status: values[0] }] };
+    }
+    return { rows: [] };
+  }),
+  release: jest.fn()
+});
+
+const run = async (status, action, user) => {
+  const client = createClient(status);
+  pool.connect.mockResolvedValue(client);
+  const result = await transitionOrder({ orderId: 1, user, action, trackingNumber: 'TRK1', reason: 'Not as described' });
+  return { result, statements: client.query.mock.calls.map(([sql]) => sql) };
+};
+
+// A user allowed to make `action`
+const actorFor = (action) => (ORDER_ACTIONS[action].actor === 'buyer' ? BUYER : SELLER);
+
+describe('ORDER_ACTIONS', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('only moves between known statuses', () => {
+    for (const { from, to, actor } of Object.values(ORDER_ACTIONS)) {
+      expect(ORDER_STATUSES).toEqual(expect.arrayContaining([...from, to]));
+      expect(['buyer', 'seller', 'either']).toContain(actor);
+    }
+  });
+
+  for (const [action, { from, to }] of Object.entries(ORDER_ACTIONS)) {
+    it(`${action} moves ${from.join(', ')} to ${to}`, async () => {
+      for (const status of from) {
+        const { result, statements } = await run(status, action, actorFor(action));
+
+        expect(result.accepted).toBe(true);
+        expect(result.payload.order.status).toBe(to);
+        expect(statements).toContain('COMMIT');
+      }
+    });
+
+    it(`${action} is refused from any other status`, async () => {
+      for (const status of ORDER_STATUSES.filter(status => !from.includes(status))) {
+        const { result, statements } = await run(status, action, actorFor(action));
+
+        expect(result).toEqual(expect.objectContaining({ accepted: false, status: 409 }));
+        expect(statements).toContain('ROLLBACK');
+        expect(statements.some(sql => sql.startsWith('UPDATE orders'))).toBe(false);
+      }
+    });
+  }
+
+  it('refuses an action by the wrong party', async () => {
+    const { result } = await run('pending_payment', 'confirm_payment', BUYER);
+    expect(result).toEqual(expect.objectContaining({ accepted: false, status: 403 }));
+
+    const receipt = await run('shipped', 'confirm_receipt', SELLER);
+    expect(receipt.result).toEqual(expect.objectContaining({ accepted: false, status: 403 }));
+  });
+
+  it('hides the order from anyone else', async () => {
+    const { result } = await run('paid', 'dispute', { id: 99 });
+    expect(result).toEqual(expect.objectContaining({ accepted: false, status: 404 }));
+  });
+
+  it('records the tracking number when shipping', async () => {
+    const client = createClient('paid');
+    pool.connect.mockResolvedValue(client);
+    await transitionOrder({ orderId: 1, user: SELLER, action: 'ship', trackingNumber: 'TRK1' });
+
+    const [sql, values] = client.query.mock.calls.find(([statement]) => statement.startsWith('UPDATE orders'));
+    expect(sql).toContain('dispatched_at = CURRENT_TIMESTAMP');
+    expect(sql).toContain('tracking_number = $');
+    expect(values).toContain('TRK1');
+  });
+});
@@ -0,0 +1,64 @@
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+
+const { checkCompatibility, withCompatibility } = require('../utils/rigs');
+
+const RIG = {
+  id: 4,
+  name: 'Gaming PC',
+  socket: 'AM4',
+  chipset: 'B550',
+  ram_type: 'DDR4',
+  psu_wattage: 650,
+  gpu_clearance_mm: 300
+};
+
+const checks = (result) => Object.fromEntries(result.reasons.map(({ check, compatible }) => [check, compatible]));
+
+describe('checkCompatibility', () => {
+  it('is compatible when every applicable check passes', () => {
+    const result = checkCompatibility({ socket: 'am 4', ram_type: 'ddr4', compatible_chipsets: 'X570, B550, A520' }, RIG);
+
+    expect(result.rig).toEqual({ id: 4, name: 'Gaming PC' });
+    expect(result.verdict).toBe('compatible');
+    expect(checks(result)).toEqual({ socket: true, ram_type: true, chipset: true });
+  });
+
+  it('is incompatible when any check fails', () => {
+    const result = checkCompatibility({ socket: 'LGA 1700', ddr_gen: 'DDR4' }, RIG);
+
+    expect(result.verdict).toBe('incompatible');
+    expect(checks(result)).toEqual({ socket: false, ram_type: true });
+    expect(result.reasons[0].message).toBe('Needs a LGA 1700 socket; your rig has AM4');
+  });
+
+  it('checks graphics card length and PSU wattage', () => {
+    expect(checks(checkCompatibility({ length_mm: 285, min_psu_w: 650 }, RIG))).toEqual({ gpu_clearance: true, psu_wattage: true });
+    expect(checks(checkCompatibility({ length_mm: 336, min_psu_w: 850 }, RIG))).toEqual({ gpu_clearance: false, psu_wattage: false });
+  });
+
+  it('does not compare chipsets missing from the list', () => {
+    const result = checkCompatibility({ compatible_chipsets: 'Z690, B660' }, RIG);
+
+    expect(result.verdict).toBe('incompatible');
+    expect(result.reasons[0].message).toBe('Does not support your B550 chipset (supports Z690, B660)');
+  });
+
+  it('is unknown when nothing can be compared', () => {
+    expect(checkCompatibility({}, RIG)).toEqual({ rig: { id: 4, name: 'Gaming PC' }, verdict: 'unknown', reasons: [] });
+    expect(checkCompatibility(null, RIG).verdict).toBe('unknown');
+    expect(checkCompatibility({ socket: 'AM4' }, { id: 5, name: 'Bare' }).verdict).toBe('unknown');
+  });
+
+  it('skips lengths and wattages that are not numbers', () => {
+    expect(checkCompatibility({ length_mm: '285', min_psu_w: '650' }, RIG).verdict).toBe('unknown');
+  });
+});
+
+describe('withCompatibility', () => {
+  it('adds a verdict for each auction, or null without a rig', () => {
+    const auctions = [{ id: 1, specs: { socket: 'AM4' } }];
+
+    expect(withCompatibility(auctions, RIG)[0].compatibility.verdict).toBe('compatible');
+    expect(withCompatibility(auctions, null)[0].compatibility).toBeNull();
+  });
+});
@@ -0,0 +1,89 @@
+jest.mock('node-cron', () => ({ schedule: jest.fn() }));
+jest.mock('../config/database', () => ({ pool: { connect: jest.fn() }, query: jest.fn() }));
+jest.mock('../config/redis', () => ({
+  cache: { get: jest.fn(), set: jest.fn(), del: jest.fn() },
+  CACHE_KEYS: { AUCTION_DETAILS: (auctionId) => `auction:details:${auctionId}` }
+}));
+jest.mock('../utils/imageProcessor', () => ({ deleteAuctionImages: jest.fn() }));
+jest.mock('../utils/realtime', () => ({ emitAuctionEnded: jest.fn() }));
+jest.mock('../utils/settings', () => ({ getSetting: jest.fn().mockResolvedValue(null) }));
+jest.mock('../utils/notifications', () => ({
+  sendAuctionEndingReminders: jest.fn(),
+  sendDailyWatchlistDigest: jest.fn(),
+  sendNotification: jest.fn(),
+  NOTIFICATION_TYPES: { AUCTION_WON: 'auction_won', AUCTION_SOLD: 'auction_sold', AUCTION_LOST: 'auction_lost' }
+}));
+
+const { pool, query } = require('../config/database');
+const realtime = require('../utils/realtime');
+const { sendNotification } = require('../utils/notifications');
+const scheduler = require('../utils/scheduler');
+
+// Transaction client answering the statements endAuction runs
+const createClient = () => ({
+  query: jest.fn(async (sql) => {
+    if (sql.includes('FOR UPDATE')) return { rows: [{ id: 1 }] };
+    if (sql.includes('INSERT INTO orders')) return { rows: [{ id: 77, status: 'pending_payment' }] };
+    return { rows: [] };
+  }),
+  release: jest.fn()
+});
+
+const soldAuction = {
+  id: 1,
+  title: 'Mountain bike',
+  seller_id: 10,
+  winner_id: 20,
+  winning_bid: '150.00',
+  current_price: '150.00',
+  reserve_price: '100.00',
+  starting_price: '50.00'
+};
+
+describe('scheduler.endAuction', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = createClient();
+    pool.connect.mockResolvedValue(client);
+    query.mockResolvedValue({ rows: [] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('marks a sold auction sold and creates the winner\'s order in the same transaction', async () => {
+    await scheduler.endAuction(soldAuction);
+
+    const statements = client.query.mock.calls.map(([sql]) => sql);
+    const insertIndex = statements.findIndex(sql => sql.includes('INSERT INTO orders'));
+
+    expect(insertIndex).toBeGreaterThan(-1);
+    expect(statements.indexOf('COMMIT')).toBeGreaterThan(insertIndex);
+    expect(statements).not.toContain('ROLLBACK');
+    expect(client.query.mock.calls[insertIndex][1]).toEqual([1, 10, 20, 150, 'auction', 72]);
+    expect(client.release).toHaveBeenCalled();
+
+    expect(realtime.emitAuctionEnded).toHaveBeenCalledWith(1, expect.objectContaining({
+      status: 'sold',
+      winnerId: 20,
+      finalPrice: 150
+    }));
+    expect(sendNotification).toHaveBeenCalledWith(
+      20, 'auction_won', expect.any(String), expect.any(String),
+      expect.objectContaining({ orderId: 77 })
+    );
+  });
+
+  it('ends an auction below its reserve without an order', async () => {
+    await scheduler.endAuction({ ...soldAuction, reserve_price: '200.00' });
+
+    const statements = client.query.mock.calls.map(([sql]) => sql);
+    expect(statements.some(sql => sql.includes('INSERT INTO orders'))).toBe(false);
+    expect(statements).toContain('COMMIT');
+    expect(realtime.emitAuctionEnded).toHaveBeenCalledWith(1, expect.objectContaining({ status: 'ended', winnerId: null }));
+  });
+});
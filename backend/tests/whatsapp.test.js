@@ -0,0 +1,74 @@
+const whatsapp = require('../utils/whatsapp');
+
+describe('WhatsApp messages', () => {
+  let fake;
+  let previous;
+
+  beforeEach(() => {
+    fake = whatsapp.createFakeTransport();
+    previous = whatsapp.setTransport(fake);
+  });
+
+  afterEach(() => {
+    whatsapp.setTransport(previous || whatsapp.createNoopTransport());
+  });
+
+  it('sends to the normalized number through the current transport', async () => {
+    expect(await whatsapp.sendWhatsAppMessage('+92 300 1234567', 'Your item has shipped')).toBe(true);
+
+    expect(fake.sent).toEqual([{ to: '923001234567', message: 'Your item has shipped', sentAt: expect.any(Date) }]);
+  });
+
+  it('does not send to an unusable number', async () => {
+    expect(await whatsapp.sendWhatsAppMessage('12-34', 'Hello')).toBe(false);
+    expect(await whatsapp.sendWhatsAppMessage(null, 'Hello')).toBe(false);
+
+    expect(fake.sent).toHaveLength(0);
+  });
+
+  it('refuses a transport without send', () => {
+    expect(() => whatsapp.setTransport({ name: 'broken' })).toThrow();
+    expect(whatsapp.getTransport()).toBe(fake);
+  });
+});
+
+describe('default WhatsApp transport', () => {
+  const env = process.env;
+
+  // A fresh copy of the module, so the transport is picked from `settings`
+  const loadWithEnv = (settings) => {
+    process.env = { ...env, WHATSAPP_TRANSPORT: '', WHATSAPP_API_KEY: '', WHATSAPP_PHONE_NUMBER_ID: '', ...settings };
+    let module;
+    jest.isolateModules(() => {
+      module = require('../utils/whatsapp');
+    });
+    return module;
+  };
+
+  afterEach(() => {
+    process.env = env;
+  });
+
+  it('drops messages when nothing is configured', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { getTransport, sendWhatsAppMessage } = loadWithEnv({});
+
+    expect(getTransport().name).toBe('none');
+    await sendWhatsAppMessage('+92 300 1234567', 'Secret');
+    expect(log).not.toHaveBeenCalled();
+
+    log.mockRestore();
+  });
+
+  it('uses the Cloud API once it is configured', () => {
+    const { getTransport } = loadWithEnv({ WHATSAPP_API_KEY: 'key', WHATSAPP_PHONE_NUMBER_ID: '123' });
+
+    expect(getTransport().name).toBe('cloud');
+  });
+
+  it('logs messages only when asked to', () => {
+    const { getTransport } = loadWithEnv({ WHATSAPP_TRANSPORT: 'log', WHATSAPP_API_KEY: 'key', WHATSAPP_PHONE_NUMBER_ID: '123' });
+
+    expect(getTransport().name).toBe('log');
+  });
+});
@@ -0,0 +1,97 @@
+// Anti-sniping policy helpers.
+// A bid placed inside the trigger window pushes the end time out to
+// `extensionSeconds` from now, until the auction has been extended by
+// `maxTotalExtensionSeconds` in total (null means no cap).
+//   { triggerWindowSeconds: 300, extensionSeconds: 300, maxTotalExtensionSeconds: 3600 }
+
+const DEFAULT_ANTI_SNIPE_POLICY = {
+  triggerWindowSeconds: 300,
+  extensionSeconds: 300,
+  maxTotalExtensionSeconds: 3600
+};
+
+const POLICY_FIELDS = Object.keys(DEFAULT_ANTI_SNIPE_POLICY);
+
+// Returns an error message, or null when the policy is valid.
+// Category overrides may be partial; the global policy must be complete.
+const validatePolicy = (policy, { partial = false } = {}) => {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return 'Anti-snipe policy must be an object';
+  }
+
+  for (const key of Object.keys(policy)) {
+    if (!POLICY_FIELDS.includes(key)) {
+      return `Unknown anti-snipe field: ${key}`;
+    }
+  }
+
+  for (const field of POLICY_FIELDS) {
+    const value = policy[field];
+
+    if (value === undefined) {
+      if (!partial) {
+        return `"${field}" is required`;
+      }
+      continue;
+    }
+
+    if (field === 'maxTotalExtensionSeconds' && value === null) {
+      continue;
+    }
+
+    if (!Number.isInteger(Number(value)) || Number(value) < 0) {
+      return `"${field}" must be a non-negative whole number of seconds`;
+    }
+  }
+
+  return null;
+};
+
+// Normalize a (possibly partial) policy into numeric fields
+const normalizePolicy = (policy) => {
+  const normalized = {};
+  for (const field of POLICY_FIELDS) {
+    if (policy[field] !== undefined) {
+      normalized[field] = policy[field] === null ? null : Number(policy[field]);
+    }
+  }
+  return normalized;
+};
+
+// Merge a category override over the global policy
+const resolvePolicy = (globalPolicy, override) => ({
+  ...DEFAULT_ANTI_SNIPE_POLICY,
+  ...(globalPolicy || {}),
+  ...(override || {})
+});
+
+// Work out the new end time for a bid placed at `now`.
+// Returns null when the auction should not be extended.
+const getExtendedEndTime = (policy, endTime, extendedSoFar = 0, now = new Date()) => {
+  const currentEnd = new Date(endTime);
+  const remaining = (currentEnd - now) / 1000;
+
+  if (policy.extensionSeconds <= 0 || remaining >= policy.triggerWindowSeconds) {
+    return null;
+  }
+
+  let extension = (now.getTime() + policy.extensionSeconds * 1000 - currentEnd.getTime()) / 1000;
+
+  if (policy.maxTotalExtensionSeconds !== null) {
+    extension = Math.min(extension, policy.maxTotalExtensionSeconds - extendedSoFar);
+  }
+
+  if (extension <= 0) {
+    return null;
+  }
+
+  return new Date(currentEnd.getTime() + Math.round(extension * 1000));
+};
+
+module.exports = {
+  DEFAULT_ANTI_SNIPE_POLICY,
+  validatePolicy,
+  normalizePolicy,
+  resolvePolicy,
+  getExtendedEndTime
+};
@@ -0,0 +1,22 @@
+const { query } = require('../config/database');
+
+// Record a sensitive action in audit_logs (listed at GET /api/admin/audit-logs).
+// `req` supplies the IP address and user agent.
+const recordAudit = async ({ req, userId, action, resourceType, resourceId, details = {} }) => {
+  await query(`
+    INSERT INTO audit_logs (user_id, action, resource_type, resource_id, details, ip_address, user_agent)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `, [
+    userId,
+    action,
+    resourceType,
+    resourceId,
+    JSON.stringify(details),
+    req?.ip || null,
+    req?.get('User-Agent') || null
+  ]);
+};
+
+module.exports = {
+  recordAudit
+};
@@ -0,0 +1,762 @@
+const { pool, query } = require('../config/database');
+const { cache, CACHE_KEYS } = require('../config/redis');
+const { getSetting } = require('./settings');
+const { normalizeLadder, getIncrement, getMinimumBid, roundPrice } = require('./bidIncrements');
+const { resolvePolicy, getExtendedEndTime } = require('./antiSnipe');
+const { createOrder } = require('./orders');
+const realtime = require('./realtime');
+const {
+  sendNotification,
+  notifyAuctionBidders,
+  notifyWatchlistUsers,
+  NOTIFICATION_TYPES
+} = require('./notifications');
+
+// Build a rejected result (nothing was written)
+const reject = (status, payload) => ({ accepted: false, status, payload });
+
+// Build an accepted result
+const accept = (payload) => ({ accepted: true, status: 200, payload });
+
+// Resolve the increment ladder for an auction: the seller's override, else the global setting
+const getAuctionLadder = async (auction) => {
+  if (auction.bid_increments) {
+    return normalizeLadder(auction.bid_increments);
+  }
+  return normalizeLadder(await getSetting('bid_increments'));
+};
+
+// Resolve the anti-snipe policy for an auction: the category's override over the global setting
+const getAntiSnipePolicy = async (auction) => {
+  const globalPolicy = await getSetting('anti_snipe');
+
+  if (!auction.category_id) {
+    return resolvePolicy(globalPolicy);
+  }
+
+  const result = await query('SELECT anti_snipe FROM categories WHERE id = $1', [auction.category_id]);
+  return resolvePolicy(globalPolicy, result.rows[0]?.anti_snipe);
+};
+
+// Whether an auction's reserve has been met (always true when there is no reserve).
+// Only this flag is exposed publicly; the reserve amount stays private to the seller.
+const isReserveMet = (auction) => {
+  if (!auction.reserve_price) {
+    return true;
+  }
+  return auction.bid_count > 0 && parseFloat(auction.current_price) >= parseFloat(auction.reserve_price);
+};
+
+// When the leading maximum bid covers the reserve, the price jumps straight to the reserve
+const applyReserve = (price, leaderMaxBid, reservePrice) => {
+  if (reservePrice && leaderMaxBid >= parseFloat(reservePrice) && price < parseFloat(reservePrice)) {
+    return parseFloat(reservePrice);
+  }
+  return price;
+};
+
+// Whether Buy It Now is still offered.
+// `rule` is the buy_now_removal setting:
+//   'never'       - available until the auction ends
+//   'first_bid'   - removed once the first bid is placed
+//   'reserve_met' - removed once the reserve is met (the first bid when there is no reserve)
+const isBuyNowAvailable = (auction, rule = 'reserve_met') => {
+  if (!auction.buy_now_price || auction.status !== 'active') {
+    return false;
+  }
+  if (rule === 'first_bid') {
+    return auction.bid_count === 0;
+  }
+  if (rule === 'reserve_met') {
+    return auction.bid_count === 0 || !isReserveMet(auction);
+  }
+  return true;
+};
+
+// Sell an auction at its Buy It Now price and open the order.
+// Runs inside the caller's transaction with the auction row already locked.
+const executeBuyNow = async (client, auction, buyerId) => {
+  const price = parseFloat(auction.buy_now_price);
+
+  await client.query(`
+    UPDATE auctions
+    SET current_price = $1, final_price = $1, status = 'sold', winner_id = $2,
+        bid_count = bid_count + 1, end_time = NOW(), updated_at = CURRENT_TIMESTAMP
+    WHERE id = $3
+  `, [price, buyerId, auction.id]);
+
+  await client.query(`
+    UPDATE bids SET is_winning = false WHERE auction_id = $1 AND is_winning = true
+  `, [auction.id]);
+
+  // Record the winning bid
+  await client.query(`
+    INSERT INTO bids (auction_id, bidder_id, amount, max_bid, is_winning, created_at)
+    VALUES ($1, $2, $3, $3, true, NOW())
+  `, [auction.id, buyerId, price]);
+
+  // Nothing left to bid on
+  await client.query('UPDATE proxy_bids SET is_active = false WHERE auction_id = $1', [auction.id]);
+
+  return createOrder(client, {
+    auctionId: auction.id,
+    sellerId: auction.seller_id,
+    buyerId,
+    amount: price,
+    source: 'buy_now'
+  });
+};
+
+// Post-commit side effects of a Buy It Now purchase
+const announceBuyNow = async (auction, buyer, order) => {
+  const price = parseFloat(auction.buy_now_price);
+
+  // Clear cache
+  await cache.del(CACHE_KEYS.AUCTION_DETAILS(auction.id));
+  await cache.del(CACHE_KEYS.AUCTION_FEED(1));
+  await cache.del(CACHE_KEYS.AUCTION_BIDS(auction.id));
+
+  // Emit real-time update to the auction room
+  realtime.emitAuctionEnded(auction.id, {
+    auctionId: auction.id,
+    status: 'sold',
+    winnerId: buyer.id,
+    finalPrice: price,
+    type: 'buy_now'
+  });
+
+  try {
+    const data = {
+      auctionId: auction.id,
+      auctionTitle: auction.title,
+      orderId: order.id,
+      finalPrice: price
+    };
+
+    await sendNotification(
+      buyer.id,
+      NOTIFICATION_TYPES.AUCTION_WON,
+      'Congratulations! You bought an item',
+      `You bought "${auction.title}" with Buy It Now for $${price.toFixed(2)}.`,
+      { ...data, winningBid: price, sellerUsername: auction.seller_username }
+    );
+
+    await sendNotification(
+      auction.seller_id,
+      NOTIFICATION_TYPES.AUCTION_SOLD,
+      'Your auction has sold!',
+      `Your auction "${auction.title}" sold with Buy It Now for $${price.toFixed(2)}.`,
+      { ...data, winnerId: buyer.id, winnerUsername: buyer.username }
+    );
+  } catch (error) {
+    console.error('Buy now notification error:', error);
+  }
+
+  await notifyAuctionBidders(
+    auction.id,
+    buyer.id,
+    NOTIFICATION_TYPES.AUCTION_LOST,
+    'Auction ended',
+    `"${auction.title}" was sold with Buy It Now.`,
+    { auctionId: auction.id, auctionTitle: auction.title, finalPrice: price }
+  );
+
+  // Bidders were already told above
+  const biddersResult = await query('SELECT DISTINCT bidder_id FROM bids WHERE auction_id = $1', [auction.id]);
+  await notifyWatchlistUsers(
+    auction.id,
+    NOTIFICATION_TYPES.WATCHLIST_SOLD,
+    'Watched item sold',
+    `"${auction.title}" on your watchlist was sold with Buy It Now.`,
+    { auctionId: auction.id, auctionTitle: auction.title, finalPrice: price },
+    biddersResult.rows.map(row => row.bidder_id)
+  );
+};
+
+// Response payload for a completed Buy It Now
+const buyNowPayload = (auction, buyerId, order) => ({
+  message: 'Buy now successful! You won the auction.',
+  bid: {
+    id: null,
+    auctionId: auction.id,
+    amount: parseFloat(auction.buy_now_price),
+    isWinning: true,
+    type: 'buy_now'
+  },
+  auction: {
+    status: 'sold',
+    winnerId: buyerId,
+    finalPrice: parseFloat(auction.buy_now_price)
+  },
+  order: {
+    id: order.id,
+    status: order.status
+  }
+});
+
+// Buy an auction outright at its Buy It Now price
+const buyNow = async ({ auctionId, buyer }) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const auctionResult = await client.query(`
+      SELECT a.*, u.username as seller_username
+      FROM auctions a
+      JOIN users u ON a.seller_id = u.id
+      WHERE a.id = $1 AND a.status = 'active' AND a.end_time > NOW()
+      FOR UPDATE
+    `, [auctionId]);
+
+    if (auctionResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return reject(404, { message: 'Auction not found or has ended' });
+    }
+
+    const auction = auctionResult.rows[0];
+
+    if (auction.seller_id === buyer.id) {
+      await client.query('ROLLBACK');
+      return reject(400, { message: 'Cannot buy your own auction' });
+    }
+
+    if (!isBuyNowAvailable(auction, await getSetting('buy_now_removal'))) {
+      await client.query('ROLLBACK');
+      return reject(400, { message: 'Buy It Now is not available for this auction' });
+    }
+
+    const order = await executeBuyNow(client, auction, buyer.id);
+    await client.query('COMMIT');
+    await announceBuyNow(auction, buyer, order);
+
+    return accept(buyNowPayload(auction, buyer.id, order));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Record a bid row
+const insertBid = async (client, { auctionId, bidderId, amount, maxBid, isWinning, isAutoBid }) => {
+  const result = await client.query(`
+    INSERT INTO bids (auction_id, bidder_id, amount, max_bid, is_winning, is_auto_bid, created_at)
+    VALUES ($1, $2, $3, $4, $5, $6, NOW())
+    RETURNING *
+  `, [auctionId, bidderId, amount, maxBid, isWinning, isAutoBid]);
+  return result.rows[0];
+};
+
+// Rank the maximum bids competing for an auction, highest first.
+// Ties go to whoever set that maximum first. A leader who cancelled their proxy
+// competes with their standing bid only.
+const rankProxies = async (client, auction, leader) => {
+  const result = await client.query(`
+    SELECT bidder_id, max_amount, updated_at
+    FROM proxy_bids
+    WHERE auction_id = $1 AND is_active = true
+  `, [auction.id]);
+
+  const proxies = result.rows.map(proxy => ({
+    bidderId: proxy.bidder_id,
+    maxAmount: parseFloat(proxy.max_amount),
+    setAt: new Date(proxy.updated_at)
+  }));
+
+  if (leader && !proxies.some(proxy => proxy.bidderId === leader.bidder_id)) {
+    proxies.push({
+      bidderId: leader.bidder_id,
+      maxAmount: parseFloat(auction.current_price),
+      setAt: new Date(leader.created_at)
+    });
+  }
+
+  return proxies.sort((a, b) => (b.maxAmount - a.maxAmount) || (a.setAt - b.setAt));
+};
+
+// Place a bid inside a single transaction.
+// Shared by POST /api/bids, POST /api/bids/proxy and the place_bid socket event so every
+// path gets the same row lock, validation, proxy resolution and anti-snipe handling.
+//
+// Every bidder has at most one maximum bid per auction (proxy_bids). Competing maximums are
+// resolved immediately: the highest maximum leads at one increment above the runner-up's
+// maximum, and the bids the system places on a bidder's behalf are recorded with is_auto_bid.
+// When `amount` is omitted the bid is placed at the minimum next bid (proxy-only bids).
+const placeBid = async ({ auctionId, bidder, amount, maxBid, confirmBuyNow = false }) => {
+  const client = await pool.connect();
+  const bidderId = bidder.id;
+
+  try {
+    await client.query('BEGIN');
+
+    // Get auction details with row-level locking
+    const auctionResult = await client.query(`
+      SELECT a.*, u.username as seller_username
+      FROM auctions a
+      JOIN users u ON a.seller_id = u.id
+      WHERE a.id = $1 AND a.status = 'active' AND a.end_time > NOW()
+      FOR UPDATE
+    `, [auctionId]);
+
+    if (auctionResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return reject(404, { message: 'Auction not found or has ended' });
+    }
+
+    const auction = auctionResult.rows[0];
+
+    // Check if bidder is not the seller
+    if (auction.seller_id === bidderId) {
+      await client.query('ROLLBACK');
+      return reject(400, { message: 'Cannot bid on your own auction' });
+    }
+
+    // Validate bid amount against the increment ladder
+    const ladder = await getAuctionLadder(auction);
+    const requiredMinBid = getMinimumBid(auction.current_price, ladder);
+    const bidAmount = amount !== undefined && amount !== null ? roundPrice(amount) : requiredMinBid;
+    const bidMax = maxBid !== undefined && maxBid !== null ? roundPrice(maxBid) : bidAmount;
+
+    if (bidAmount < requiredMinBid || bidMax < requiredMinBid) {
+      await client.query('ROLLBACK');
+      return reject(400, {
+        message: `Bid must be at least $${requiredMinBid.toFixed(2)}`,
+        minimumBid: requiredMinBid
+      });
+    }
+
+    if (bidMax < bidAmount) {
+      await client.query('ROLLBACK');
+      return reject(400, { message: 'Max bid must be at least the bid amount' });
+    }
+
+    // Bids at or above the Buy It Now price must be confirmed as a purchase
+    if (auction.buy_now_price && bidAmount >= parseFloat(auction.buy_now_price) &&
+        isBuyNowAvailable(auction, await getSetting('buy_now_removal'))) {
+      if (!confirmBuyNow) {
+        await client.query('ROLLBACK');
+        return reject(409, {
+          message: `This bid reaches the Buy It Now price of $${parseFloat(auction.buy_now_price).toFixed(2)}. Confirm to buy the item now.`,
+          buyNowPrice: parseFloat(auction.buy_now_price),
+          requiresConfirmation: true
+        });
+      }
+
+      const order = await executeBuyNow(client, auction, bidderId);
+      await client.query('COMMIT');
+      await announceBuyNow(auction, bidder, order);
+
+      return accept(buyNowPayload(auction, bidderId, order));
+    }
+
+    // Get the current leader
+    const leaderResult = await client.query(`
+      SELECT * FROM bids
+      WHERE auction_id = $1 AND is_winning = true
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [auctionId]);
+
+    const leader = leaderResult.rows[0] || null;
+    const wasLeading = !!leader && leader.bidder_id === bidderId;
+    const currentPrice = parseFloat(auction.current_price);
+
+    // Set or raise this bidder's maximum
+    const existingProxyResult = await client.query(`
+      SELECT max_amount FROM proxy_bids
+      WHERE auction_id = $1 AND bidder_id = $2 AND is_active = true
+    `, [auctionId, bidderId]);
+
+    const existingMax = existingProxyResult.rows.length > 0
+      ? parseFloat(existingProxyResult.rows[0].max_amount)
+      : (wasLeading ? currentPrice : 0);
+
+    if (wasLeading && bidMax <= existingMax) {
+      await client.query('ROLLBACK');
+      return reject(400, {
+        message: `You are already the highest bidder. A new maximum must be above $${existingMax.toFixed(2)}`,
+        currentMaxBid: existingMax
+      });
+    }
+
+    await client.query(`
+      INSERT INTO proxy_bids (auction_id, bidder_id, max_amount)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (auction_id, bidder_id) DO UPDATE
+      SET max_amount = EXCLUDED.max_amount, is_active = true, updated_at = CURRENT_TIMESTAMP
+    `, [auctionId, bidderId, bidMax]);
+
+    // Resolve the competing maximums
+    const ranked = await rankProxies(client, auction, leader);
+    const top = ranked[0];
+    const runnerUp = ranked[1] || null;
+    const bidderLeads = top.bidderId === bidderId;
+
+    let newCurrentPrice = leader ? currentPrice : bidAmount;
+    if (runnerUp) {
+      newCurrentPrice = Math.max(
+        newCurrentPrice,
+        Math.min(roundPrice(runnerUp.maxAmount + getIncrement(runnerUp.maxAmount, ladder)), top.maxAmount)
+      );
+    }
+    if (bidderLeads && !wasLeading) {
+      // An explicit bid amount is never lowered by proxy resolution
+      newCurrentPrice = Math.max(newCurrentPrice, bidAmount);
+    }
+    newCurrentPrice = applyReserve(newCurrentPrice, top.maxAmount, auction.reserve_price);
+
+    const insertedBids = [];
+    let newBid = null;
+
+    if (!wasLeading) {
+      // The previous leader's proxy fought back up to its maximum before losing
+      if (leader && bidderLeads) {
+        const previousMax = ranked.find(proxy => proxy.bidderId === leader.bidder_id).maxAmount;
+        if (previousMax > currentPrice) {
+          insertedBids.push(await insertBid(client, {
+            auctionId,
+            bidderId: leader.bidder_id,
+            amount: previousMax,
+            maxBid: previousMax,
+            isWinning: false,
+            isAutoBid: true
+          }));
+        }
+      }
+
+      await client.query(`
+        UPDATE bids SET is_winning = false WHERE auction_id = $1 AND is_winning = true
+      `, [auctionId]);
+
+      // An outbid bidder's bid is recorded at their maximum
+      newBid = await insertBid(client, {
+        auctionId,
+        bidderId,
+        amount: bidderLeads ? newCurrentPrice : bidMax,
+        maxBid: bidMax,
+        isWinning: bidderLeads,
+        isAutoBid: false
+      });
+      insertedBids.push(newBid);
+    }
+
+    // The leader's proxy answers automatically whenever the price moves
+    if (!bidderLeads || (wasLeading && newCurrentPrice > currentPrice)) {
+      await client.query(`
+        UPDATE bids SET is_winning = false WHERE auction_id = $1 AND is_winning = true
+      `, [auctionId]);
+
+      insertedBids.push(await insertBid(client, {
+        auctionId,
+        bidderId: top.bidderId,
+        amount: newCurrentPrice,
+        maxBid: top.maxAmount,
+        isWinning: true,
+        isAutoBid: true
+      }));
+    }
+
+    // Every maximum below the leader's is now exhausted
+    await client.query(`
+      UPDATE proxy_bids SET is_active = false, updated_at = CURRENT_TIMESTAMP
+      WHERE auction_id = $1 AND bidder_id <> $2 AND is_active = true
+    `, [auctionId, top.bidderId]);
+
+    const bidCount = auction.bid_count + insertedBids.length;
+
+    await client.query(`
+      UPDATE auctions
+      SET current_price = $1, bid_count = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+    `, [newCurrentPrice, bidCount, auctionId]);
+
+    // Check if auction should be extended (anti-snipe protection)
+    let endTime = auction.end_time;
+    let extension = null;
+
+    if (insertedBids.length > 0) {
+      const policy = await getAntiSnipePolicy(auction);
+      const extendedResult = await client.query(
+        'SELECT COALESCE(SUM(extended_seconds), 0) as total FROM auction_extensions WHERE auction_id = $1',
+        [auctionId]
+      );
+      const newEndTime = getExtendedEndTime(policy, auction.end_time, parseInt(extendedResult.rows[0].total));
+
+      if (newEndTime) {
+        endTime = newEndTime;
+        await client.query(`
+          UPDATE auctions SET end_time = $1 WHERE id = $2
+        `, [endTime, auctionId]);
+
+        const extensionResult = await client.query(`
+          INSERT INTO auction_extensions (auction_id, bid_id, previous_end_time, new_end_time, extended_seconds)
+          VALUES ($1, $2, $3, $4, $5)
+          RETURNING *
+        `, [
+          auctionId,
+          insertedBids[insertedBids.length - 1].id,
+          auction.end_time,
+          endTime,
+          Math.round((endTime - new Date(auction.end_time)) / 1000)
+        ]);
+        extension = extensionResult.rows[0];
+      }
+    }
+
+    await client.query('COMMIT');
+
+    const reserveMet = isReserveMet({
+      reserve_price: auction.reserve_price,
+      current_price: newCurrentPrice,
+      bid_count: bidCount
+    });
+
+    // Clear cache
+    await cache.del(CACHE_KEYS.AUCTION_DETAILS(auctionId));
+    await cache.del(CACHE_KEYS.AUCTION_FEED(1));
+    await cache.del(CACHE_KEYS.AUCTION_BIDS(auctionId));
+
+    // Emit real-time update to the auction room
+    if (insertedBids.length > 0) {
+      realtime.emitBidUpdate(auctionId, {
+        auctionId,
+        bidId: newBid ? newBid.id : null,
+        bidderId,
+        bidderUsername: bidder.username,
+        amount: newBid ? parseFloat(newBid.amount) : null,
+        currentPrice: newCurrentPrice,
+        isWinning: bidderLeads,
+        autoBids: insertedBids.filter(bid => bid.is_auto_bid).map(bid => ({
+          bidId: bid.id,
+          amount: parseFloat(bid.amount)
+        })),
+        bidCount,
+        reserveMet,
+        timeRemaining: Math.max(0, (new Date(endTime) - new Date()) / 1000)
+      });
+    }
+
+    if (extension) {
+      realtime.emitAuctionExtended(auctionId, endTime, {
+        previousEndTime: extension.previous_end_time,
+        extendedSeconds: extension.extended_seconds,
+        bidId: extension.bid_id
+      });
+    }
+
+    // Create notification for auction owner
+    if (newBid) {
+      await client.query(`
+        INSERT INTO notifications (user_id, type, title, message, data)
+        VALUES ($1, 'new_bid', 'New bid on your auction', $2, $3)
+      `, [
+        auction.seller_id,
+        `${bidder.username} placed a bid of $${parseFloat(newBid.amount).toFixed(2)} on "${auction.title}"`,
+        JSON.stringify({ auctionId, bidAmount: parseFloat(newBid.amount), bidderId })
+      ]);
+    }
+
+    let message = 'Bid placed successfully! You are currently winning.';
+    if (wasLeading) {
+      message = 'Maximum bid raised. You are still the highest bidder.';
+    } else if (!bidderLeads) {
+      message = 'You have been outbid by another bidder\'s maximum bid.';
+    }
+
+    return accept({
+      message,
+      bid: newBid ? {
+        id: newBid.id,
+        auctionId,
+        amount: parseFloat(newBid.amount),
+        maxBid: bidMax,
+        isWinning: bidderLeads,
+        isAutoBid: false,
+        createdAt: newBid.created_at
+      } : null,
+      proxy: {
+        maxAmount: bidMax,
+        isActive: bidderLeads
+      },
+      auction: {
+        currentPrice: newCurrentPrice,
+        bidCount,
+        endTime,
+        minimumBid: getMinimumBid(newCurrentPrice, ladder),
+        reserveMet
+      }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Lower (or remove) an auction's reserve and re-resolve the price against it.
+// Runs inside the caller's transaction with the auction row locked. When the leader's active
+// maximum now covers the reserve, their proxy bids up to it and the auto-bid is recorded.
+const lowerReserve = async (client, auction, reservePrice) => {
+  let currentPrice = parseFloat(auction.current_price);
+  let bidCount = auction.bid_count;
+  let autoBid = null;
+
+  if (reservePrice !== null && bidCount > 0) {
+    const leaderResult = await client.query(`
+      SELECT * FROM bids
+      WHERE auction_id = $1 AND is_winning = true
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [auction.id]);
+
+    const leader = leaderResult.rows[0] || null;
+
+    if (leader) {
+      const ranked = await rankProxies(client, auction, leader);
+      const leaderMax = ranked.find(proxy => proxy.bidderId === leader.bidder_id).maxAmount;
+      const newPrice = applyReserve(currentPrice, leaderMax, reservePrice);
+
+      if (newPrice > currentPrice) {
+        await client.query(`
+          UPDATE bids SET is_winning = false WHERE auction_id = $1 AND is_winning = true
+        `, [auction.id]);
+
+        autoBid = await insertBid(client, {
+          auctionId: auction.id,
+          bidderId: leader.bidder_id,
+          amount: newPrice,
+          maxBid: leaderMax,
+          isWinning: true,
+          isAutoBid: true
+        });
+
+        currentPrice = newPrice;
+        bidCount += 1;
+      }
+    }
+  }
+
+  const updatedResult = await client.query(`
+    UPDATE auctions
+    SET reserve_price = $1, current_price = $2, bid_count = $3, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $4
+    RETURNING *
+  `, [reservePrice, currentPrice, bidCount, auction.id]);
+
+  return { auction: updatedResult.rows[0], autoBid };
+};
+
+// Rebuild price, leader and proxy state from the bids that still stand.
+// Used after bids are retracted; runs inside the caller's transaction with the auction row locked.
+// A bidder competes with their active maximum, or their highest standing bid once it is exhausted.
+const recomputeAuction = async (client, auction) => {
+  const standingResult = await client.query(`
+    SELECT b.bidder_id, MAX(b.amount) as top_amount, MIN(b.created_at) as first_bid_at,
+      pb.max_amount
+    FROM bids b
+    LEFT JOIN proxy_bids pb
+      ON pb.auction_id = b.auction_id AND pb.bidder_id = b.bidder_id AND pb.is_active = true
+    WHERE b.auction_id = $1 AND b.is_retracted = false
+    GROUP BY b.bidder_id, pb.max_amount
+  `, [auction.id]);
+
+  const ranked = standingResult.rows
+    .map(row => ({
+      bidderId: row.bidder_id,
+      topAmount: parseFloat(row.top_amount),
+      maxAmount: Math.max(parseFloat(row.top_amount), row.max_amount ? parseFloat(row.max_amount) : 0),
+      setAt: new Date(row.first_bid_at)
+    }))
+    .sort((a, b) => (b.maxAmount - a.maxAmount) || (a.setAt - b.setAt));
+
+  await client.query(`
+    UPDATE bids SET is_winning = false WHERE auction_id = $1 AND is_winning = true
+  `, [auction.id]);
+
+  await client.query(`
+    UPDATE proxy_bids SET is_active = false, updated_at = CURRENT_TIMESTAMP
+    WHERE auction_id = $1 AND is_active = true
+  `, [auction.id]);
+
+  const top = ranked[0] || null;
+  let currentPrice = parseFloat(auction.starting_price);
+
+  if (top) {
+    const ladder = await getAuctionLadder(auction);
+    const runnerUp = ranked[1] || null;
+
+    currentPrice = top.topAmount;
+    if (runnerUp) {
+      currentPrice = Math.max(
+        currentPrice,
+        Math.min(roundPrice(runnerUp.maxAmount + getIncrement(runnerUp.maxAmount, ladder)), top.maxAmount)
+      );
+    }
+    currentPrice = applyReserve(currentPrice, top.maxAmount, auction.reserve_price);
+
+    if (currentPrice > top.topAmount) {
+      await insertBid(client, {
+        auctionId: auction.id,
+        bidderId: top.bidderId,
+        amount: currentPrice,
+        maxBid: top.maxAmount,
+        isWinning: true,
+        isAutoBid: true
+      });
+    } else {
+      await client.query(`
+        UPDATE bids SET is_winning = true
+        WHERE id = (
+          SELECT id FROM bids
+          WHERE auction_id = $1 AND bidder_id = $2 AND is_retracted = false
+          ORDER BY amount DESC, created_at DESC
+          LIMIT 1
+        )
+      `, [auction.id, top.bidderId]);
+    }
+
+    // Only the leader keeps a live maximum
+    await client.query(`
+      INSERT INTO proxy_bids (auction_id, bidder_id, max_amount, is_active)
+      VALUES ($1, $2, $3, true)
+      ON CONFLICT (auction_id, bidder_id)
+      DO UPDATE SET max_amount = EXCLUDED.max_amount, is_active = true, updated_at = CURRENT_TIMESTAMP
+    `, [auction.id, top.bidderId, top.maxAmount]);
+  }
+
+  const countResult = await client.query(`
+    SELECT COUNT(*) as total FROM bids WHERE auction_id = $1 AND is_retracted = false
+  `, [auction.id]);
+  const bidCount = parseInt(countResult.rows[0].total);
+
+  await client.query(`
+    UPDATE auctions
+    SET current_price = $1, bid_count = $2, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $3
+  `, [currentPrice, bidCount, auction.id]);
+
+  return {
+    leaderId: top ? top.bidderId : null,
+    currentPrice,
+    bidCount,
+    reserveMet: isReserveMet({
+      reserve_price: auction.reserve_price,
+      current_price: currentPrice,
+      bid_count: bidCount
+    })
+  };
+};
+
+module.exports = {
+  getAuctionLadder,
+  getAntiSnipePolicy,
+  isReserveMet,
+  isBuyNowAvailable,
+  placeBid,
+  buyNow,
+  lowerReserve,
+  recomputeAuction
+};
@@ -0,0 +1,88 @@
+// Bid increment ladder helpers.
+// A ladder is a list of tiers sorted by `from` (inclusive lower price bound):
+//   [{ from: 0, increment: 0.5 }, { from: 20, increment: 1 }, ...]
+// The increment that applies to a price is the one from the highest tier whose
+// `from` is at or below that price.
+
+const DEFAULT_INCREMENT_LADDER = [
+  { from: 0, increment: 0.5 },
+  { from: 20, increment: 1 },
+  { from: 100, increment: 2 },
+  { from: 250, increment: 5 },
+  { from: 1000, increment: 25 }
+];
+
+// Round to whole cents to avoid floating point drift
+const roundPrice = (value) => Math.round(parseFloat(value) * 100) / 100;
+
+// Returns an error message, or null when the ladder is valid
+const validateLadder = (ladder) => {
+  if (!Array.isArray(ladder) || ladder.length === 0) {
+    return 'Bid increments must be a non-empty array of tiers';
+  }
+
+  for (let i = 0; i < ladder.length; i++) {
+    const tier = ladder[i];
+
+    if (!tier || typeof tier !== 'object') {
+      return `Tier ${i + 1} must be an object with "from" and "increment"`;
+    }
+
+    const from = Number(tier.from);
+    const increment = Number(tier.increment);
+
+    if (!Number.isFinite(from) || from < 0) {
+      return `Tier ${i + 1}: "from" must be a non-negative number`;
+    }
+
+    if (!Number.isFinite(increment) || increment < 0.01) {
+      return `Tier ${i + 1}: "increment" must be at least 0.01`;
+    }
+
+    if (i === 0 && from !== 0) {
+      return 'The first tier must start from 0';
+    }
+
+    if (i > 0 && from <= Number(ladder[i - 1].from)) {
+      return 'Tiers must be sorted by ascending "from" with no duplicates';
+    }
+  }
+
+  return null;
+};
+
+// Normalize a ladder into numeric tiers
+const normalizeLadder = (ladder) => ladder.map(tier => ({
+  from: roundPrice(tier.from),
+  increment: roundPrice(tier.increment)
+}));
+
+// Get the increment that applies at a given price
+const getIncrement = (price, ladder = DEFAULT_INCREMENT_LADDER) => {
+  const amount = parseFloat(price);
+  let increment = ladder[0].increment;
+
+  for (const tier of ladder) {
+    if (amount >= tier.from) {
+      increment = tier.increment;
+    } else {
+      break;
+    }
+  }
+
+  return parseFloat(increment);
+};
+
+// Get the lowest valid next bid for a current price
+const getMinimumBid = (currentPrice, ladder = DEFAULT_INCREMENT_LADDER) => {
+  return roundPrice(parseFloat(currentPrice) + getIncrement(currentPrice, ladder));
+};
+
+module.exports = {
+  DEFAULT_INCREMENT_LADDER,
+  roundPrice,
+  validateLadder,
+  normalizeLadder,
+  getIncrement,
+  getMinimumBid
+};
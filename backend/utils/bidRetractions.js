@@ -0,0 +1,232 @@
+const { pool, query } = require('../config/database');
+const { cache, CACHE_KEYS } = require('../config/redis');
+const { getSetting } = require('./settings');
+const { recomputeAuction } = require('./bidEngine');
+const { sendNotification, NOTIFICATION_TYPES } = require('./notifications');
+const realtime = require('./realtime');
+
+// Reasons a bidder may give for retracting a bid
+const RETRACTION_REASONS = {
+  typo: 'Entered the wrong amount',
+  description_changed: 'The item description changed significantly',
+  seller_unreachable: 'The seller cannot be contacted'
+};
+
+// Build a rejected result (nothing was written)
+const reject = (status, payload) => ({ accepted: false, status, payload });
+
+// Build an accepted result
+const accept = (payload, status = 200) => ({ accepted: true, status, payload });
+
+// Notifications are best effort; a failure must not undo a reviewed retraction
+const notify = async (...args) => {
+  try {
+    await sendNotification(...args);
+  } catch (error) {
+    console.error('Retraction notification error:', error);
+  }
+};
+
+// Ask moderators to retract a bid.
+// Allowed for the bidder's own standing bids on active auctions, outside the final
+// `retraction_cutoff_minutes` of the auction, with one pending request per auction.
+const requestRetraction = async ({ bidId, bidder, reason, explanation }) => {
+  const bidResult = await query(`
+    SELECT b.*, a.status as auction_status, a.end_time, a.title as auction_title
+    FROM bids b
+    JOIN auctions a ON b.auction_id = a.id
+    WHERE b.id = $1
+  `, [bidId]);
+
+  if (bidResult.rows.length === 0) {
+    return reject(404, { message: 'Bid not found' });
+  }
+
+  const bid = bidResult.rows[0];
+
+  if (bid.bidder_id !== bidder.id) {
+    return reject(403, { message: 'You can only retract your own bids' });
+  }
+
+  if (bid.is_retracted) {
+    return reject(400, { message: 'Bid has already been retracted' });
+  }
+
+  if (bid.auction_status !== 'active' || new Date(bid.end_time) <= new Date()) {
+    return reject(400, { message: 'Bids can only be retracted on active auctions' });
+  }
+
+  const cutoffMinutes = await getSetting('retraction_cutoff_minutes');
+  if (new Date(bid.end_time) - new Date() < cutoffMinutes * 60 * 1000) {
+    return reject(400, {
+      message: `Bids cannot be retracted in the last ${cutoffMinutes} minutes of an auction`
+    });
+  }
+
+  const pendingResult = await query(`
+    SELECT id FROM bid_retractions
+    WHERE (bid_id = $1) OR (auction_id = $2 AND bidder_id = $3 AND status = 'pending')
+  `, [bidId, bid.auction_id, bidder.id]);
+
+  if (pendingResult.rows.length > 0) {
+    return reject(409, { message: 'A retraction request already exists for this bid or auction' });
+  }
+
+  const result = await query(`
+    INSERT INTO bid_retractions (bid_id, auction_id, bidder_id, reason, explanation)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [bidId, bid.auction_id, bidder.id, reason, explanation || null]);
+
+  const retraction = result.rows[0];
+
+  return accept({
+    message: 'Retraction request submitted for review',
+    retraction: {
+      id: retraction.id,
+      bidId: retraction.bid_id,
+      auctionId: retraction.auction_id,
+      reason: retraction.reason,
+      status: retraction.status,
+      createdAt: retraction.created_at
+    }
+  }, 201);
+};
+
+// Approve or reject a pending retraction.
+// Approval retracts all of the bidder's bids on the auction and rebuilds the auction
+// from the bids that remain.
+const reviewRetraction = async ({ retractionId, moderator, action, notes }) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const retractionResult = await client.query(`
+      SELECT * FROM bid_retractions WHERE id = $1 AND status = 'pending' FOR UPDATE
+    `, [retractionId]);
+
+    if (retractionResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return reject(404, { message: 'Retraction not found or already reviewed' });
+    }
+
+    const retraction = retractionResult.rows[0];
+
+    const auctionResult = await client.query(
+      'SELECT * FROM auctions WHERE id = $1 FOR UPDATE',
+      [retraction.auction_id]
+    );
+    const auction = auctionResult.rows[0];
+
+    if (action === 'approve' && auction.status !== 'active') {
+      await client.query('ROLLBACK');
+      return reject(409, { message: 'Auction is no longer active; the retraction can only be rejected' });
+    }
+
+    await client.query(`
+      UPDATE bid_retractions
+      SET status = $1, reviewed_by = $2, review_notes = $3, reviewed_at = NOW()
+      WHERE id = $4
+    `, [action === 'approve' ? 'approved' : 'rejected', moderator.id, notes || null, retractionId]);
+
+    if (action === 'reject') {
+      await client.query('COMMIT');
+
+      await notify(
+        retraction.bidder_id,
+        NOTIFICATION_TYPES.RETRACTION_REJECTED,
+        'Bid retraction rejected',
+        `Your request to retract your bid on "${auction.title}" was rejected. Your bid stands.${notes ? ` ${notes}` : ''}`,
+        { auctionId: auction.id, auctionTitle: auction.title, retractionId }
+      );
+
+      return accept({ message: 'Retraction rejected' });
+    }
+
+    const leaderResult = await client.query(
+      'SELECT bidder_id FROM bids WHERE auction_id = $1 AND is_winning = true LIMIT 1',
+      [auction.id]
+    );
+    const previousLeaderId = leaderResult.rows[0]?.bidder_id || null;
+
+    await client.query(`
+      UPDATE bids SET is_retracted = true, is_winning = false
+      WHERE auction_id = $1 AND bidder_id = $2
+    `, [auction.id, retraction.bidder_id]);
+
+    await client.query(`
+      UPDATE proxy_bids SET is_active = false, updated_at = CURRENT_TIMESTAMP
+      WHERE auction_id = $1 AND bidder_id = $2
+    `, [auction.id, retraction.bidder_id]);
+
+    const state = await recomputeAuction(client, auction);
+
+    await client.query('COMMIT');
+
+    // Clear cache
+    await cache.del(CACHE_KEYS.AUCTION_DETAILS(auction.id));
+    await cache.del(CACHE_KEYS.AUCTION_FEED(1));
+    await cache.del(CACHE_KEYS.AUCTION_BIDS(auction.id));
+
+    realtime.emitToAuction(auction.id, realtime.EVENTS.BID_RETRACTED, {
+      auctionId: auction.id,
+      currentPrice: state.currentPrice,
+      bidCount: state.bidCount,
+      reserveMet: state.reserveMet
+    });
+
+    const data = {
+      auctionId: auction.id,
+      auctionTitle: auction.title,
+      currentPrice: state.currentPrice
+    };
+
+    await notify(
+      retraction.bidder_id,
+      NOTIFICATION_TYPES.RETRACTION_APPROVED,
+      'Bid retraction approved',
+      `Your bids on "${auction.title}" have been retracted.`,
+      { ...data, retractionId }
+    );
+
+    await notify(
+      auction.seller_id,
+      NOTIFICATION_TYPES.BID_RETRACTED,
+      'A bid on your auction was retracted',
+      `A bidder retracted their bids on "${auction.title}". The current price is now $${state.currentPrice.toFixed(2)}.`,
+      data
+    );
+
+    if (state.leaderId && state.leaderId !== previousLeaderId) {
+      await notify(
+        state.leaderId,
+        NOTIFICATION_TYPES.BID_RETRACTED,
+        'You are now the highest bidder',
+        `A higher bid on "${auction.title}" was retracted. You are now winning at $${state.currentPrice.toFixed(2)}.`,
+        data
+      );
+    }
+
+    return accept({
+      message: 'Retraction approved',
+      auction: {
+        id: auction.id,
+        currentPrice: state.currentPrice,
+        bidCount: state.bidCount,
+        reserveMet: state.reserveMet
+      }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  RETRACTION_REASONS,
+  requestRetraction,
+  reviewRetraction
+};
@@ -0,0 +1,267 @@
+// Category spec schemas: the structured attributes listings in a category carry.
+// A schema is a list of fields, e.g. for GPUs:
+//   [
+//     { key: 'chipset', label: 'Chipset', type: 'text', required: true },
+//     { key: 'vram', label: 'VRAM', type: 'number', unit: 'GB', min: 1, max: 64, required: true },
+//     { key: 'brand', label: 'Brand', type: 'enum', options: ['ASUS', 'MSI', 'Gigabyte'] }
+//   ]
+// Auctions store their values in `auctions.specs` (JSONB, e.g. { "chipset": "RTX 3080", "vram": 10 }).
+// The feed filters on them with `spec.<key>=value`, `spec.<key>_gte=n` and `spec.<key>_lte=n`.
+
+const SPEC_TYPES = ['text', 'number', 'enum', 'boolean'];
+
+const MAX_SPEC_FIELDS = 30;
+const MAX_ENUM_OPTIONS = 50;
+const MAX_TEXT_LENGTH = 100;
+const MAX_SPEC_FILTERS = 10;
+
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const RANGE_SUFFIX = /_(gte|lte)$/;
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Returns an error message, or null when the schema is valid
+const validateSpecSchema = (schema) => {
+  if (!Array.isArray(schema)) {
+    return 'Spec schema must be an array of fields';
+  }
+
+  if (schema.length > MAX_SPEC_FIELDS) {
+    return `A spec schema can have at most ${MAX_SPEC_FIELDS} fields`;
+  }
+
+  const keys = new Set();
+
+  for (const field of schema) {
+    if (!isPlainObject(field)) {
+      return 'Each spec field must be an object';
+    }
+
+    if (typeof field.key !== 'string' || !KEY_PATTERN.test(field.key) || RANGE_SUFFIX.test(field.key)) {
+      return `Invalid spec key: ${field.key} (lowercase letters, digits and underscores, not ending in _gte or _lte)`;
+    }
+
+    if (keys.has(field.key)) {
+      return `Duplicate spec key: ${field.key}`;
+    }
+    keys.add(field.key);
+
+    if (typeof field.label !== 'string' || field.label.trim().length === 0 || field.label.length > 100) {
+      return `"${field.key}" needs a label of 1-100 characters`;
+    }
+
+    if (!SPEC_TYPES.includes(field.type)) {
+      return `"${field.key}" must have a type of ${SPEC_TYPES.join(', ')}`;
+    }
+
+    if (field.required !== undefined && typeof field.required !== 'boolean') {
+      return `"${field.key}" required must be true or false`;
+    }
+
+    if (field.unit !== undefined && (typeof field.unit !== 'string' || field.unit.length > 20)) {
+      return `"${field.key}" unit must be at most 20 characters`;
+    }
+
+    if (field.type === 'enum') {
+      const options = field.options;
+      if (!Array.isArray(options) || options.length === 0 || options.length > MAX_ENUM_OPTIONS) {
+        return `"${field.key}" needs 1-${MAX_ENUM_OPTIONS} options`;
+      }
+      if (!options.every(option => typeof option === 'string' && option.trim().length > 0 && option.length <= MAX_TEXT_LENGTH)) {
+        return `"${field.key}" options must be non-empty text`;
+      }
+      if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+        return `"${field.key}" has duplicate options`;
+      }
+    }
+
+    if (field.type === 'number') {
+      for (const bound of ['min', 'max']) {
+        if (field[bound] !== undefined && !Number.isFinite(field[bound])) {
+          return `"${field.key}" ${bound} must be a number`;
+        }
+      }
+      if (field.min !== undefined && field.max !== undefined && field.min > field.max) {
+        return `"${field.key}" min must not be greater than max`;
+      }
+    }
+  }
+
+  return null;
+};
+
+// Keep only the attributes each field type uses
+const normalizeSpecSchema = (schema) => schema.map(field => {
+  const normalized = {
+    key: field.key,
+    label: field.label.trim(),
+    type: field.type,
+    required: field.required === true
+  };
+
+  if (field.unit) normalized.unit = field.unit;
+  if (field.type === 'enum') normalized.options = field.options.map(option => option.trim());
+  if (field.type === 'number') {
+    if (field.min !== undefined) normalized.min = field.min;
+    if (field.max !== undefined) normalized.max = field.max;
+  }
+
+  return normalized;
+});
+
+// Check one value against its field. Returns { value } (normalized) or { error }.
+const validateSpecValue = (field, value) => {
+  switch (field.type) {
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return { error: `${field.label} must be a number` };
+      }
+      if ((field.min !== undefined && number < field.min) || (field.max !== undefined && number > field.max)) {
+        return { error: `${field.label} must be between ${field.min ?? '-∞'} and ${field.max ?? '∞'}${field.unit ? ` ${field.unit}` : ''}` };
+      }
+      return { value: number };
+    }
+    case 'enum': {
+      // Match case-insensitively but store the option as the schema spells it
+      const option = typeof value === 'string'
+        ? field.options.find(candidate => candidate.toLowerCase() === value.trim().toLowerCase())
+        : undefined;
+      if (!option) {
+        return { error: `${field.label} must be one of: ${field.options.join(', ')}` };
+      }
+      return { value: option };
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return { value: true };
+      if (value === false || value === 'false') return { value: false };
+      return { error: `${field.label} must be true or false` };
+    default: {
+      const text = typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+      if (text.length === 0 || text.length > MAX_TEXT_LENGTH) {
+        return { error: `${field.label} must be 1-${MAX_TEXT_LENGTH} characters` };
+      }
+      return { value: text };
+    }
+  }
+};
+
+// Required fields of the schema that `specs` has no value for
+const getMissingSpecs = (schema, specs) => (schema || [])
+  .filter(field => field.required && (specs || {})[field.key] === undefined)
+  .map(field => field.key);
+
+// Check a listing's specs against its category schema.
+// Empty values are dropped; drafts (`partial`) may leave required fields out.
+// Returns { specs } (normalized) or { error }.
+const validateSpecs = (schema, specs, { partial = false } = {}) => {
+  const fields = schema || [];
+
+  if (!isPlainObject(specs)) {
+    return { error: 'Specs must be an object' };
+  }
+
+  const normalized = {};
+
+  for (const [key, value] of Object.entries(specs)) {
+    const field = fields.find(candidate => candidate.key === key);
+    if (!field) {
+      return { error: `Unknown spec for this category: ${key}` };
+    }
+
+    if (value === null || value === undefined || value === '') {
+      continue;
+    }
+
+    const result = validateSpecValue(field, value);
+    if (result.error) {
+      return { error: result.error };
+    }
+    normalized[key] = result.value;
+  }
+
+  if (!partial) {
+    const missing = getMissingSpecs(fields, normalized);
+    if (missing.length > 0) {
+      const field = fields.find(candidate => candidate.key === missing[0]);
+      return { error: `${field.label} is required` };
+    }
+  }
+
+  return { specs: normalized };
+};
+
+// Read spec filters from a query string object ({ 'spec.socket': 'AM4', 'spec.vram_gte': '8' }).
+// Returns { filters: [{ key, op: 'eq' | 'gte' | 'lte', value }] } or { error }.
+const parseSpecFilters = (queryParams) => {
+  const filters = [];
+
+  for (const [param, value] of Object.entries(queryParams)) {
+    if (!param.startsWith('spec.')) {
+      continue;
+    }
+
+    const name = param.slice('spec.'.length);
+    const range = name.match(RANGE_SUFFIX);
+    const key = range ? name.slice(0, -range[0].length) : name;
+
+    if (!KEY_PATTERN.test(key)) {
+      return { error: `Invalid spec filter: ${param}` };
+    }
+
+    if (typeof value !== 'string' || value.trim() === '') {
+      return { error: `${param} must have a single value` };
+    }
+
+    if (range) {
+      const number = Number(value);
+      if (!Number.isFinite(number)) {
+        return { error: `${param} must be a number` };
+      }
+      filters.push({ key, op: range[1], value: number });
+    } else {
+      filters.push({ key, op: 'eq', value: value.trim() });
+    }
+  }
+
+  if (filters.length > MAX_SPEC_FILTERS) {
+    return { error: `At most ${MAX_SPEC_FILTERS} spec filters are allowed` };
+  }
+
+  return { filters };
+};
+
+// SQL condition for one spec filter on the specs column `column`, using parameter $param.
+// Equality matches the value as text, number or boolean (query strings carry no types);
+// ranges only match numeric values. Returns { sql, param } with the parameter value.
+const specFilterSql = (column, filter, param) => {
+  if (filter.op === 'eq') {
+    const candidates = [{ [filter.key]: filter.value }];
+    if (Number.isFinite(Number(filter.value))) {
+      candidates.push({ [filter.key]: Number(filter.value) });
+    }
+    if (filter.value === 'true' || filter.value === 'false') {
+      candidates.push({ [filter.key]: filter.value === 'true' });
+    }
+
+    return {
+      sql: `${column} @> ANY($${param}::jsonb[])`,
+      param: candidates.map(candidate => JSON.stringify(candidate))
+    };
+  }
+
+  return {
+    sql: `${column} @? $${param}::jsonpath`,
+    param: `$."${filter.key}" ? (@ ${filter.op === 'gte' ? '>=' : '<='} ${filter.value})`
+  };
+};
+
+module.exports = {
+  SPEC_TYPES,
+  validateSpecSchema,
+  normalizeSpecSchema,
+  validateSpecs,
+  getMissingSpecs,
+  parseSpecFilters,
+  specFilterSql
+};
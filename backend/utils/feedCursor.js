@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const { cache, CACHE_KEYS } = require('../config/redis');
+
+// Feed cursors.
+// A pass through the feed must not skip or repeat auctions, yet most sorts order by values
+// that change while it is read (price, bids and watchers, the viewer's ranking). Only sorts
+// marked `stable`, whose keys are fixed once an auction is listed, page by keyset: the next
+// page is every auction whose row of key values compares after the last one's. The other
+// sorts are frozen when a pass starts: the IDs of its first SNAPSHOT_SIZE auctions are saved
+// in order for SNAPSHOT_TTL_SECONDS and later pages read on through them, leaving out auctions
+// that are no longer live. Without Redis, or once the snapshot expires, they fall back to
+// keyset paging, where an auction whose sort value changes between pages can be skipped or
+// shown twice.
+// A cursor is the position (key values) of the last auction on a page, with its sort, the
+// snapshot and offset into it when there is one, and (in loop mode) how many times the feed
+// has wrapped, as base64url JSON. Clients treat it as opaque.
+
+// Auctions in one snapshot; a pass ends (or, looping, starts over) after this many
+const SNAPSHOT_SIZE = 500;
+const SNAPSHOT_TTL_SECONDS = 2 * 60 * 60;
+
+const SNAPSHOT_ID_PATTERN = /^[A-Za-z0-9_-]{16}$/;
+
+// Sort keys as [SQL expression, type the position value is cast back to]
+const FEED_SORTS = {
+  newest: {
+    keys: [['a.is_featured', 'boolean'], ['a.created_at', 'timestamp'], ['a.id', 'int']],
+    direction: 'DESC',
+    stable: true
+  },
+  ending_soon: {
+    keys: [['a.end_time', 'timestamp'], ['a.id', 'int']],
+    direction: 'ASC'
+  },
+  price_low: {
+    keys: [['a.current_price', 'numeric'], ['a.id', 'int']],
+    direction: 'ASC'
+  },
+  price_high: {
+    keys: [['a.current_price', 'numeric'], ['a.id', 'int']],
+    direction: 'DESC'
+  },
+  popular: {
+    keys: [['(a.bid_count + a.watch_count)', 'int'], ['a.created_at', 'timestamp'], ['a.id', 'int']],
+    direction: 'DESC'
+  },
+  // Needs the ranking joins of utils/feedRanking.js
+  for_you: {
+    keys: [['ranking.score', 'float8'], ['a.created_at', 'timestamp'], ['a.id', 'int']],
+    direction: 'DESC'
+  }
+};
+
+// Whether a decoded position value fits its key type
+const VALUE_CHECKS = {
+  boolean: value => typeof value === 'boolean',
+  int: value => Number.isInteger(value),
+  numeric: value => Number.isFinite(value),
+  float8: value => Number.isFinite(value),
+  timestamp: value => typeof value === 'string' && !isNaN(Date.parse(value))
+};
+
+const orderBySql = (sort) => {
+  const { keys, direction } = FEED_SORTS[sort];
+  return keys.map(([expression]) => `${expression} ${direction}`).join(', ');
+};
+
+// Column with each row's position, selected as `feed_position`. JSON keeps full timestamp
+// precision, which a JavaScript Date would cut to milliseconds.
+const positionSql = (sort) => `json_build_array(${FEED_SORTS[sort].keys.map(([expression]) => expression).join(', ')})`;
+
+// Condition for rows after `position`, using parameters from $param. Returns { sql, params }.
+const afterPositionSql = (sort, position, param) => {
+  const { keys, direction } = FEED_SORTS[sort];
+
+  return {
+    sql: `(${keys.map(([expression]) => expression).join(', ')}) ${direction === 'DESC' ? '<' : '>'} (${keys.map(([, type], index) => `$${param + index}::${type}`).join(', ')})`,
+    params: position
+  };
+};
+
+const encodeCursor = ({ sort, position, cycle, snapshot = null, offset = 0 }) => Buffer
+  .from(JSON.stringify(snapshot ? { sort, position, cycle, snapshot, offset } : { sort, position, cycle }))
+  .toString('base64url');
+
+// Returns { position, cycle, snapshot, offset } (snapshot null when the cursor has none), or
+// null when the token is not a cursor for this sort
+const decodeCursor = (token, sort) => {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  const keys = FEED_SORTS[sort].keys;
+
+  if (!cursor || cursor.sort !== sort || !Array.isArray(cursor.position) || cursor.position.length !== keys.length) {
+    return null;
+  }
+
+  if (!keys.every(([, type], index) => VALUE_CHECKS[type](cursor.position[index]))) {
+    return null;
+  }
+
+  if (!Number.isInteger(cursor.cycle) || cursor.cycle < 1) {
+    return null;
+  }
+
+  if (cursor.snapshot === undefined) {
+    return { position: cursor.position, cycle: cursor.cycle, snapshot: null, offset: 0 };
+  }
+
+  if (typeof cursor.snapshot !== 'string' || !SNAPSHOT_ID_PATTERN.test(cursor.snapshot)
+    || !Number.isInteger(cursor.offset) || cursor.offset < 0 || cursor.offset > SNAPSHOT_SIZE) {
+    return null;
+  }
+
+  return { position: cursor.position, cycle: cursor.cycle, snapshot: cursor.snapshot, offset: cursor.offset };
+};
+
+// Save the auction IDs of a pass in feed order. Returns the snapshot ID, or null when it
+// could not be saved (no Redis).
+const saveSnapshot = async (auctionIds) => {
+  const id = crypto.randomBytes(12).toString('base64url');
+  const saved = await cache.set(CACHE_KEYS.FEED_SNAPSHOT(id), auctionIds, SNAPSHOT_TTL_SECONDS);
+  return saved ? id : null;
+};
+
+// Auction IDs of a snapshot in feed order, or null once it has expired
+const loadSnapshot = (id) => cache.get(CACHE_KEYS.FEED_SNAPSHOT(id));
+
+module.exports = {
+  SNAPSHOT_SIZE,
+  FEED_SORTS,
+  orderBySql,
+  positionSql,
+  afterPositionSql,
+  encodeCursor,
+  decodeCursor,
+  saveSnapshot,
+  loadSnapshot
+};
@@ -0,0 +1,186 @@
+const { query } = require('../config/database');
+
+// Personalized feed ranking (`sort=for_you`).
+// Each live auction is scored from what the viewer did over the last PROFILE_WINDOW_DAYS days:
+//   category    - interest in the auction's category from auctions the viewer watched,
+//                 bid on, opened and skipped (see INTEREST_WEIGHTS), scaled so the
+//                 favourite category is 1 and disliked ones go down to -1
+//   price       - the current price lies in the range the viewer usually watches and bids in
+//   popularity  - bids and watchers, log-scaled
+//   freshness   - listed recently, fading out over FRESH_HOURS
+//   skipped     - the viewer skipped this auction in the feed
+//   exploration - EXPLORATION_PERCENT of fresh listings, picked per viewer and day, are pushed
+//                 up so new listings get seen outside the viewer's usual categories
+// The score is the sum of the signals times RANKING_WEIGHTS. Guests have no history and
+// get the `popular` order instead.
+
+const PROFILE_WINDOW_DAYS = 90;
+
+// How much one auction counts towards interest in its category
+const INTEREST_WEIGHTS = {
+  bid: 4,
+  watch: 3,
+  view: 1,
+  skip: -1
+};
+
+const RANKING_WEIGHTS = {
+  category: 40,
+  price: 20,
+  popularity: 10,
+  freshness: 10,
+  skipped: -60,
+  exploration: 30
+};
+
+// Bids plus watchers at which popularity counts in full
+const FULL_POPULARITY = 50;
+
+const FRESH_HOURS = 48;
+const EXPLORATION_PERCENT = 10;
+
+// Prices needed before a price range is inferred, and how far it is widened on either side
+const MIN_PRICE_POINTS = 3;
+const PRICE_RANGE_MARGIN = 0.25;
+
+// Remember that a user opened or skipped an auction; repeats only refresh the time.
+// Never throws.
+const recordInteraction = async (userId, auctionId, type) => {
+  try {
+    await query(`
+      INSERT INTO auction_interactions (user_id, auction_id, type)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (user_id, auction_id, type) DO UPDATE SET created_at = NOW()
+    `, [userId, auctionId, type]);
+  } catch (error) {
+    console.error(`Record auction ${type} error:`, error);
+  }
+};
+
+// Interactions older than the profile window no longer count
+const cleanupInteractions = async () => {
+  const result = await query(
+    'DELETE FROM auction_interactions WHERE created_at < NOW() - make_interval(days => $1)',
+    [PROFILE_WINDOW_DAYS]
+  );
+  return result.rowCount;
+};
+
+// What the ranking knows about a viewer: category interest, price range and the seed that
+// picks their exploration listings (stable for the day so pages do not reshuffle)
+const getRankingProfile = async (userId) => {
+  const interestResult = await query(`
+    SELECT category_id, SUM(weight) as interest
+    FROM (
+      SELECT a.category_id, ${INTEREST_WEIGHTS.watch} as weight
+      FROM watchlist w
+      JOIN auctions a ON w.auction_id = a.id
+      WHERE w.user_id = $1 AND w.created_at >= NOW() - make_interval(days => $2)
+      UNION ALL
+      SELECT a.category_id, ${INTEREST_WEIGHTS.bid}
+      FROM auctions a
+      WHERE a.id IN (
+        SELECT auction_id FROM bids
+        WHERE bidder_id = $1 AND created_at >= NOW() - make_interval(days => $2)
+      )
+      UNION ALL
+      SELECT a.category_id, CASE i.type WHEN 'view' THEN ${INTEREST_WEIGHTS.view} ELSE ${INTEREST_WEIGHTS.skip} END
+      FROM auction_interactions i
+      JOIN auctions a ON i.auction_id = a.id
+      WHERE i.user_id = $1 AND i.created_at >= NOW() - make_interval(days => $2)
+    ) interests
+    WHERE category_id IS NOT NULL
+    GROUP BY category_id
+  `, [userId, PROFILE_WINDOW_DAYS]);
+
+  const priceResult = await query(`
+    SELECT COUNT(*) as price_count,
+      PERCENTILE_CONT(0.25) WITHIN GROUP (ORDER BY price) as low_price,
+      PERCENTILE_CONT(0.75) WITHIN GROUP (ORDER BY price) as high_price
+    FROM (
+      SELECT amount as price FROM bids
+      WHERE bidder_id = $1 AND created_at >= NOW() - make_interval(days => $2)
+      UNION ALL
+      SELECT a.current_price
+      FROM watchlist w
+      JOIN auctions a ON w.auction_id = a.id
+      WHERE w.user_id = $1 AND w.created_at >= NOW() - make_interval(days => $2)
+    ) prices
+  `, [userId, PROFILE_WINDOW_DAYS]);
+
+  const interests = interestResult.rows.map(row => ({ categoryId: row.category_id, interest: parseFloat(row.interest) }));
+  const topInterest = Math.max(1, ...interests.map(({ interest }) => interest));
+  const categoryAffinity = {};
+  for (const { categoryId, interest } of interests) {
+    categoryAffinity[categoryId] = Math.max(-1, interest / topInterest);
+  }
+
+  const prices = priceResult.rows[0];
+  const priceRange = parseInt(prices.price_count) >= MIN_PRICE_POINTS
+    ? {
+      low: parseFloat(prices.low_price) * (1 - PRICE_RANGE_MARGIN),
+      high: parseFloat(prices.high_price) * (1 + PRICE_RANGE_MARGIN)
+    }
+    : null;
+
+  return {
+    categoryAffinity,
+    priceRange,
+    seed: `${userId}:${new Date().toISOString().slice(0, 10)}`
+  };
+};
+
+// Lateral joins adding `signals` (one weighted column per signal) and `ranking.score` to the
+// feed query (see buildFeedQuery in routes/auctions.js). $1 must be the viewer's user ID;
+// the profile takes parameters from $param. Returns { join, params }.
+const rankingSql = (profile, param) => {
+  // Hours since listing, on the hour so scores hold still between page requests
+  const listedHoursAgo = 'EXTRACT(EPOCH FROM (DATE_TRUNC(\'hour\', NOW()) - a.created_at)) / 3600';
+
+  return {
+    join: `
+      CROSS JOIN LATERAL (
+        SELECT
+          GREATEST(-1, LEAST(1, COALESCE(($${param}::jsonb ->> a.category_id::text)::float8, 0))) * ${RANKING_WEIGHTS.category} as category,
+          CASE WHEN a.current_price BETWEEN $${param + 1}::float8 AND $${param + 2}::float8 THEN ${RANKING_WEIGHTS.price} ELSE 0 END as price,
+          LEAST(1, LN(1 + a.bid_count + a.watch_count) / LN(${1 + FULL_POPULARITY})) * ${RANKING_WEIGHTS.popularity} as popularity,
+          GREATEST(0, LEAST(1, 1 - (${listedHoursAgo}) / ${FRESH_HOURS})) * ${RANKING_WEIGHTS.freshness} as freshness,
+          CASE WHEN EXISTS (
+            SELECT 1 FROM auction_interactions i
+            WHERE i.user_id = $1 AND i.auction_id = a.id AND i.type = 'skip'
+          ) THEN ${RANKING_WEIGHTS.skipped} ELSE 0 END as skipped,
+          CASE WHEN ${listedHoursAgo} < ${FRESH_HOURS}
+            AND ABS(hashtext(a.id::text || ':' || $${param + 3}::text)::bigint) % 100 < ${EXPLORATION_PERCENT}
+            THEN ${RANKING_WEIGHTS.exploration} ELSE 0 END as exploration
+      ) signals
+      CROSS JOIN LATERAL (
+        SELECT signals.category + signals.price + signals.popularity
+          + signals.freshness + signals.skipped + signals.exploration as score
+      ) ranking
+    `,
+    params: [
+      JSON.stringify(profile.categoryAffinity),
+      profile.priceRange ? profile.priceRange.low : null,
+      profile.priceRange ? profile.priceRange.high : null,
+      profile.seed
+    ]
+  };
+};
+
+const round = (value) => Math.round(parseFloat(value) * 100) / 100;
+
+// Why an auction ranked where it did, from the `ranking_score` and `ranking_signals` columns
+const formatRanking = (row) => ({
+  score: round(row.ranking_score),
+  signals: Object.fromEntries(
+    Object.entries(row.ranking_signals).map(([signal, value]) => [signal, round(value)])
+  )
+});
+
+module.exports = {
+  recordInteraction,
+  cleanupInteractions,
+  getRankingProfile,
+  rankingSql,
+  formatRanking
+};
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+
+// Idempotency keys let clients safely retry writes (bids, buy-now, auction creation).
+// The first request with a key runs and its result is stored; repeats with the same
+// key return the stored result instead of running again. Keys are scoped per user
+// and operation and kept for 24 hours (see the scheduler's cleanup job).
+
+const MAX_KEY_LENGTH = 255;
+
+// Stable fingerprint of a request body so a reused key with a different request is caught
+const fingerprintRequest = (...parts) => {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+};
+
+// Claim a key. Returns { reserved: true } for a new key, otherwise the stored outcome.
+const reserveKey = async ({ key, userId, scope, fingerprint }) => {
+  const inserted = await query(`
+    INSERT INTO idempotency_keys (idempotency_key, user_id, scope, request_hash)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (user_id, scope, idempotency_key) DO NOTHING
+    RETURNING idempotency_key
+  `, [key, userId, scope, fingerprint]);
+
+  if (inserted.rows.length > 0) {
+    return { reserved: true };
+  }
+
+  const existing = await query(`
+    SELECT request_hash, response_status, response_body
+    FROM idempotency_keys
+    WHERE user_id = $1 AND scope = $2 AND idempotency_key = $3
+  `, [userId, scope, key]);
+
+  const record = existing.rows[0];
+
+  if (!record) {
+    // Released between the insert and the lookup; treat as a fresh key
+    return reserveKey({ key, userId, scope, fingerprint });
+  }
+
+  if (record.request_hash !== fingerprint) {
+    return {
+      reserved: false,
+      status: 422,
+      payload: { message: 'Idempotency-Key was already used for a different request' }
+    };
+  }
+
+  if (record.response_status === null) {
+    return {
+      reserved: false,
+      status: 409,
+      payload: { message: 'A request with this Idempotency-Key is still being processed' }
+    };
+  }
+
+  return {
+    reserved: false,
+    replayed: true,
+    status: record.response_status,
+    payload: record.response_body
+  };
+};
+
+// Store the outcome of a reserved key
+const completeKey = async ({ key, userId, scope }, status, payload) => {
+  await query(`
+    UPDATE idempotency_keys
+    SET response_status = $1, response_body = $2, completed_at = CURRENT_TIMESTAMP
+    WHERE user_id = $3 AND scope = $4 AND idempotency_key = $5
+  `, [status, JSON.stringify(payload), userId, scope, key]);
+};
+
+// Give up a reserved key after a server error so the client can retry
+const releaseKey = async ({ key, userId, scope }) => {
+  await query(
+    'DELETE FROM idempotency_keys WHERE user_id = $1 AND scope = $2 AND idempotency_key = $3',
+    [userId, scope, key]
+  );
+};
+
+// Run `execute` at most once per key. `execute` resolves to { status, payload }.
+// Without a key the operation simply runs.
+const runIdempotent = async ({ key, userId, scope, fingerprint }, execute) => {
+  if (!key) {
+    return execute();
+  }
+
+  const identity = { key, userId, scope };
+  const reservation = await reserveKey({ ...identity, fingerprint });
+
+  if (!reservation.reserved) {
+    return reservation;
+  }
+
+  try {
+    const result = await execute();
+    if (result.status >= 500) {
+      await releaseKey(identity);
+    } else {
+      await completeKey(identity, result.status, result.payload);
+    }
+    return result;
+  } catch (error) {
+    await releaseKey(identity);
+    throw error;
+  }
+};
+
+module.exports = {
+  MAX_KEY_LENGTH,
+  fingerprintRequest,
+  reserveKey,
+  completeKey,
+  releaseKey,
+  runIdempotent
+};
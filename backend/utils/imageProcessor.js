@@ -9,6 +9,8 @@ class ImageProcessor {
     this.auctionImagesDir = path.join(this.uploadDir, 'auctions');
     this.profileImagesDir = path.join(this.uploadDir, 'profiles');
     this.thumbnailsDir = path.join(this.uploadDir, 'thumbnails');
+    // Report evidence is kept outside the public uploads directory
+    this.reportEvidenceDir = path.join(__dirname, '../private/reports');
     
     // Image size configurations
     this.sizes = {
@@ -278,6 +280,28 @@ class ImageProcessor {
     }
   }
 
+  // Re-encode an uploaded image in place without its metadata (EXIF, GPS position,
+  // camera details). The EXIF orientation is applied first so the image stays upright.
+  async stripMetadata(filePath) {
+    const buffer = await sharp(filePath).rotate().toBuffer();
+    await fs.writeFile(filePath, buffer);
+  }
+
+  // Path of a report evidence image from its URL (/api/reports/evidence/<file>)
+  getReportEvidencePath(imageUrl) {
+    return path.join(this.reportEvidenceDir, path.basename(imageUrl));
+  }
+
+  async deleteReportEvidence(images) {
+    for (const imageUrl of images || []) {
+      try {
+        await fs.unlink(this.getReportEvidencePath(imageUrl));
+      } catch (error) {
+        // Ignore if file doesn't exist
+      }
+    }
+  }
+
   async deleteAuctionImages(images) {
     try {
       if (!Array.isArray(images)) return;
@@ -298,6 +322,29 @@ class ImageProcessor {
     }
   }
 
+  // Copy auction images to new files (e.g. for a relisted auction) so each
+  // listing owns its images and deleting one does not affect the other
+  async copyAuctionImages(images) {
+    const copies = [];
+
+    for (const imageUrl of images || []) {
+      try {
+        const sourcePath = path.join(this.uploadDir, imageUrl.replace('/uploads/', ''));
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        const fileName = `auction-${uniqueSuffix}${path.extname(sourcePath)}`;
+
+        await fs.copyFile(sourcePath, path.join(this.auctionImagesDir, fileName));
+        copies.push(`/uploads/auctions/${fileName}`);
+      } catch (error) {
+        // Keep the original reference if the file cannot be copied
+        console.error(`Copy image error for ${imageUrl}:`, error.message);
+        copies.push(imageUrl);
+      }
+    }
+
+    return copies;
+  }
+
   async optimizeExistingImages() {
     try {
       console.log('Starting image optimization...');
@@ -411,7 +458,8 @@ class ImageProcessor {
       directories: {
         auctions: this.auctionImagesDir,
         profiles: this.profileImagesDir,
-        thumbnails: this.thumbnailsDir
+        thumbnails: this.thumbnailsDir,
+        reportEvidence: this.reportEvidenceDir
       },
       sizes: this.sizes,
       allowedFormats: this.allowedFormats,
@@ -0,0 +1,117 @@
+const { query } = require('../config/database');
+
+// COD (cash on delivery / collection) locations.
+// Locations are the cities and areas of the bundled gazetteer (data/gazetteer.json),
+// seeded into the `locations` table. Sellers attach them to auctions through
+// `auction_cod_locations`; buyers can set one as their home location.
+
+const EARTH_RADIUS_KM = 6371;
+
+// Most COD locations a seller can attach to one auction
+const MAX_COD_LOCATIONS = 10;
+
+// Default and largest radius for "near a location" filters
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+
+const formatLocation = (location) => ({
+  id: location.id,
+  city: location.city,
+  area: location.area,
+  label: location.area ? `${location.area}, ${location.city}` : location.city,
+  latitude: parseFloat(location.latitude),
+  longitude: parseFloat(location.longitude)
+});
+
+// SQL for the great-circle distance in km between the location aliased `alias` and the
+// point at the SQL expressions `lat`/`lng` (haversine formula)
+const distanceToSql = (alias, lat, lng) => `
+  ${EARTH_RADIUS_KM} * 2 * ASIN(SQRT(
+    POWER(SIN(RADIANS(${alias}.latitude::float8 - ${lat}) / 2), 2) +
+    COS(RADIANS(${lat})) * COS(RADIANS(${alias}.latitude::float8)) *
+    POWER(SIN(RADIANS(${alias}.longitude::float8 - ${lng}) / 2), 2)
+  ))
+`;
+
+// Distance to the point in parameters $latParam/$lngParam. The casts keep Postgres
+// from deducing different types for a parameter used twice.
+const distanceSql = (alias, latParam, lngParam) => distanceToSql(alias, `$${latParam}::float8`, `$${lngParam}::float8`);
+
+const getLocation = async (id) => {
+  const result = await query('SELECT * FROM locations WHERE id = $1', [id]);
+  return result.rows[0] || null;
+};
+
+// Check that every ID is a known location. Returns an error message, or null.
+const validateLocationIds = async (ids) => {
+  if (ids.length > MAX_COD_LOCATIONS) {
+    return `At most ${MAX_COD_LOCATIONS} COD locations are allowed`;
+  }
+
+  const unique = [...new Set(ids)];
+  if (unique.length === 0) {
+    return null;
+  }
+
+  const result = await query('SELECT id FROM locations WHERE id = ANY($1)', [unique]);
+  if (result.rows.length !== unique.length) {
+    const known = new Set(result.rows.map(row => row.id));
+    return `Unknown location: ${unique.find(id => !known.has(id))}`;
+  }
+
+  return null;
+};
+
+// Replace the COD locations of an auction. `db` is a transaction client (or the pool).
+const setAuctionCodLocations = async (db, auctionId, ids) => {
+  await db.query('DELETE FROM auction_cod_locations WHERE auction_id = $1', [auctionId]);
+
+  const unique = [...new Set(ids)];
+  if (unique.length > 0) {
+    await db.query(`
+      INSERT INTO auction_cod_locations (auction_id, location_id)
+      SELECT $1, UNNEST($2::int[])
+    `, [auctionId, unique]);
+  }
+};
+
+// COD locations of several auctions, as a map of auction ID -> formatted locations
+const getCodLocationsByAuction = async (auctionIds) => {
+  const byAuction = new Map(auctionIds.map(id => [id, []]));
+  if (auctionIds.length === 0) {
+    return byAuction;
+  }
+
+  const result = await query(`
+    SELECT acl.auction_id, l.*
+    FROM auction_cod_locations acl
+    JOIN locations l ON acl.location_id = l.id
+    WHERE acl.auction_id = ANY($1)
+    ORDER BY l.city, l.area NULLS FIRST
+  `, [auctionIds]);
+
+  for (const row of result.rows) {
+    byAuction.get(row.auction_id).push(formatLocation(row));
+  }
+
+  return byAuction;
+};
+
+const getAuctionCodLocations = async (auctionId) => {
+  const byAuction = await getCodLocationsByAuction([auctionId]);
+  return byAuction.get(auctionId);
+};
+
+module.exports = {
+  MAX_COD_LOCATIONS,
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  formatLocation,
+  distanceToSql,
+  distanceSql,
+  getLocation,
+  validateLocationIds,
+  setAuctionCodLocations,
+  getCodLocationsByAuction,
+  getAuctionCodLocations
+};
@@ -0,0 +1,171 @@
+const { query } = require('../config/database');
+
+// Sold-price history.
+// Prices come from `final_price` of sold auctions whose sale went through (an order that
+// was not cancelled or left unpaid), dated by `end_time` (when bidding ended or the item
+// was bought outright). Results cover the last `days` days.
+
+const DEFAULT_PRICE_WINDOW_DAYS = 90;
+const MAX_PRICE_WINDOW_DAYS = 365;
+
+// Most individual sales listed with the summary
+const MAX_SALES_LISTED = 20;
+
+// Share of an auction's title words a sale must also have to count as comparable
+const MIN_TITLE_SIMILARITY = 0.4;
+
+// A change in median price smaller than this (in percent) is reported as flat
+const FLAT_TREND_PERCENT = 5;
+
+// Sold auctions in the window, as a subquery for the queries below. $1 is the window in days.
+const SOLD_SALES_SQL = `
+  SELECT a.id, a.title, a.condition, a.category_id, a.images, a.specs,
+    a.final_price, a.end_time as sold_at
+  FROM auctions a
+  WHERE a.status = 'sold' AND a.final_price IS NOT NULL
+    AND a.end_time >= NOW() - make_interval(days => $1::int)
+    AND EXISTS (
+      SELECT 1 FROM orders o
+      WHERE o.auction_id = a.id AND o.status NOT IN ('cancelled', 'unpaid')
+    )
+`;
+
+// Sales similar to an auction: same category, sharing at least MIN_TITLE_SIMILARITY of its
+// title words (after stemming and dropping stop words). $2 is the auction ID.
+const comparableSalesSql = () => `
+  SELECT sales.*,
+    CARDINALITY(ARRAY(
+      SELECT UNNEST(tsvector_to_array(to_tsvector('english', sales.title)))
+      INTERSECT
+      SELECT UNNEST(subject.words)
+    ))::float8 / GREATEST(CARDINALITY(subject.words), 1) as similarity
+  FROM (${SOLD_SALES_SQL}) sales
+  JOIN (
+    SELECT id, category_id, tsvector_to_array(to_tsvector('english', COALESCE(title, ''))) as words
+    FROM auctions WHERE id = $2
+  ) subject ON sales.category_id = subject.category_id AND sales.id <> subject.id
+`;
+
+// Sales whose title matches a prefix tsquery ($2), optionally in a category ($3) and condition ($4)
+const matchingSalesSql = () => `
+  SELECT sales.*, NULL::float8 as similarity
+  FROM (${SOLD_SALES_SQL}) sales
+  WHERE to_tsvector('english', sales.title) @@ to_tsquery('english', $2)
+    AND ($3::int IS NULL OR sales.category_id = $3)
+    AND ($4::text IS NULL OR sales.condition = $4)
+`;
+
+const toPrice = (value) => value !== null && value !== undefined ? Math.round(parseFloat(value) * 100) / 100 : null;
+
+const formatSale = (sale) => ({
+  auctionId: sale.id,
+  title: sale.title,
+  condition: sale.condition,
+  image: sale.images?.[0] || null,
+  specs: sale.specs || {},
+  finalPrice: parseFloat(sale.final_price),
+  soldAt: sale.sold_at,
+  similarity: sale.similarity !== null ? Math.round(sale.similarity * 100) / 100 : undefined
+});
+
+// Compare the median of the more recent half of the window with the earlier half
+const describeTrend = (recentMedian, earlierMedian) => {
+  if (recentMedian === null || earlierMedian === null || earlierMedian === 0) {
+    return { direction: null, changePercent: null };
+  }
+
+  const changePercent = Math.round(((recentMedian - earlierMedian) / earlierMedian) * 1000) / 10;
+  let direction = 'flat';
+  if (changePercent >= FLAT_TREND_PERCENT) direction = 'up';
+  if (changePercent <= -FLAT_TREND_PERCENT) direction = 'down';
+
+  return { direction, changePercent };
+};
+
+// Summarize the sales selected by `salesSql` (which may filter further): price statistics,
+// the trend (weekly medians and the change between the two halves of the window) and the
+// most relevant individual sales.
+const summarizeSales = async (salesSql, params, { days, filter = 'true', orderBy }) => {
+  const statsResult = await query(`
+    SELECT
+      COUNT(*) as sale_count,
+      PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY final_price) as median_price,
+      MIN(final_price) as min_price,
+      MAX(final_price) as max_price,
+      AVG(final_price) as avg_price,
+      PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY final_price)
+        FILTER (WHERE sold_at >= NOW() - make_interval(days => $1::int) / 2) as recent_median,
+      PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY final_price)
+        FILTER (WHERE sold_at < NOW() - make_interval(days => $1::int) / 2) as earlier_median
+    FROM (${salesSql}) sales
+    WHERE ${filter}
+  `, params);
+
+  const weeklyResult = await query(`
+    SELECT
+      DATE_TRUNC('week', sold_at) as week_start,
+      COUNT(*) as sale_count,
+      PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY final_price) as median_price
+    FROM (${salesSql}) sales
+    WHERE ${filter}
+    GROUP BY 1
+    ORDER BY 1
+  `, params);
+
+  const salesResult = await query(`
+    SELECT * FROM (${salesSql}) sales
+    WHERE ${filter}
+    ORDER BY ${orderBy}
+    LIMIT ${MAX_SALES_LISTED}
+  `, params);
+
+  const stats = statsResult.rows[0];
+
+  return {
+    days,
+    stats: {
+      count: parseInt(stats.sale_count),
+      median: toPrice(stats.median_price),
+      min: toPrice(stats.min_price),
+      max: toPrice(stats.max_price),
+      average: toPrice(stats.avg_price)
+    },
+    trend: {
+      ...describeTrend(toPrice(stats.recent_median), toPrice(stats.earlier_median)),
+      weekly: weeklyResult.rows.map(week => ({
+        weekStart: week.week_start,
+        count: parseInt(week.sale_count),
+        median: toPrice(week.median_price)
+      }))
+    },
+    sales: salesResult.rows.map(formatSale)
+  };
+};
+
+// Recent sales comparable to an auction, most similar first
+const getComparableSales = (auctionId, days = DEFAULT_PRICE_WINDOW_DAYS) => summarizeSales(
+  comparableSalesSql(),
+  [days, auctionId],
+  {
+    days,
+    filter: `similarity >= ${MIN_TITLE_SIMILARITY}`,
+    orderBy: 'similarity DESC, sold_at DESC'
+  }
+);
+
+// Recent sales matching a search (see buildPrefixQuery in utils/search.js), newest first
+const getMarketPrices = ({ searchQuery, categoryId = null, condition = null, days = DEFAULT_PRICE_WINDOW_DAYS }) => summarizeSales(
+  matchingSalesSql(),
+  [days, searchQuery, categoryId, condition],
+  {
+    days,
+    orderBy: 'sold_at DESC'
+  }
+);
+
+module.exports = {
+  DEFAULT_PRICE_WINDOW_DAYS,
+  MAX_PRICE_WINDOW_DAYS,
+  getComparableSales,
+  getMarketPrices
+};
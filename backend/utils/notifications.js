@@ -1,5 +1,7 @@
 const { query } = require('../config/database');
-const { cache, realtime } = require('../config/redis');
+const { cache } = require('../config/redis');
+const realtime = require('./realtime');
+const { sendWhatsAppMessage } = require('./whatsapp');
 const nodemailer = require('nodemailer');
 
 // Email transporter configuration
@@ -18,16 +20,32 @@ const NOTIFICATION_TYPES = {
   BID_PLACED: 'bid_placed',
   BID_OUTBID: 'bid_outbid',
   AUCTION_ENDING: 'auction_ending',
+  AUCTION_LIVE: 'auction_live',
   AUCTION_WON: 'auction_won',
   AUCTION_LOST: 'auction_lost',
   AUCTION_SOLD: 'auction_sold',
+  AUCTION_UPDATED: 'auction_updated',
+  AUCTION_CANCELLED: 'auction_cancelled',
   PAYMENT_RECEIVED: 'payment_received',
   ITEM_SHIPPED: 'item_shipped',
   ITEM_DELIVERED: 'item_delivered',
+  ORDER_UPDATED: 'order_updated',
   WATCHLIST_ENDING: 'watchlist_ending',
+  WATCHLIST_SOLD: 'watchlist_sold',
+  SAVED_SEARCH_MATCH: 'saved_search_match',
+  SAVED_SEARCH_DIGEST: 'saved_search_digest',
   PRICE_DROP: 'price_drop',
+  RESERVE_LOWERED: 'reserve_lowered',
+  BID_RETRACTED: 'bid_retracted',
+  RETRACTION_APPROVED: 'retraction_approved',
+  RETRACTION_REJECTED: 'retraction_rejected',
+  SECOND_CHANCE_OFFER: 'second_chance_offer',
+  SECOND_CHANCE_ACCEPTED: 'second_chance_accepted',
+  SECOND_CHANCE_DECLINED: 'second_chance_declined',
+  SECOND_CHANCE_EXPIRED: 'second_chance_expired',
   NEW_MESSAGE: 'new_message',
   ACCOUNT_WARNING: 'account_warning',
+  REPORT_UPDATED: 'report_updated',
   SYSTEM_ANNOUNCEMENT: 'system_announcement'
 };
 
@@ -41,18 +59,15 @@ async function createNotification(userId, type, title, message, data = {}) {
 
     const notification = result.rows[0];
 
-    // Send real-time notification
-    await realtime.publish(`user:${userId}:notifications`, {
-      type: 'new_notification',
-      notification: {
-        id: notification.id,
-        type: notification.type,
-        title: notification.title,
-        message: notification.message,
-        data: notification.data,
-        createdAt: notification.created_at,
-        isRead: false
-      }
+    // Send real-time notification to the user's room
+    realtime.emitNotification(userId, {
+      id: notification.id,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      data: notification.data,
+      createdAt: notification.created_at,
+      isRead: false
     });
 
     return notification;
@@ -86,18 +101,13 @@ async function sendEmailNotification(email, subject, htmlContent, textContent =
   }
 }
 
-// Send WhatsApp notification (placeholder for future implementation)
+// Send WhatsApp notification through the configured transport (see utils/whatsapp.js)
 async function sendWhatsAppNotification(phoneNumber, message) {
   try {
-    if (!process.env.WHATSAPP_API_KEY) {
-      console.log('WhatsApp API not configured, skipping WhatsApp notification');
-      return;
-    }
-
-    // TODO: Implement WhatsApp Business API integration
-    console.log(`WhatsApp notification to ${phoneNumber}: ${message}`);
+    await sendWhatsAppMessage(phoneNumber, message);
   } catch (error) {
     console.error('Send WhatsApp error:', error);
+    // Don't throw error to prevent breaking the main flow
   }
 }
 
@@ -133,7 +143,7 @@ async function sendNotification(userId, type, title, message, data = {}, options
 
     // Get user details and preferences
     const userResult = await query(
-      'SELECT email, phone, email_notifications, push_notifications, whatsapp_notifications FROM users WHERE id = $1',
+      'SELECT email, whatsapp, email_notifications, push_notifications, whatsapp_notifications FROM users WHERE id = $1',
       [userId]
     );
 
@@ -156,8 +166,8 @@ async function sendNotification(userId, type, title, message, data = {}, options
     }
 
     // Send WhatsApp notification if enabled
-    if (preferences.whatsapp && user.phone && !options.skipWhatsApp) {
-      await sendWhatsAppNotification(user.phone, `${title}\n${message}`);
+    if (preferences.whatsapp && user.whatsapp && !options.skipWhatsApp) {
+      await sendWhatsAppNotification(user.whatsapp, `${title}\n${message}`);
     }
 
     return notification;
@@ -288,13 +298,13 @@ async function notifyAuctionBidders(auctionId, excludeUserId, type, title, messa
   try {
     // Get all bidders for this auction (excluding the current bidder)
     const result = await query(`
-      SELECT DISTINCT user_id 
+      SELECT DISTINCT bidder_id 
       FROM bids 
-      WHERE auction_id = $1 AND user_id != $2
+      WHERE auction_id = $1 AND bidder_id IS DISTINCT FROM $2
     `, [auctionId, excludeUserId]);
 
     const notifications = result.rows.map(row => 
-      sendNotification(row.user_id, type, title, message, data)
+      sendNotification(row.bidder_id, type, title, message, data)
     );
 
     await Promise.all(notifications);
@@ -303,14 +313,14 @@ async function notifyAuctionBidders(auctionId, excludeUserId, type, title, messa
   }
 }
 
-async function notifyWatchlistUsers(auctionId, type, title, message, data) {
+async function notifyWatchlistUsers(auctionId, type, title, message, data, excludeUserIds = []) {
   try {
-    // Get all users watching this auction
+    // Get all users watching this auction (excluding users already notified)
     const result = await query(`
       SELECT user_id 
       FROM watchlist 
-      WHERE auction_id = $1
-    `, [auctionId]);
+      WHERE auction_id = $1 AND NOT (user_id = ANY($2::int[]))
+    `, [auctionId, excludeUserIds]);
 
     const notifications = result.rows.map(row => 
       sendNotification(row.user_id, type, title, message, data)
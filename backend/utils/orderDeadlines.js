@@ -0,0 +1,37 @@
+// Order deadline helpers.
+// Each open order status has a deadline in hours (see utils/orders.js for what
+// happens when it passes):
+//   { paymentHours: 72, dispatchHours: 120, receiptHours: 336, closeHours: 168 }
+
+const DEFAULT_ORDER_DEADLINES = {
+  paymentHours: 72,
+  dispatchHours: 120,
+  receiptHours: 336,
+  closeHours: 168
+};
+
+// Returns an error message, or null when the deadlines are valid
+const validateDeadlines = (deadlines) => {
+  if (!deadlines || typeof deadlines !== 'object' || Array.isArray(deadlines)) {
+    return 'Order deadlines must be an object';
+  }
+
+  for (const key of Object.keys(deadlines)) {
+    if (DEFAULT_ORDER_DEADLINES[key] === undefined) {
+      return `Unknown order deadline: ${key}`;
+    }
+  }
+
+  for (const key of Object.keys(DEFAULT_ORDER_DEADLINES)) {
+    if (!Number.isInteger(deadlines[key]) || deadlines[key] < 1) {
+      return `"${key}" must be a whole number of hours, at least 1`;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  DEFAULT_ORDER_DEADLINES,
+  validateDeadlines
+};
@@ -0,0 +1,348 @@
+const { pool, query } = require('../config/database');
+const { getSetting } = require('./settings');
+const { DEFAULT_ORDER_DEADLINES } = require('./orderDeadlines');
+const { sendNotification, NOTIFICATION_TYPES } = require('./notifications');
+
+// Order lifecycle after an auction is won or bought outright:
+//   pending_payment -> paid -> shipped | handed_over -> received -> closed
+// An order can be cancelled before payment, disputed once paid, and becomes `unpaid`
+// when the buyer misses the payment deadline (the seller may then make a second
+// chance offer). Each open status has a deadline from the `order_deadlines` setting
+// (see utils/orderDeadlines.js).
+
+const ORDER_STATUSES = [
+  'pending_payment', 'paid', 'shipped', 'handed_over', 'received',
+  'closed', 'cancelled', 'disputed', 'unpaid'
+];
+
+// Transitions a buyer or seller can make: the statuses they apply to, the resulting
+// status and who may make them ('buyer', 'seller' or 'either')
+const ORDER_ACTIONS = {
+  confirm_payment: { from: ['pending_payment'], to: 'paid', actor: 'seller' },
+  ship: { from: ['paid'], to: 'shipped', actor: 'seller' },
+  hand_over: { from: ['paid'], to: 'handed_over', actor: 'seller' },
+  confirm_receipt: { from: ['shipped', 'handed_over'], to: 'received', actor: 'buyer' },
+  close: { from: ['received'], to: 'closed', actor: 'either' },
+  cancel: { from: ['pending_payment'], to: 'cancelled', actor: 'either' },
+  dispute: { from: ['paid', 'shipped', 'handed_over', 'received'], to: 'disputed', actor: 'either' }
+};
+
+// Which deadline applies while an order is in a status
+const DEADLINE_KEYS = {
+  pending_payment: 'paymentHours',
+  paid: 'dispatchHours',
+  shipped: 'receiptHours',
+  handed_over: 'receiptHours',
+  received: 'closeHours'
+};
+
+// Timestamp column recorded when an order enters a status
+const STATUS_TIMESTAMPS = {
+  paid: 'paid_at',
+  shipped: 'dispatched_at',
+  handed_over: 'dispatched_at',
+  received: 'received_at',
+  closed: 'closed_at'
+};
+
+// Build a rejected result (nothing was written)
+const reject = (status, payload) => ({ accepted: false, status, payload });
+
+// Build an accepted result
+const accept = (payload, status = 200) => ({ accepted: true, status, payload });
+
+// Notifications are best effort; a failure must not undo a transition
+const notify = async (...args) => {
+  try {
+    await sendNotification(...args);
+  } catch (error) {
+    console.error('Order notification error:', error);
+  }
+};
+
+// Hours until the deadline of `status`, or null when the status has none
+const getDeadlineHours = async (status) => {
+  const key = DEADLINE_KEYS[status];
+  if (!key) {
+    return null;
+  }
+
+  const deadlines = { ...DEFAULT_ORDER_DEADLINES, ...(await getSetting('order_deadlines')) };
+  return deadlines[key];
+};
+
+const formatOrder = (order) => ({
+  id: order.id,
+  auctionId: order.auction_id,
+  sellerId: order.seller_id,
+  buyerId: order.buyer_id,
+  amount: parseFloat(order.amount),
+  status: order.status,
+  source: order.source,
+  deadlineAt: order.deadline_at,
+  trackingNumber: order.tracking_number,
+  disputeReason: order.dispute_reason,
+  paidAt: order.paid_at,
+  dispatchedAt: order.dispatched_at,
+  receivedAt: order.received_at,
+  closedAt: order.closed_at,
+  createdAt: order.created_at,
+  updatedAt: order.updated_at
+});
+
+// Create an order awaiting payment. `db` is a transaction client (or the pool).
+const createOrder = async (db, { auctionId, sellerId, buyerId, amount, source }) => {
+  const paymentHours = await getDeadlineHours('pending_payment');
+
+  const result = await db.query(`
+    INSERT INTO orders (auction_id, seller_id, buyer_id, amount, status, source, deadline_at)
+    VALUES ($1, $2, $3, $4, 'pending_payment', $5, NOW() + make_interval(hours => $6))
+    RETURNING *
+  `, [auctionId, sellerId, buyerId, amount, source, paymentHours]);
+
+  return result.rows[0];
+};
+
+// Move an order to `status`, recording its timestamp and the next deadline
+const setOrderStatus = async (db, order, status, fields = {}) => {
+  const deadlineHours = await getDeadlineHours(status);
+  const updates = ['status = $1', 'updated_at = CURRENT_TIMESTAMP'];
+  const values = [status];
+
+  updates.push(`deadline_at = ${deadlineHours ? `NOW() + make_interval(hours => $${values.length + 1})` : 'NULL'}`);
+  if (deadlineHours) values.push(deadlineHours);
+
+  if (STATUS_TIMESTAMPS[status]) {
+    updates.push(`${STATUS_TIMESTAMPS[status]} = CURRENT_TIMESTAMP`);
+  }
+
+  for (const [column, value] of Object.entries(fields)) {
+    values.push(value);
+    updates.push(`${column} = $${values.length}`);
+  }
+
+  values.push(order.id);
+  const result = await db.query(
+    `UPDATE orders SET ${updates.join(', ')} WHERE id = $${values.length} RETURNING *`,
+    values
+  );
+
+  const updated = result.rows[0];
+
+  // A closed order counts towards both parties' history
+  if (status === 'closed') {
+    await db.query('UPDATE users SET total_sales = total_sales + 1 WHERE id = $1', [order.seller_id]);
+    await db.query('UPDATE users SET total_purchases = total_purchases + 1 WHERE id = $1', [order.buyer_id]);
+  }
+
+  return updated;
+};
+
+// Tell the other party (or both) about a status change
+const announceStatus = async (order, status, actorId, title) => {
+  const data = {
+    orderId: order.id,
+    auctionId: order.auction_id,
+    auctionTitle: title,
+    status,
+    trackingNumber: order.tracking_number
+  };
+
+  const messages = {
+    paid: [order.buyer_id, NOTIFICATION_TYPES.PAYMENT_RECEIVED, 'Payment confirmed', `The seller confirmed your payment for "${title}".`],
+    shipped: [order.buyer_id, NOTIFICATION_TYPES.ITEM_SHIPPED, 'Your item has shipped', `"${title}" is on its way.${order.tracking_number ? ` Tracking number: ${order.tracking_number}.` : ''}`],
+    handed_over: [order.buyer_id, NOTIFICATION_TYPES.ITEM_SHIPPED, 'Item handed over', `The seller marked "${title}" as handed over. Please confirm you received it.`],
+    received: [order.seller_id, NOTIFICATION_TYPES.ITEM_DELIVERED, 'Item received', `The buyer received "${title}".`]
+  };
+
+  if (messages[status]) {
+    const [userId, type, notificationTitle, message] = messages[status];
+    await notify(userId, type, notificationTitle, message, data);
+    return;
+  }
+
+  const summaries = {
+    closed: ['Order closed', `The order for "${title}" is closed. You can now rate the other party.`],
+    cancelled: ['Order cancelled', `The order for "${title}" was cancelled.`],
+    disputed: ['Order disputed', `The order for "${title}" is disputed and will be reviewed by a moderator.`],
+    unpaid: ['Payment deadline missed', `The order for "${title}" was not paid in time.`]
+  };
+
+  const [notificationTitle, message] = summaries[status];
+  for (const userId of [order.buyer_id, order.seller_id]) {
+    if (userId !== actorId) {
+      await notify(userId, NOTIFICATION_TYPES.ORDER_UPDATED, notificationTitle, message, data);
+    }
+  }
+};
+
+// Apply a buyer or seller action to an order
+const transitionOrder = async ({ orderId, user, action, trackingNumber, reason }) => {
+  const definition = ORDER_ACTIONS[action];
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const orderResult = await client.query(`
+      SELECT o.*, a.title as auction_title
+      FROM orders o
+      JOIN auctions a ON o.auction_id = a.id
+      WHERE o.id = $1
+      FOR UPDATE OF o
+    `, [orderId]);
+
+    if (orderResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return reject(404, { message: 'Order not found' });
+    }
+
+    const order = orderResult.rows[0];
+    const role = order.buyer_id === user.id ? 'buyer' : order.seller_id === user.id ? 'seller' : null;
+
+    if (!role) {
+      await client.query('ROLLBACK');
+      return reject(404, { message: 'Order not found' });
+    }
+
+    if (definition.actor !== 'either' && definition.actor !== role) {
+      await client.query('ROLLBACK');
+      return reject(403, { message: `Only the ${definition.actor} can ${action.replace('_', ' ')} this order` });
+    }
+
+    if (!definition.from.includes(order.status)) {
+      await client.query('ROLLBACK');
+      return reject(409, {
+        message: `Cannot ${action.replace('_', ' ')} an order that is ${order.status.replace('_', ' ')}`,
+        status: order.status
+      });
+    }
+
+    const fields = {};
+    if (action === 'ship' && trackingNumber) fields.tracking_number = trackingNumber;
+    if (action === 'dispute') fields.dispute_reason = reason;
+
+    const updated = await setOrderStatus(client, order, definition.to, fields);
+
+    await client.query('COMMIT');
+
+    await announceStatus(updated, definition.to, user.id, order.auction_title);
+
+    return accept({
+      message: 'Order updated',
+      order: formatOrder(updated)
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// What happens when a deadline passes in each status
+const DEADLINE_OUTCOMES = {
+  pending_payment: { to: 'unpaid' },
+  paid: { to: 'disputed', fields: { dispute_reason: 'The item was not shipped or handed over before the deadline' } },
+  shipped: { to: 'received' },
+  handed_over: { to: 'received' },
+  received: { to: 'closed' }
+};
+
+// Advance orders whose deadline has passed (run by the scheduler).
+// Returns the number of orders moved on.
+const processOrderDeadlines = async () => {
+  const overdue = await query(`
+    SELECT o.id, a.title as auction_title
+    FROM orders o
+    JOIN auctions a ON o.auction_id = a.id
+    WHERE o.deadline_at <= NOW() AND o.status = ANY($1)
+    ORDER BY o.deadline_at ASC
+  `, [Object.keys(DEADLINE_OUTCOMES)]);
+
+  let processed = 0;
+
+  for (const { id, auction_title: title } of overdue.rows) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Re-check under lock; the buyer or seller may have acted meanwhile
+      const orderResult = await client.query(
+        'SELECT * FROM orders WHERE id = $1 AND deadline_at <= NOW() FOR UPDATE',
+        [id]
+      );
+      const order = orderResult.rows[0];
+      const outcome = order && DEADLINE_OUTCOMES[order.status];
+
+      if (!outcome) {
+        await client.query('ROLLBACK');
+        continue;
+      }
+
+      const updated = await setOrderStatus(client, order, outcome.to, outcome.fields);
+
+      await client.query('COMMIT');
+      processed++;
+
+      await announceStatus(updated, outcome.to, null, title);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(`Order deadline error for order ${id}:`, error);
+    } finally {
+      client.release();
+    }
+  }
+
+  return processed;
+};
+
+// Settle a disputed order as closed or cancelled (moderators)
+const resolveDispute = async ({ orderId, outcome }) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const orderResult = await client.query(`
+      SELECT o.*, a.title as auction_title
+      FROM orders o
+      JOIN auctions a ON o.auction_id = a.id
+      WHERE o.id = $1 AND o.status = 'disputed'
+      FOR UPDATE OF o
+    `, [orderId]);
+
+    if (orderResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return reject(404, { message: 'Disputed order not found' });
+    }
+
+    const order = orderResult.rows[0];
+    const updated = await setOrderStatus(client, order, outcome);
+
+    await client.query('COMMIT');
+
+    await announceStatus(updated, outcome, null, order.auction_title);
+
+    return accept({
+      message: `Dispute resolved; order ${outcome}`,
+      order: formatOrder(updated)
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_ACTIONS,
+  formatOrder,
+  createOrder,
+  transitionOrder,
+  processOrderDeadlines,
+  resolveDispute
+};
@@ -0,0 +1,163 @@
+// Real-time event bus.
+// Routes, the bid engine and the scheduler publish through this module instead of
+// holding a Socket.IO reference. Every event goes to a room, never to all clients:
+//   auction_<id> - clients viewing an auction (joined via `join_auction`)
+//   user_<id>    - every socket of an authenticated user (joined on connect)
+// Publishing before Socket.IO is attached (scripts, tests) is a no-op.
+
+let io = null;
+
+// Event catalogue. Payload shapes are documented by the typedefs below and in API_TEST.md.
+const EVENTS = {
+  // auction_<id> rooms
+  BID_PLACED: 'bid_placed',
+  BID_RETRACTED: 'bid_retracted',
+  AUCTION_EXTENDED: 'auction_extended',
+  AUCTION_ENDED: 'auction_ended',
+  AUCTION_LIVE: 'auction_live',
+  AUCTION_UPDATED: 'auction_updated',
+  RESERVE_LOWERED: 'reserve_lowered',
+  WATCH_COUNT_UPDATED: 'watch_count_updated',
+
+  // user_<id> rooms
+  NOTIFICATION: 'new_notification'
+};
+
+/**
+ * @typedef {Object} BidPlacedPayload
+ * @property {number} auctionId
+ * @property {number|null} bidId - null when only a maximum bid was raised
+ * @property {number} bidderId
+ * @property {string} bidderUsername
+ * @property {number|null} amount
+ * @property {number} currentPrice
+ * @property {boolean} isWinning
+ * @property {{ bidId: number, amount: number }[]} autoBids - bids placed by proxy resolution
+ * @property {number} bidCount
+ * @property {boolean} reserveMet
+ * @property {number} timeRemaining - seconds
+ */
+
+/**
+ * @typedef {Object} BidRetractedPayload
+ * @property {number} auctionId
+ * @property {number} currentPrice
+ * @property {number} bidCount
+ * @property {boolean} reserveMet
+ */
+
+/**
+ * @typedef {Object} AuctionExtendedPayload
+ * @property {number} auctionId
+ * @property {string} newEndTime
+ * @property {string} previousEndTime
+ * @property {number} extendedSeconds
+ * @property {number} bidId - the bid that triggered the extension
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} AuctionEndedPayload
+ * @property {number} auctionId
+ * @property {string} status - 'sold', 'ended' or 'cancelled'
+ * @property {number|null} winnerId
+ * @property {number|null} finalPrice
+ * @property {'buy_now'|'timed'|'cancelled'} type
+ */
+
+/**
+ * @typedef {Object} AuctionLivePayload
+ * @property {number} auctionId
+ * @property {string} title
+ * @property {number} sellerId
+ * @property {string} sellerUsername
+ * @property {number} currentPrice
+ * @property {number|null} buyNowPrice
+ * @property {string|null} image
+ * @property {string} endTime
+ */
+
+/**
+ * @typedef {Object} AuctionUpdatedPayload
+ * @property {number} auctionId
+ * @property {string} title
+ * @property {string[]} images
+ * @property {number} addenda - addenda added by this edit (only after bidding started)
+ */
+
+/**
+ * @typedef {Object} ReserveLoweredPayload
+ * @property {number} auctionId
+ * @property {boolean} hasReserve
+ * @property {boolean} reserveMet
+ * @property {number} currentPrice
+ */
+
+/**
+ * @typedef {Object} WatchCountUpdatedPayload
+ * @property {number} auctionId
+ * @property {number} increment - 1 for a new watcher, -1 for a removed one
+ */
+
+/**
+ * @typedef {Object} NotificationPayload
+ * @property {number} id
+ * @property {string} type - one of NOTIFICATION_TYPES
+ * @property {string} title
+ * @property {string} message
+ * @property {Object} data
+ * @property {string} createdAt
+ * @property {boolean} isRead
+ */
+
+// Attach the Socket.IO server (called once from the socket handler)
+const attach = (socketIo) => {
+  io = socketIo;
+};
+
+const isAttached = () => io !== null;
+
+// Emit to everyone viewing an auction
+const emitToAuction = (auctionId, event, data) => {
+  if (!io) return false;
+  io.to(`auction_${auctionId}`).emit(event, data);
+  return true;
+};
+
+// Emit to every socket of a user
+const emitToUser = (userId, event, data) => {
+  if (!io) return false;
+  io.to(`user_${userId}`).emit(event, data);
+  return true;
+};
+
+/** @param {number} auctionId @param {BidPlacedPayload} bidData */
+const emitBidUpdate = (auctionId, bidData) => emitToAuction(auctionId, EVENTS.BID_PLACED, bidData);
+
+/** @param {number} auctionId @param {AuctionEndedPayload} endData */
+const emitAuctionEnded = (auctionId, endData) => emitToAuction(auctionId, EVENTS.AUCTION_ENDED, endData);
+
+/** @param {number} auctionId @param {Date|string} newEndTime @param {Object} details */
+const emitAuctionExtended = (auctionId, newEndTime, details = {}) => {
+  return emitToAuction(auctionId, EVENTS.AUCTION_EXTENDED, {
+    auctionId,
+    newEndTime,
+    ...details,
+    message: 'Auction extended due to last-minute bidding'
+  });
+};
+
+/** @param {number} userId @param {NotificationPayload} notification */
+const emitNotification = (userId, notification) => emitToUser(userId, EVENTS.NOTIFICATION, notification);
+
+module.exports = {
+  EVENTS,
+  attach,
+  isAttached,
+  emitToAuction,
+  emitToUser,
+  emitBidUpdate,
+  emitAuctionEnded,
+  emitAuctionExtended,
+  emitNotification
+};
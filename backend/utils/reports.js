@@ -0,0 +1,189 @@
+const { query } = require('../config/database');
+const { sendNotification, NOTIFICATION_TYPES } = require('./notifications');
+
+// Things a user can report
+const REPORT_TYPES = ['listing', 'user', 'transaction'];
+
+// Reasons a user may give, and the report types each applies to
+const REPORT_REASONS = {
+  counterfeit: { label: 'Counterfeit or replica item', types: ['listing'] },
+  misdescribed_part: { label: 'Part does not match its description', types: ['listing', 'transaction'] },
+  non_paying_winner: { label: 'The winner has not paid', types: ['transaction'] },
+  harassment: { label: 'Harassment or abusive behaviour', types: ['user', 'transaction'] }
+};
+
+// A reporter may file at most this many reports in 24 hours
+const MAX_REPORTS_PER_DAY = 10;
+
+// Column holding the reported item for each type
+const TARGET_COLUMNS = {
+  listing: 'auction_id',
+  user: 'reported_user_id',
+  transaction: 'order_id'
+};
+
+// Build a rejected result (nothing was written)
+const reject = (status, payload) => ({ accepted: false, status, payload });
+
+// Build an accepted result
+const accept = (payload, status = 200) => ({ accepted: true, status, payload });
+
+const formatReport = (report) => ({
+  id: report.id,
+  type: report.type,
+  reason: report.reason,
+  description: report.description,
+  evidenceImages: report.evidence_images || [],
+  auctionId: report.auction_id,
+  reportedUserId: report.reported_user_id,
+  orderId: report.order_id,
+  status: report.status,
+  resolvedAt: report.resolved_at,
+  createdAt: report.created_at
+});
+
+// Work out who and what a report is about. Returns { target } or { error }.
+const resolveTarget = async (type, targetId, reporter, reason) => {
+  if (type === 'listing') {
+    const result = await query('SELECT id, seller_id, status FROM auctions WHERE id = $1', [targetId]);
+    const auction = result.rows[0];
+
+    if (!auction || auction.status === 'draft') {
+      return { error: reject(404, { message: 'Auction not found' }) };
+    }
+    if (auction.seller_id === reporter.id) {
+      return { error: reject(400, { message: 'You cannot report your own listing' }) };
+    }
+
+    return { target: { auctionId: auction.id, reportedUserId: auction.seller_id, orderId: null } };
+  }
+
+  if (type === 'user') {
+    const result = await query('SELECT id FROM users WHERE id = $1', [targetId]);
+
+    if (result.rows.length === 0) {
+      return { error: reject(404, { message: 'User not found' }) };
+    }
+    if (targetId === reporter.id) {
+      return { error: reject(400, { message: 'You cannot report yourself' }) };
+    }
+
+    return { target: { auctionId: null, reportedUserId: targetId, orderId: null } };
+  }
+
+  const result = await query('SELECT * FROM orders WHERE id = $1', [targetId]);
+  const order = result.rows[0];
+
+  if (!order) {
+    return { error: reject(404, { message: 'Order not found' }) };
+  }
+  if (order.buyer_id !== reporter.id && order.seller_id !== reporter.id) {
+    return { error: reject(403, { message: 'You can only report transactions you took part in' }) };
+  }
+
+  if (reason === 'non_paying_winner') {
+    if (order.seller_id !== reporter.id) {
+      return { error: reject(403, { message: 'Only the seller can report a non-paying winner' }) };
+    }
+    if (!['pending_payment', 'unpaid'].includes(order.status)) {
+      return { error: reject(400, { message: 'This order is not awaiting payment' }) };
+    }
+  }
+
+  return {
+    target: {
+      auctionId: order.auction_id,
+      reportedUserId: order.buyer_id === reporter.id ? order.seller_id : order.buyer_id,
+      orderId: order.id
+    }
+  };
+};
+
+// File a report for moderators.
+// One open report per reporter and target, and at most MAX_REPORTS_PER_DAY per reporter.
+const submitReport = async ({ reporter, type, targetId, reason, description, evidenceImages = [] }) => {
+  if (!REPORT_REASONS[reason].types.includes(type)) {
+    return reject(400, {
+      message: `Reason "${reason}" does not apply to ${type} reports`
+    });
+  }
+
+  const { target, error } = await resolveTarget(type, targetId, reporter, reason);
+  if (error) {
+    return error;
+  }
+
+  const targetColumn = TARGET_COLUMNS[type];
+  const duplicateResult = await query(`
+    SELECT id FROM reports
+    WHERE reporter_id = $1 AND type = $2 AND ${targetColumn} = $3 AND status IN ('pending', 'reviewed')
+  `, [reporter.id, type, targetId]);
+
+  if (duplicateResult.rows.length > 0) {
+    return reject(409, {
+      message: 'You already have an open report about this',
+      reportId: duplicateResult.rows[0].id
+    });
+  }
+
+  const recentResult = await query(`
+    SELECT COUNT(*) as count FROM reports
+    WHERE reporter_id = $1 AND created_at > NOW() - INTERVAL '24 hours'
+  `, [reporter.id]);
+
+  if (parseInt(recentResult.rows[0].count) >= MAX_REPORTS_PER_DAY) {
+    return reject(429, {
+      message: `You can file at most ${MAX_REPORTS_PER_DAY} reports per day`
+    });
+  }
+
+  const result = await query(`
+    INSERT INTO reports (
+      reporter_id, type, reported_user_id, auction_id, order_id,
+      reason, description, evidence_images
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *
+  `, [
+    reporter.id, type, target.reportedUserId, target.auctionId, target.orderId,
+    reason, description || null, evidenceImages
+  ]);
+
+  return accept({
+    message: 'Report submitted for review',
+    report: formatReport(result.rows[0])
+  }, 201);
+};
+
+// Tell the reporter what moderators did with their report.
+// Moderator notes stay internal; only the outcome is shared.
+const notifyReporter = async (report, status) => {
+  const outcome = status === 'dismissed'
+    ? 'was reviewed and closed without action'
+    : 'was reviewed and action has been taken';
+
+  try {
+    await sendNotification(
+      report.reporter_id,
+      NOTIFICATION_TYPES.REPORT_UPDATED,
+      'Update on your report',
+      `Your report (${REPORT_REASONS[report.reason]?.label || report.reason}) ${outcome}.`,
+      {
+        reportId: report.id,
+        status,
+        auctionId: report.auction_id,
+        orderId: report.order_id
+      }
+    );
+  } catch (error) {
+    console.error('Report notification error:', error);
+  }
+};
+
+module.exports = {
+  REPORT_TYPES,
+  REPORT_REASONS,
+  MAX_REPORTS_PER_DAY,
+  formatReport,
+  submitReport,
+  notifyReporter
+};
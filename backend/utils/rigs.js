@@ -0,0 +1,150 @@
+const { query } = require('../config/database');
+
+// Saved rigs and part compatibility.
+// A rig describes a buyer's build (socket, chipset, RAM type, PSU wattage, case GPU clearance).
+// Part listings are checked against it through their category specs (utils/categorySpecs.js);
+// these spec keys are understood:
+//   socket              - must match the rig's socket (CPUs, motherboards, coolers)
+//   ram_type / ddr_gen  - must match the rig's RAM type (memory, motherboards)
+//   compatible_chipsets - comma-separated list that must include the rig's chipset (CPUs)
+//   length_mm           - must fit the rig's GPU clearance (graphics cards)
+//   min_psu_w           - must not exceed the rig's PSU wattage (graphics cards)
+
+// Most rigs a user can save
+const MAX_RIGS = 5;
+
+const formatRig = (rig) => ({
+  id: rig.id,
+  name: rig.name,
+  socket: rig.socket,
+  chipset: rig.chipset,
+  ramType: rig.ram_type,
+  psuWattage: rig.psu_wattage,
+  gpuClearanceMm: rig.gpu_clearance_mm,
+  isPrimary: rig.is_primary,
+  createdAt: rig.created_at,
+  updatedAt: rig.updated_at
+});
+
+const getUserRigs = async (userId) => {
+  const result = await query(
+    'SELECT * FROM user_rigs WHERE user_id = $1 ORDER BY is_primary DESC, created_at ASC',
+    [userId]
+  );
+  return result.rows;
+};
+
+// One of the user's rigs, or their primary rig when `rigId` is not given
+const getUserRig = async (userId, rigId) => {
+  const result = rigId
+    ? await query('SELECT * FROM user_rigs WHERE id = $1 AND user_id = $2', [rigId, userId])
+    : await query('SELECT * FROM user_rigs WHERE user_id = $1 AND is_primary = true', [userId]);
+  return result.rows[0] || null;
+};
+
+// Compare names like sockets and chipsets ignoring case and spacing ("LGA 1700" = "lga1700")
+const normalizeName = (value) => String(value).replace(/[\s-]+/g, '').toUpperCase();
+
+const pickSpec = (specs, keys) => {
+  const key = keys.find(candidate => specs[candidate] !== undefined && specs[candidate] !== null);
+  return key ? specs[key] : undefined;
+};
+
+// Each check compares one spec with one rig field and returns { compatible, message },
+// or null when the listing or the rig does not have the value
+const CHECKS = [
+  {
+    check: 'socket',
+    run: (specs, rig) => {
+      const socket = pickSpec(specs, ['socket']);
+      if (socket === undefined || !rig.socket) return null;
+      return normalizeName(socket) === normalizeName(rig.socket)
+        ? { compatible: true, message: `Fits your ${rig.socket} socket` }
+        : { compatible: false, message: `Needs a ${socket} socket; your rig has ${rig.socket}` };
+    }
+  },
+  {
+    check: 'ram_type',
+    run: (specs, rig) => {
+      const ramType = pickSpec(specs, ['ram_type', 'ddr_gen']);
+      if (ramType === undefined || !rig.ram_type) return null;
+      return normalizeName(ramType) === normalizeName(rig.ram_type)
+        ? { compatible: true, message: `Matches your ${rig.ram_type} memory` }
+        : { compatible: false, message: `Uses ${ramType} memory; your rig uses ${rig.ram_type}` };
+    }
+  },
+  {
+    check: 'chipset',
+    run: (specs, rig) => {
+      const chipsets = pickSpec(specs, ['compatible_chipsets']);
+      if (chipsets === undefined || !rig.chipset) return null;
+      const supported = String(chipsets).split(',').map(chipset => chipset.trim()).filter(Boolean);
+      return supported.some(chipset => normalizeName(chipset) === normalizeName(rig.chipset))
+        ? { compatible: true, message: `Supports your ${rig.chipset} chipset` }
+        : { compatible: false, message: `Does not support your ${rig.chipset} chipset (supports ${supported.join(', ')})` };
+    }
+  },
+  {
+    check: 'gpu_clearance',
+    run: (specs, rig) => {
+      const length = pickSpec(specs, ['length_mm']);
+      if (typeof length !== 'number' || !rig.gpu_clearance_mm) return null;
+      return length <= rig.gpu_clearance_mm
+        ? { compatible: true, message: `${length} mm card fits your ${rig.gpu_clearance_mm} mm GPU clearance` }
+        : { compatible: false, message: `${length} mm card is longer than your ${rig.gpu_clearance_mm} mm GPU clearance` };
+    }
+  },
+  {
+    check: 'psu_wattage',
+    run: (specs, rig) => {
+      const minimum = pickSpec(specs, ['min_psu_w']);
+      if (typeof minimum !== 'number' || !rig.psu_wattage) return null;
+      return minimum <= rig.psu_wattage
+        ? { compatible: true, message: `Your ${rig.psu_wattage} W PSU meets the recommended ${minimum} W` }
+        : { compatible: false, message: `Needs a ${minimum} W PSU; your rig has ${rig.psu_wattage} W` };
+    }
+  }
+];
+
+// Check a listing's specs against a rig.
+// The verdict is `incompatible` if any check fails, `compatible` if every applicable check
+// passes and `unknown` when the listing has no specs to compare with the rig.
+const checkCompatibility = (specs, rig) => {
+  const reasons = [];
+
+  for (const { check, run } of CHECKS) {
+    const result = run(specs || {}, rig);
+    if (result) {
+      reasons.push({ check, ...result });
+    }
+  }
+
+  let verdict = 'unknown';
+  if (reasons.some(reason => !reason.compatible)) {
+    verdict = 'incompatible';
+  } else if (reasons.length > 0) {
+    verdict = 'compatible';
+  }
+
+  return {
+    rig: { id: rig.id, name: rig.name },
+    verdict,
+    reasons
+  };
+};
+
+// Add `compatibility` to formatted auctions (feed cards or details, with `specs`).
+// It is null for guests and users without a rig.
+const withCompatibility = (auctions, rig) => auctions.map(auction => ({
+  ...auction,
+  compatibility: rig ? checkCompatibility(auction.specs, rig) : null
+}));
+
+module.exports = {
+  MAX_RIGS,
+  formatRig,
+  getUserRigs,
+  getUserRig,
+  checkCompatibility,
+  withCompatibility
+};
@@ -0,0 +1,167 @@
+const { query } = require('../config/database');
+const { sendNotification, NOTIFICATION_TYPES } = require('./notifications');
+const { distanceToSql, formatLocation } = require('./locations');
+
+// Saved searches.
+// A buyer saves a set of feed filters (keyword, category, condition, max price, location).
+// When an auction goes live it is matched against every saved search; each match is
+// recorded in `saved_search_matches` so a listing alerts a search at most once.
+// `instant` searches notify straight away, `daily` ones are collected into a digest.
+
+// Most saved searches a user can keep
+const MAX_SAVED_SEARCHES = 20;
+
+const SAVED_SEARCH_FREQUENCIES = ['instant', 'daily'];
+
+const formatSavedSearch = (search) => ({
+  id: search.id,
+  name: search.name,
+  filters: {
+    keyword: search.keyword,
+    categoryId: search.category_id,
+    condition: search.condition,
+    maxPrice: search.max_price ? parseFloat(search.max_price) : null,
+    location: search.location_id ? formatLocation({
+      id: search.location_id,
+      city: search.location_city,
+      area: search.location_area,
+      latitude: search.location_latitude,
+      longitude: search.location_longitude
+    }) : null,
+    radiusKm: search.radius_km ? parseFloat(search.radius_km) : null
+  },
+  frequency: search.frequency,
+  matchCount: search.match_count !== undefined ? parseInt(search.match_count) : undefined,
+  createdAt: search.created_at
+});
+
+// Best effort: an alert that fails must not stop the others
+const notify = async (...args) => {
+  try {
+    await sendNotification(...args);
+  } catch (error) {
+    console.error('Saved search notification error:', error);
+  }
+};
+
+// Match a newly live auction against all saved searches and alert `instant` ones.
+// Sellers are never alerted about their own listings. Never throws.
+const matchSavedSearches = async (auctionId) => {
+  try {
+    const result = await query(`
+      WITH matched AS (
+        INSERT INTO saved_search_matches (saved_search_id, auction_id, notified_at)
+        SELECT s.id, a.id, CASE WHEN s.frequency = 'instant' THEN NOW() END
+        FROM auctions a
+        JOIN saved_searches s ON s.user_id <> a.seller_id
+        LEFT JOIN locations sl ON s.location_id = sl.id
+        WHERE a.id = $1 AND a.status = 'active'
+          AND (s.search_query IS NULL OR a.search_vector @@ to_tsquery('english', s.search_query))
+          AND (s.category_id IS NULL OR a.category_id = s.category_id)
+          AND (s.condition IS NULL OR a.condition = s.condition)
+          AND (s.max_price IS NULL OR a.current_price <= s.max_price)
+          AND (s.location_id IS NULL OR EXISTS (
+            SELECT 1
+            FROM auction_cod_locations acl
+            JOIN locations l ON acl.location_id = l.id
+            WHERE acl.auction_id = a.id
+              AND ${distanceToSql('l', 'sl.latitude::float8', 'sl.longitude::float8')} <= s.radius_km
+          ))
+        ON CONFLICT DO NOTHING
+        RETURNING saved_search_id, notified_at
+      )
+      SELECT s.user_id, ARRAY_AGG(s.name ORDER BY s.id) as search_names,
+        a.id as auction_id, a.title, a.current_price, a.images, a.end_time
+      FROM matched m
+      JOIN saved_searches s ON m.saved_search_id = s.id
+      JOIN auctions a ON a.id = $1
+      WHERE m.notified_at IS NOT NULL
+      GROUP BY s.user_id, a.id
+    `, [auctionId]);
+
+    // One alert per user, however many of their searches matched
+    for (const match of result.rows) {
+      await notify(
+        match.user_id,
+        NOTIFICATION_TYPES.SAVED_SEARCH_MATCH,
+        'New listing for your saved search',
+        `"${match.title}" matches your saved search "${match.search_names[0]}".`,
+        {
+          auctionId: match.auction_id,
+          auctionTitle: match.title,
+          currentPrice: parseFloat(match.current_price),
+          image: match.images?.[0] || null,
+          endTime: match.end_time,
+          savedSearches: match.search_names
+        }
+      );
+    }
+
+    return result.rows.length;
+  } catch (error) {
+    console.error(`Match saved searches for auction ${auctionId} error:`, error);
+    return 0;
+  }
+};
+
+// Send each user one digest of the listings that matched their `daily` searches since the
+// last one. Matches are claimed before sending so an overlapping run cannot send them twice;
+// listings that are no longer live are dropped from the digest.
+const sendSavedSearchDigests = async () => {
+  try {
+    const result = await query(`
+      WITH claimed AS (
+        UPDATE saved_search_matches m
+        SET notified_at = NOW()
+        FROM saved_searches s
+        WHERE m.saved_search_id = s.id AND s.frequency = 'daily' AND m.notified_at IS NULL
+        RETURNING m.saved_search_id, m.auction_id
+      )
+      SELECT user_id, COUNT(*) as match_count,
+        JSON_AGG(JSON_BUILD_OBJECT(
+          'id', auction_id,
+          'title', title,
+          'currentPrice', current_price,
+          'endTime', end_time,
+          'savedSearches', search_names
+        ) ORDER BY end_time) as auctions
+      FROM (
+        SELECT s.user_id, a.id as auction_id, a.title, a.current_price, a.end_time,
+          ARRAY_AGG(s.name ORDER BY s.id) as search_names
+        FROM claimed c
+        JOIN saved_searches s ON c.saved_search_id = s.id
+        JOIN auctions a ON c.auction_id = a.id
+        WHERE a.status = 'active' AND a.end_time > NOW()
+        GROUP BY s.user_id, a.id
+      ) matches
+      GROUP BY user_id
+    `);
+
+    for (const digest of result.rows) {
+      const count = parseInt(digest.match_count);
+
+      await notify(
+        digest.user_id,
+        NOTIFICATION_TYPES.SAVED_SEARCH_DIGEST,
+        'New listings for your saved searches',
+        `${count} new listing(s) matched your saved searches today.`,
+        {
+          matchCount: count,
+          auctions: digest.auctions
+        }
+      );
+    }
+
+    console.log(`Sent saved search digests to ${result.rows.length} users`);
+  } catch (error) {
+    console.error('Send saved search digests error:', error);
+  }
+};
+
+module.exports = {
+  MAX_SAVED_SEARCHES,
+  SAVED_SEARCH_FREQUENCIES,
+  formatSavedSearch,
+  matchSavedSearches,
+  sendSavedSearchDigests
+};
@@ -1,6 +1,13 @@
 const cron = require('node-cron');
-const { query } = require('../config/database');
-const { realtime } = require('../config/redis');
+const { pool, query } = require('../config/database');
+const { cache, CACHE_KEYS } = require('../config/redis');
+const realtime = require('./realtime');
+const imageProcessor = require('./imageProcessor');
+const { getSetting } = require('./settings');
+const { expireOffers } = require('./secondChance');
+const { createOrder, processOrderDeadlines } = require('./orders');
+const { matchSavedSearches, sendSavedSearchDigests } = require('./savedSearches');
+const { cleanupInteractions } = require('./feedRanking');
 const { 
   sendAuctionEndingReminders, 
   sendDailyWatchlistDigest,
@@ -23,6 +30,11 @@ class AuctionScheduler {
     console.log('Starting auction scheduler...');
     this.isRunning = true;
 
+    // Activate scheduled auctions every minute
+    this.jobs.set('startAuctions', cron.schedule('* * * * *', () => {
+      this.activateScheduledAuctions();
+    }, { scheduled: false }));
+
     // Check for ending auctions every minute
     this.jobs.set('endAuctions', cron.schedule('* * * * *', () => {
       this.processEndingAuctions();
@@ -38,26 +50,51 @@ class AuctionScheduler {
       sendDailyWatchlistDigest();
     }, { scheduled: false }));
 
+    // Send digests of new listings matching daily saved searches at 8 AM
+    this.jobs.set('savedSearchDigest', cron.schedule('0 8 * * *', () => {
+      sendSavedSearchDigests();
+    }, { scheduled: false }));
+
     // Clean up expired notifications daily at 2 AM
     this.jobs.set('cleanupNotifications', cron.schedule('0 2 * * *', () => {
       this.cleanupExpiredNotifications();
     }, { scheduled: false }));
 
+    // Clean up idempotency keys older than a day, hourly
+    this.jobs.set('cleanupIdempotencyKeys', cron.schedule('30 * * * *', () => {
+      this.cleanupIdempotencyKeys();
+    }, { scheduled: false }));
+
     // Clean up expired sessions daily at 3 AM
     this.jobs.set('cleanupSessions', cron.schedule('0 3 * * *', () => {
       this.cleanupExpiredSessions();
     }, { scheduled: false }));
 
+    // Expire unanswered second chance offers every 15 minutes
+    this.jobs.set('expireSecondChanceOffers', cron.schedule('*/15 * * * *', () => {
+      this.expireSecondChanceOffers();
+    }, { scheduled: false }));
+
+    // Move orders past their payment, dispatch, receipt or close deadline on, every 15 minutes
+    this.jobs.set('processOrderDeadlines', cron.schedule('*/15 * * * *', () => {
+      this.processOrderDeadlines();
+    }, { scheduled: false }));
+
+    // Delete drafts that have not been edited within the expiry period, daily at 4 AM
+    this.jobs.set('expireDrafts', cron.schedule('0 4 * * *', () => {
+      this.expireDrafts();
+    }, { scheduled: false }));
+
+    // Forget feed views and skips older than the ranking window, daily at 4:30 AM
+    this.jobs.set('cleanupInteractions', cron.schedule('30 4 * * *', () => {
+      this.cleanupAuctionInteractions();
+    }, { scheduled: false }));
+
     // Update auction statistics hourly
     this.jobs.set('updateStats', cron.schedule('0 * * * *', () => {
       this.updateAuctionStatistics();
     }, { scheduled: false }));
 
-    // Process proxy bids every 30 seconds
-    this.jobs.set('proxyBids', cron.schedule('*/30 * * * * *', () => {
-      this.processProxyBids();
-    }, { scheduled: false }));
-
     // Start all jobs
     this.jobs.forEach(job => job.start());
 
@@ -79,6 +116,79 @@ class AuctionScheduler {
     console.log('Scheduler stopped');
   }
 
+  async activateScheduledAuctions() {
+    try {
+      const result = await query(`
+        UPDATE auctions
+        SET status = 'active', updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'scheduled' AND start_time <= NOW()
+        RETURNING id, title, seller_id, category_id, current_price, buy_now_price,
+          images, start_time, end_time
+      `);
+
+      if (result.rows.length === 0) {
+        return;
+      }
+
+      await cache.del(CACHE_KEYS.AUCTION_FEED(1));
+
+      for (const auction of result.rows) {
+        await cache.del(CACHE_KEYS.AUCTION_DETAILS(auction.id));
+        await this.announceAuctionLive(auction);
+        await matchSavedSearches(auction.id);
+      }
+
+      console.log(`Activated ${result.rows.length} scheduled auctions`);
+    } catch (error) {
+      console.error('Activate scheduled auctions error:', error);
+    }
+  }
+
+  // Tell the seller's followers that a scheduled auction is now live
+  async announceAuctionLive(auction) {
+    try {
+      const sellerResult = await query('SELECT username FROM users WHERE id = $1', [auction.seller_id]);
+      const sellerUsername = sellerResult.rows[0]?.username;
+
+      const payload = {
+        auctionId: auction.id,
+        title: auction.title,
+        sellerId: auction.seller_id,
+        sellerUsername,
+        currentPrice: parseFloat(auction.current_price),
+        buyNowPrice: auction.buy_now_price ? parseFloat(auction.buy_now_price) : null,
+        image: auction.images?.[0] || null,
+        endTime: auction.end_time
+      };
+
+      // Anyone already on the listing page
+      realtime.emitToAuction(auction.id, realtime.EVENTS.AUCTION_LIVE, payload);
+
+      const followersResult = await query(
+        'SELECT follower_id FROM user_follows WHERE seller_id = $1',
+        [auction.seller_id]
+      );
+
+      for (const follower of followersResult.rows) {
+        realtime.emitToUser(follower.follower_id, realtime.EVENTS.AUCTION_LIVE, payload);
+
+        try {
+          await sendNotification(
+            follower.follower_id,
+            NOTIFICATION_TYPES.AUCTION_LIVE,
+            'Now live',
+            `${sellerUsername} just launched "${auction.title}".`,
+            payload
+          );
+        } catch (error) {
+          console.error(`Auction live notification error for user ${follower.follower_id}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error(`Announce auction ${auction.id} live error:`, error);
+    }
+  }
+
   async processEndingAuctions() {
     try {
       // Find auctions that should end now
@@ -86,8 +196,8 @@ class AuctionScheduler {
         SELECT 
           a.id, a.title, a.seller_id, a.current_price, a.reserve_price,
           a.starting_price, a.end_time,
-          (SELECT user_id FROM bids WHERE auction_id = a.id ORDER BY amount DESC, created_at ASC LIMIT 1) as winner_id,
-          (SELECT amount FROM bids WHERE auction_id = a.id ORDER BY amount DESC, created_at ASC LIMIT 1) as winning_bid
+          (SELECT bidder_id FROM bids WHERE auction_id = a.id AND is_winning = true ORDER BY created_at DESC LIMIT 1) as winner_id,
+          (SELECT amount FROM bids WHERE auction_id = a.id AND is_winning = true ORDER BY created_at DESC LIMIT 1) as winning_bid
         FROM auctions a
         WHERE a.status = 'active' AND a.end_time <= NOW()
       `);
@@ -105,35 +215,78 @@ class AuctionScheduler {
   }
 
   async endAuction(auction) {
+    const client = await pool.connect();
+    let status = 'ended';
+    let winnerId = null;
+    let finalPrice = auction.starting_price;
+    let order = null;
+
     try {
-      await query('BEGIN');
+      await client.query('BEGIN');
 
-      let status = 'ended';
-      let winnerId = null;
-      let finalPrice = auction.starting_price;
+      // Lock the auction; a Buy It Now purchase may have ended it meanwhile
+      const lockResult = await client.query(
+        'SELECT id FROM auctions WHERE id = $1 AND status = \'active\' FOR UPDATE',
+        [auction.id]
+      );
 
-      // Check if auction has bids and meets reserve price
+      if (lockResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return;
+      }
+
+      // Check if auction has bids and meets reserve price.
+      // Proxy bidding can lift the price to the reserve above the recorded bid amount,
+      // so the reserve is compared against the auction's current price.
       if (auction.winner_id && auction.winning_bid) {
-        if (!auction.reserve_price || auction.winning_bid >= auction.reserve_price) {
-          status = 'completed';
+        const currentPrice = parseFloat(auction.current_price);
+        if (!auction.reserve_price || currentPrice >= parseFloat(auction.reserve_price)) {
+          status = 'sold';
           winnerId = auction.winner_id;
-          finalPrice = auction.winning_bid;
+          finalPrice = currentPrice;
         }
       }
 
       // Update auction status
-      await query(
-        'UPDATE auctions SET status = $1, winner_id = $2, final_price = $3 WHERE id = $4',
+      await client.query(
+        'UPDATE auctions SET status = $1, winner_id = $2, final_price = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4',
         [status, winnerId, finalPrice, auction.id]
       );
 
-      // Create order if auction was completed
-      if (status === 'completed') {
-        await query(
-          'INSERT INTO orders (auction_id, seller_id, buyer_id, amount, status) VALUES ($1, $2, $3, $4, $5)',
-          [auction.id, auction.seller_id, winnerId, finalPrice, 'pending_payment']
-        );
+      // Create the winner's order, awaiting payment
+      if (status === 'sold') {
+        order = await createOrder(client, {
+          auctionId: auction.id,
+          sellerId: auction.seller_id,
+          buyerId: winnerId,
+          amount: finalPrice,
+          source: 'auction'
+        });
+      }
+
+      await client.query('COMMIT');
+      console.log(`Auction ${auction.id} ended with status: ${status}`);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(`Error ending auction ${auction.id}:`, error);
+      return;
+    } finally {
+      client.release();
+    }
+
+    await cache.del(CACHE_KEYS.AUCTION_DETAILS(auction.id));
+
+    // Send real-time update
+    realtime.emitAuctionEnded(auction.id, {
+      auctionId: auction.id,
+      status: status,
+      winnerId: winnerId,
+      finalPrice: winnerId ? parseFloat(finalPrice) : null,
+      type: 'timed'
+    });
 
+    try {
+      if (status === 'sold') {
         // Notify winner
         await sendNotification(
           winnerId,
@@ -143,7 +296,9 @@ class AuctionScheduler {
           {
             auctionId: auction.id,
             auctionTitle: auction.title,
-            winningBid: finalPrice
+            winningBid: finalPrice,
+            orderId: order.id,
+            paymentDeadline: order.deadline_at
           }
         );
 
@@ -157,21 +312,24 @@ class AuctionScheduler {
             auctionId: auction.id,
             auctionTitle: auction.title,
             finalPrice: finalPrice,
-            winnerId: winnerId
+            winnerId: winnerId,
+            orderId: order.id
           }
         );
       } else {
         // Notify seller that auction ended without sale
+        const reason = auction.winning_bid ? 'without meeting the reserve price' : 'without any bids';
         await sendNotification(
           auction.seller_id,
           NOTIFICATION_TYPES.AUCTION_LOST,
           'Your auction has ended',
-          `Your auction "${auction.title}" has ended without meeting the reserve price.`,
+          `Your auction "${auction.title}" has ended ${reason}. You can relist it in one click.`,
           {
             auctionId: auction.id,
             auctionTitle: auction.title,
             finalPrice: auction.current_price,
-            reservePrice: auction.reserve_price
+            reservePrice: auction.reserve_price,
+            canRelist: true
           }
         );
       }
@@ -179,13 +337,13 @@ class AuctionScheduler {
       // Notify all bidders who didn't win
       if (winnerId) {
         const biddersResult = await query(
-          'SELECT DISTINCT user_id FROM bids WHERE auction_id = $1 AND user_id != $2',
+          'SELECT DISTINCT bidder_id FROM bids WHERE auction_id = $1 AND bidder_id != $2',
           [auction.id, winnerId]
         );
 
         for (const bidder of biddersResult.rows) {
           await sendNotification(
-            bidder.user_id,
+            bidder.bidder_id,
             NOTIFICATION_TYPES.AUCTION_LOST,
             'Auction ended',
             `The auction for "${auction.title}" has ended. Unfortunately, you didn't win this time.`,
@@ -197,120 +355,80 @@ class AuctionScheduler {
           );
         }
       }
+    } catch (error) {
+      console.error(`Auction ${auction.id} end notification error:`, error);
+    }
+  }
 
-      // Send real-time update
-      await realtime.publish(`auction:${auction.id}`, {
-        type: 'auction_ended',
-        auction: {
-          id: auction.id,
-          status: status,
-          winnerId: winnerId,
-          finalPrice: finalPrice
-        }
-      });
+  async cleanupExpiredNotifications() {
+    try {
+      // Delete notifications older than 30 days
+      const result = await query(
+        'DELETE FROM notifications WHERE created_at < NOW() - INTERVAL \'30 days\''
+      );
 
-      await query('COMMIT');
-      console.log(`Auction ${auction.id} ended with status: ${status}`);
+      console.log(`Cleaned up ${result.rowCount} expired notifications`);
     } catch (error) {
-      await query('ROLLBACK');
-      console.error(`Error ending auction ${auction.id}:`, error);
+      console.error('Cleanup expired notifications error:', error);
     }
   }
 
-  async processProxyBids() {
+  async cleanupIdempotencyKeys() {
     try {
-      // Find active proxy bids that can be executed
-      const result = await query(`
-        SELECT 
-          pb.id, pb.user_id, pb.auction_id, pb.max_amount, pb.increment,
-          a.current_price, a.end_time, a.status,
-          (SELECT amount FROM bids WHERE auction_id = pb.auction_id ORDER BY amount DESC, created_at ASC LIMIT 1) as highest_bid,
-          (SELECT user_id FROM bids WHERE auction_id = pb.auction_id ORDER BY amount DESC, created_at ASC LIMIT 1) as highest_bidder
-        FROM proxy_bids pb
-        JOIN auctions a ON pb.auction_id = a.id
-        WHERE pb.is_active = true 
-          AND a.status = 'active' 
-          AND a.end_time > NOW()
-          AND pb.max_amount > a.current_price
-      `);
-
-      for (const proxyBid of result.rows) {
-        // Skip if user is already the highest bidder
-        if (proxyBid.highest_bidder === proxyBid.user_id) {
-          continue;
-        }
+      const result = await query(
+        'DELETE FROM idempotency_keys WHERE created_at < NOW() - INTERVAL \'24 hours\''
+      );
 
-        // Calculate next bid amount
-        const currentPrice = parseFloat(proxyBid.current_price);
-        const increment = parseFloat(proxyBid.increment);
-        const maxAmount = parseFloat(proxyBid.max_amount);
-        const nextBidAmount = currentPrice + increment;
+      console.log(`Cleaned up ${result.rowCount} expired idempotency keys`);
+    } catch (error) {
+      console.error('Cleanup idempotency keys error:', error);
+    }
+  }
 
-        // Check if proxy bid can cover the next bid
-        if (nextBidAmount <= maxAmount) {
-          await this.executeProxyBid(proxyBid, nextBidAmount);
-        }
-      }
+  async expireSecondChanceOffers() {
+    try {
+      const expired = await expireOffers();
+      console.log(`Expired ${expired} second chance offers`);
     } catch (error) {
-      console.error('Process proxy bids error:', error);
+      console.error('Expire second chance offers error:', error);
     }
   }
 
-  async executeProxyBid(proxyBid, bidAmount) {
+  async processOrderDeadlines() {
     try {
-      await query('BEGIN');
+      const processed = await processOrderDeadlines();
+      console.log(`Processed ${processed} overdue orders`);
+    } catch (error) {
+      console.error('Process order deadlines error:', error);
+    }
+  }
 
-      // Place the bid
-      const bidResult = await query(
-        'INSERT INTO bids (auction_id, user_id, amount, is_proxy) VALUES ($1, $2, $3, $4) RETURNING *',
-        [proxyBid.auction_id, proxyBid.user_id, bidAmount, true]
-      );
+  async expireDrafts() {
+    try {
+      const expiryDays = await getSetting('draft_expiry_days');
 
-      // Update auction current price
-      await query(
-        'UPDATE auctions SET current_price = $1 WHERE id = $2',
-        [bidAmount, proxyBid.auction_id]
-      );
+      const result = await query(`
+        DELETE FROM auctions
+        WHERE status = 'draft' AND updated_at < NOW() - make_interval(days => $1)
+        RETURNING id, images
+      `, [expiryDays]);
 
-      // Check if proxy bid is exhausted
-      if (bidAmount >= proxyBid.max_amount) {
-        await query(
-          'UPDATE proxy_bids SET is_active = false WHERE id = $1',
-          [proxyBid.id]
-        );
+      for (const draft of result.rows) {
+        await imageProcessor.deleteAuctionImages(draft.images);
       }
 
-      await query('COMMIT');
-
-      // Send real-time update
-      await realtime.publish(`auction:${proxyBid.auction_id}`, {
-        type: 'new_bid',
-        bid: {
-          id: bidResult.rows[0].id,
-          amount: bidAmount,
-          userId: proxyBid.user_id,
-          isProxy: true,
-          createdAt: bidResult.rows[0].created_at
-        }
-      });
-
-      console.log(`Executed proxy bid: $${bidAmount} for auction ${proxyBid.auction_id}`);
+      console.log(`Deleted ${result.rowCount} expired drafts`);
     } catch (error) {
-      await query('ROLLBACK');
-      console.error('Execute proxy bid error:', error);
+      console.error('Expire drafts error:', error);
     }
   }
 
-  async cleanupExpiredNotifications() {
+  async cleanupAuctionInteractions() {
     try {
-      // Delete notifications older than 30 days
-      const result = await query(
-        'DELETE FROM notifications WHERE created_at < NOW() - INTERVAL \'30 days\''
-      );
-
-      console.log(`Cleaned up ${result.rowCount} expired notifications`);
+      const deleted = await cleanupInteractions();
+      console.log(`Cleaned up ${deleted} old auction interactions`);
     } catch (error) {
-      console.error('Cleanup expired notifications error:', error);
+      console.error('Cleanup auction interactions error:', error);
     }
   }
 
@@ -333,7 +451,7 @@ class AuctionScheduler {
       // Update auction view counts, bid counts, etc.
       await query(`
         UPDATE auctions SET 
-          bid_count = (SELECT COUNT(*) FROM bids WHERE auction_id = auctions.id),
+          bid_count = (SELECT COUNT(*) FROM bids WHERE auction_id = auctions.id AND is_retracted = false),
           view_count = COALESCE(view_count, 0),
           watch_count = (SELECT COUNT(*) FROM watchlist WHERE auction_id = auctions.id)
         WHERE status IN ('active', 'scheduled')
@@ -344,7 +462,7 @@ class AuctionScheduler {
         UPDATE users SET 
           total_auctions = (SELECT COUNT(*) FROM auctions WHERE seller_id = users.id),
           active_auctions = (SELECT COUNT(*) FROM auctions WHERE seller_id = users.id AND status = 'active'),
-          total_bids = (SELECT COUNT(*) FROM bids WHERE user_id = users.id)
+          total_bids = (SELECT COUNT(*) FROM bids WHERE bidder_id = users.id)
       `);
 
       console.log('Updated auction and user statistics');
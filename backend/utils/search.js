@@ -0,0 +1,57 @@
+// Full-text auction search.
+// Auctions carry a generated `search_vector` (title weighted A, description weighted B).
+// User input is turned into a prefix tsquery, so "rtx 308" matches "RTX 3080".
+
+// Longest search text accepted and most terms used from it
+const MAX_QUERY_LENGTH = 200;
+const MAX_QUERY_TERMS = 10;
+
+// ts_headline wraps matches in these control characters; they are swapped for <mark>
+// tags after the rest of the text has been HTML-escaped
+const MATCH_START = '\u0001';
+const MATCH_END = '\u0002';
+
+const TITLE_HEADLINE_OPTIONS = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, HighlightAll=true`;
+const SNIPPET_HEADLINE_OPTIONS = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`;
+
+// Turn free text into a tsquery string where every term must match as a prefix
+// (e.g. "RTX 3080 founders" -> "rtx:* & 3080:* & founders:*"). Returns null if no terms.
+const buildPrefixQuery = (text) => {
+  const terms = String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, MAX_QUERY_TERMS);
+
+  if (terms.length === 0) {
+    return null;
+  }
+
+  return terms.map(term => `${term}:*`).join(' & ');
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// HTML-escape a ts_headline result and mark its matches with <mark>
+const highlightToHtml = (headline) => {
+  if (!headline) {
+    return null;
+  }
+
+  return escapeHtml(headline)
+    .split(MATCH_START).join('<mark>')
+    .split(MATCH_END).join('</mark>');
+};
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  TITLE_HEADLINE_OPTIONS,
+  SNIPPET_HEADLINE_OPTIONS,
+  buildPrefixQuery,
+  highlightToHtml
+};
@@ -0,0 +1,300 @@
+const { pool, query } = require('../config/database');
+const { cache, CACHE_KEYS } = require('../config/redis');
+const { getSetting } = require('./settings');
+const { sendNotification, NOTIFICATION_TYPES } = require('./notifications');
+const { createOrder } = require('./orders');
+
+// Second chance offers.
+// When the winner of a sold auction does not pay, the seller can offer the item to the
+// next highest bidder at that bidder's highest bid. The offer is open for
+// `second_chance_response_hours`; accepting it creates an order for the runner-up.
+
+// Build a rejected result (nothing was written)
+const reject = (status, payload) => ({ accepted: false, status, payload });
+
+// Build an accepted result
+const accept = (payload, status = 200) => ({ accepted: true, status, payload });
+
+// Notifications are best effort; a failure must not undo an offer or a response
+const notify = async (...args) => {
+  try {
+    await sendNotification(...args);
+  } catch (error) {
+    console.error('Second chance notification error:', error);
+  }
+};
+
+const formatOffer = (offer) => ({
+  id: offer.id,
+  auctionId: offer.auction_id,
+  bidderId: offer.bidder_id,
+  amount: parseFloat(offer.amount),
+  status: offer.status,
+  orderId: offer.order_id,
+  expiresAt: offer.expires_at,
+  respondedAt: offer.responded_at,
+  createdAt: offer.created_at
+});
+
+// Offer a sold auction to the runner-up.
+// The current winner's order must be unpaid, or awaiting payment past its deadline (it is
+// then marked unpaid without waiting for the scheduler). Bidders who already had an offer or
+// an order are skipped.
+const makeOffer = async ({ auctionId }) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const auctionResult = await client.query('SELECT * FROM auctions WHERE id = $1 FOR UPDATE', [auctionId]);
+
+    if (auctionResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return reject(404, { message: 'Auction not found' });
+    }
+
+    const auction = auctionResult.rows[0];
+
+    if (auction.status !== 'sold' || !auction.winner_id) {
+      await client.query('ROLLBACK');
+      return reject(400, { message: 'Second chance offers are only available on sold auctions' });
+    }
+
+    const pendingResult = await client.query(
+      'SELECT id FROM second_chance_offers WHERE auction_id = $1 AND status = \'pending\'',
+      [auctionId]
+    );
+
+    if (pendingResult.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return reject(409, { message: 'A second chance offer is already waiting for a response' });
+    }
+
+    const orderResult = await client.query(`
+      SELECT *, deadline_at <= NOW() as payment_overdue FROM orders
+      WHERE auction_id = $1 AND buyer_id = $2
+      ORDER BY created_at DESC
+      LIMIT 1
+      FOR UPDATE
+    `, [auctionId, auction.winner_id]);
+
+    const order = orderResult.rows[0];
+
+    if (!order || !(order.status === 'unpaid' || (order.status === 'pending_payment' && order.payment_overdue))) {
+      await client.query('ROLLBACK');
+      return reject(400, { message: 'Second chance offers are only available once the winner has missed the payment deadline' });
+    }
+
+    // Highest standing bid of every bidder not yet offered the item
+    const runnerUpResult = await client.query(`
+      SELECT b.bidder_id, MAX(b.amount) as amount, MIN(b.created_at) as first_bid_at
+      FROM bids b
+      WHERE b.auction_id = $1 AND b.is_retracted = false
+        AND NOT EXISTS (
+          SELECT 1 FROM orders o WHERE o.auction_id = b.auction_id AND o.buyer_id = b.bidder_id
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM second_chance_offers s WHERE s.auction_id = b.auction_id AND s.bidder_id = b.bidder_id
+        )
+      GROUP BY b.bidder_id
+      ORDER BY amount DESC, first_bid_at ASC
+      LIMIT 1
+    `, [auctionId]);
+
+    if (runnerUpResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return reject(404, { message: 'No other bidders are available for a second chance offer' });
+    }
+
+    const runnerUp = runnerUpResult.rows[0];
+
+    if (order.status === 'pending_payment') {
+      await client.query(
+        'UPDATE orders SET status = \'unpaid\', deadline_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [order.id]
+      );
+    }
+
+    const responseHours = await getSetting('second_chance_response_hours');
+
+    const offerResult = await client.query(`
+      INSERT INTO second_chance_offers (auction_id, seller_id, bidder_id, amount, expires_at)
+      VALUES ($1, $2, $3, $4, NOW() + make_interval(hours => $5))
+      RETURNING *
+    `, [auctionId, auction.seller_id, runnerUp.bidder_id, runnerUp.amount, responseHours]);
+
+    await client.query('COMMIT');
+
+    const offer = offerResult.rows[0];
+
+    await notify(
+      offer.bidder_id,
+      NOTIFICATION_TYPES.SECOND_CHANCE_OFFER,
+      'Second chance to buy',
+      `The winner of "${auction.title}" did not pay. You can buy it for your highest bid of $${parseFloat(offer.amount).toFixed(2)} within ${responseHours} hours.`,
+      {
+        auctionId,
+        auctionTitle: auction.title,
+        offerId: offer.id,
+        amount: parseFloat(offer.amount),
+        expiresAt: offer.expires_at
+      }
+    );
+
+    return accept({
+      message: 'Second chance offer sent',
+      offer: formatOffer(offer)
+    }, 201);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Accept or decline a pending offer. Accepting makes the bidder the winner and
+// creates their order.
+const respondToOffer = async ({ offerId, bidder, action }) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const offerResult = await client.query(`
+      SELECT o.*, a.title as auction_title
+      FROM second_chance_offers o
+      JOIN auctions a ON o.auction_id = a.id
+      WHERE o.id = $1
+      FOR UPDATE OF o, a
+    `, [offerId]);
+
+    if (offerResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return reject(404, { message: 'Offer not found' });
+    }
+
+    const offer = offerResult.rows[0];
+
+    if (offer.bidder_id !== bidder.id) {
+      await client.query('ROLLBACK');
+      return reject(403, { message: 'This offer was made to another bidder' });
+    }
+
+    if (offer.status !== 'pending') {
+      await client.query('ROLLBACK');
+      return reject(400, { message: `Offer has already been ${offer.status}` });
+    }
+
+    if (new Date(offer.expires_at) <= new Date()) {
+      await client.query('ROLLBACK');
+      return reject(400, { message: 'Offer has expired' });
+    }
+
+    const data = {
+      auctionId: offer.auction_id,
+      auctionTitle: offer.auction_title,
+      offerId: offer.id,
+      amount: parseFloat(offer.amount)
+    };
+
+    if (action === 'decline') {
+      const declined = await client.query(`
+        UPDATE second_chance_offers SET status = 'declined', responded_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [offerId]);
+
+      await client.query('COMMIT');
+
+      await notify(
+        offer.seller_id,
+        NOTIFICATION_TYPES.SECOND_CHANCE_DECLINED,
+        'Second chance offer declined',
+        `Your second chance offer for "${offer.auction_title}" was declined. You can offer it to the next bidder.`,
+        data
+      );
+
+      return accept({
+        message: 'Offer declined',
+        offer: formatOffer(declined.rows[0])
+      });
+    }
+
+    const order = await createOrder(client, {
+      auctionId: offer.auction_id,
+      sellerId: offer.seller_id,
+      buyerId: offer.bidder_id,
+      amount: offer.amount,
+      source: 'second_chance'
+    });
+
+    const accepted = await client.query(`
+      UPDATE second_chance_offers SET status = 'accepted', order_id = $1, responded_at = NOW()
+      WHERE id = $2
+      RETURNING *
+    `, [order.id, offerId]);
+
+    await client.query(`
+      UPDATE auctions
+      SET winner_id = $1, final_price = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+    `, [offer.bidder_id, offer.amount, offer.auction_id]);
+
+    await client.query('COMMIT');
+
+    await cache.del(CACHE_KEYS.AUCTION_DETAILS(offer.auction_id));
+
+    await notify(
+      offer.seller_id,
+      NOTIFICATION_TYPES.SECOND_CHANCE_ACCEPTED,
+      'Second chance offer accepted',
+      `Your second chance offer for "${offer.auction_title}" was accepted for $${parseFloat(offer.amount).toFixed(2)}.`,
+      { ...data, orderId: order.id, buyerId: offer.bidder_id }
+    );
+
+    return accept({
+      message: 'Offer accepted',
+      offer: formatOffer(accepted.rows[0]),
+      order: {
+        id: order.id,
+        status: order.status
+      }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Expire offers whose response window has passed (run by the scheduler)
+const expireOffers = async () => {
+  const result = await query(`
+    UPDATE second_chance_offers o
+    SET status = 'expired', responded_at = NOW()
+    FROM auctions a
+    WHERE o.auction_id = a.id AND o.status = 'pending' AND o.expires_at <= NOW()
+    RETURNING o.*, a.title as auction_title
+  `);
+
+  for (const offer of result.rows) {
+    await notify(
+      offer.seller_id,
+      NOTIFICATION_TYPES.SECOND_CHANCE_EXPIRED,
+      'Second chance offer expired',
+      `Your second chance offer for "${offer.auction_title}" was not answered in time. You can offer it to the next bidder.`,
+      { auctionId: offer.auction_id, auctionTitle: offer.auction_title, offerId: offer.id }
+    );
+  }
+
+  return result.rowCount;
+};
+
+module.exports = {
+  formatOffer,
+  makeOffer,
+  respondToOffer,
+  expireOffers
+};
@@ -0,0 +1,101 @@
+const { query } = require('../config/database');
+const { cache, CACHE_KEYS } = require('../config/redis');
+const { DEFAULT_INCREMENT_LADDER, validateLadder, normalizeLadder } = require('./bidIncrements');
+const { DEFAULT_ANTI_SNIPE_POLICY, validatePolicy, normalizePolicy } = require('./antiSnipe');
+const { DEFAULT_ORDER_DEADLINES, validateDeadlines } = require('./orderDeadlines');
+
+const BUY_NOW_REMOVAL_RULES = ['never', 'first_bid', 'reserve_met'];
+
+// Known system settings with their defaults and validators.
+// Values are stored as JSONB in system_settings; a missing row falls back to the default.
+const SETTINGS = {
+  bid_increments: {
+    default: DEFAULT_INCREMENT_LADDER,
+    description: 'Bid increment ladder: [{ from, increment }] sorted by ascending price',
+    validate: validateLadder,
+    normalize: normalizeLadder
+  },
+  buy_now_removal: {
+    default: 'reserve_met',
+    description: "When Buy It Now is withdrawn: 'never', 'first_bid', or 'reserve_met' (first bid when there is no reserve)",
+    validate: (value) => (BUY_NOW_REMOVAL_RULES.includes(value)
+      ? null
+      : `Must be one of: ${BUY_NOW_REMOVAL_RULES.join(', ')}`)
+  },
+  anti_snipe: {
+    default: DEFAULT_ANTI_SNIPE_POLICY,
+    description: 'Anti-sniping policy: { triggerWindowSeconds, extensionSeconds, maxTotalExtensionSeconds }',
+    validate: (value) => validatePolicy(value),
+    normalize: normalizePolicy
+  },
+  retraction_cutoff_minutes: {
+    default: 60,
+    description: 'Bid retractions cannot be requested within this many minutes of the auction end',
+    validate: (value) => (Number.isInteger(value) && value >= 0
+      ? null
+      : 'Must be a non-negative whole number of minutes')
+  },
+  draft_expiry_days: {
+    default: 30,
+    description: 'Drafts not edited for this many days are deleted',
+    validate: (value) => (Number.isInteger(value) && value >= 1
+      ? null
+      : 'Must be a whole number of days, at least 1')
+  },
+  second_chance_response_hours: {
+    default: 48,
+    description: 'How long a runner-up has to accept or decline a second chance offer',
+    validate: (value) => (Number.isInteger(value) && value >= 1
+      ? null
+      : 'Must be a whole number of hours, at least 1')
+  },
+  order_deadlines: {
+    default: DEFAULT_ORDER_DEADLINES,
+    description: 'Hours allowed for each order step: { paymentHours, dispatchHours, receiptHours, closeHours }',
+    validate: validateDeadlines
+  }
+};
+
+// Load all settings (cached for 5 minutes)
+const getAllSettings = async () => {
+  const cached = await cache.get(CACHE_KEYS.SYSTEM_SETTINGS);
+  if (cached) {
+    return cached;
+  }
+
+  const settings = {};
+  for (const [key, definition] of Object.entries(SETTINGS)) {
+    settings[key] = { value: definition.default, description: definition.description };
+  }
+
+  try {
+    const result = await query('SELECT key, value, description FROM system_settings');
+    result.rows.forEach(setting => {
+      settings[setting.key] = {
+        value: setting.value,
+        description: setting.description || settings[setting.key]?.description || null
+      };
+    });
+  } catch (error) {
+    console.error('Load settings error:', error);
+  }
+
+  await cache.set(CACHE_KEYS.SYSTEM_SETTINGS, settings, 300);
+
+  return settings;
+};
+
+// Get a single setting value, falling back to its default
+const getSetting = async (key) => {
+  const settings = await getAllSettings();
+  if (settings[key] !== undefined) {
+    return settings[key].value;
+  }
+  return SETTINGS[key] ? SETTINGS[key].default : undefined;
+};
+
+module.exports = {
+  SETTINGS,
+  getAllSettings,
+  getSetting
+};
@@ -0,0 +1,140 @@
+// WhatsApp messaging and contact links.
+// Outgoing messages go through a transport: any object with
+//   { name: string, send({ to, message }) => Promise<void> }
+// `WHATSAPP_TRANSPORT` picks a built-in one:
+//   none  - drop messages
+//   log   - write messages, phone numbers included, to the console (local runs only)
+//   fake  - keep messages in memory (`transport.sent`) for local runs and tests
+//   cloud - WhatsApp Business Cloud API (`WHATSAPP_API_KEY`, `WHATSAPP_PHONE_NUMBER_ID`)
+// Unset, it is `cloud` when the Cloud API is configured and `none` otherwise.
+// `setTransport` swaps in any other implementation.
+
+const WHATSAPP_API_URL = process.env.WHATSAPP_API_URL || 'https://graph.facebook.com/v19.0';
+
+// Reduce a stored number to the digits wa.me and the Cloud API expect
+// (international format, no "+", spaces or leading "00"). Returns null if unusable.
+const normalizeNumber = (number) => {
+  const digits = String(number || '').replace(/\D/g, '').replace(/^00/, '');
+  return digits.length >= 8 && digits.length <= 15 ? digits : null;
+};
+
+// https://wa.me deep link that opens a chat with `number` and a pre-filled message
+const buildContactLink = (number, message) => {
+  const digits = normalizeNumber(number);
+  if (!digits) {
+    return null;
+  }
+
+  return `https://wa.me/${digits}?text=${encodeURIComponent(message)}`;
+};
+
+const createNoopTransport = () => ({
+  name: 'none',
+  send: async () => {}
+});
+
+const createLogTransport = () => ({
+  name: 'log',
+  send: async ({ to, message }) => {
+    console.log(`WhatsApp message to ${to}: ${message}`);
+  }
+});
+
+const createFakeTransport = () => {
+  const sent = [];
+
+  return {
+    name: 'fake',
+    sent,
+    send: async ({ to, message }) => {
+      sent.push({ to, message, sentAt: new Date() });
+    },
+    reset: () => {
+      sent.length = 0;
+    }
+  };
+};
+
+const createCloudTransport = ({
+  apiKey = process.env.WHATSAPP_API_KEY,
+  phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID
+} = {}) => ({
+  name: 'cloud',
+  send: async ({ to, message }) => {
+    const response = await fetch(`${WHATSAPP_API_URL}/${phoneNumberId}/messages`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        messaging_product: 'whatsapp',
+        to,
+        type: 'text',
+        text: { body: message }
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`WhatsApp API responded with ${response.status}`);
+    }
+  }
+});
+
+const TRANSPORTS = {
+  none: createNoopTransport,
+  log: createLogTransport,
+  fake: createFakeTransport,
+  cloud: createCloudTransport
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const cloudConfigured = Boolean(process.env.WHATSAPP_API_KEY && process.env.WHATSAPP_PHONE_NUMBER_ID);
+    const name = process.env.WHATSAPP_TRANSPORT || (cloudConfigured ? 'cloud' : 'none');
+
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown WhatsApp transport: ${name}`);
+    }
+
+    transport = TRANSPORTS[name]();
+  }
+
+  return transport;
+};
+
+// Replace the transport (e.g. with a fake in tests). Returns the previous one.
+const setTransport = (next) => {
+  if (!next || typeof next.send !== 'function') {
+    throw new Error('A WhatsApp transport must have a send({ to, message }) function');
+  }
+
+  const previous = transport;
+  transport = next;
+  return previous;
+};
+
+// Send a message through the current transport. Returns false if the number is unusable.
+const sendWhatsAppMessage = async (number, message) => {
+  const to = normalizeNumber(number);
+  if (!to) {
+    return false;
+  }
+
+  await getTransport().send({ to, message });
+  return true;
+};
+
+module.exports = {
+  normalizeNumber,
+  buildContactLink,
+  createNoopTransport,
+  createLogTransport,
+  createFakeTransport,
+  createCloudTransport,
+  getTransport,
+  setTransport,
+  sendWhatsAppMessage
+};
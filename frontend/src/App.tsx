@@ -1,8 +1,9 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { motion, AnimatePresence } from 'framer-motion';
+import { motion } from 'framer-motion';
 import AuctionCard from './components/AuctionCard';
 import CategoryFilter from './components/CategoryFilter';
-import { fetchAuctions, fetchCategories } from './services/api';
+import { fetchCategories } from './services/api';
+import useAuctionFeed, { getSavedFeedCategory } from './hooks/useAuctionFeed';
 
 interface Auction {
   id: number;
@@ -39,129 +40,68 @@ interface Category {
   createdAt: string;
 }
 
+// Cards rendered around the current one; spacers stand in for the rest of the loaded feed
+const RENDER_BEHIND = 2;
+const RENDER_AHEAD = 3;
+
+// Shown when the API has no live auctions, for demo purposes
+const DEMO_AUCTION: Auction = {
+  id: 1,
+  title: "Sample Auction Item",
+  description: "This is a sample auction item for demonstration purposes.",
+  condition: "new",
+  currentPrice: 150,
+  startingPrice: 100,
+  buyNowPrice: 200,
+  shippingCost: 10,
+  images: ["https://via.placeholder.com/400x300"],
+  endTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+  bidCount: 5,
+  viewCount: 25,
+  watchCount: 3,
+  status: "active",
+  createdAt: new Date().toISOString(),
+  isFeatured: true,
+  sellerUsername: "demo_seller",
+  sellerReputation: 4.5,
+  categoryName: "Electronics",
+  categoryIcon: "📱",
+  isWatched: false,
+  timeRemaining: 86400
+};
+
+const DEMO_CATEGORIES: Category[] = [
+  { id: 1, name: "All", description: "All categories", icon: "🏷️", isActive: true, auctionCount: 10, createdAt: new Date().toISOString() },
+  { id: 2, name: "Electronics", description: "Electronic items", icon: "📱", isActive: true, auctionCount: 5, createdAt: new Date().toISOString() }
+];
+
 function App() {
-  const [auctions, setAuctions] = useState<Auction[]>([]);
   const [categories, setCategories] = useState<Category[]>([]);
-  const [currentIndex, setCurrentIndex] = useState(0);
-  const [selectedCategory, setSelectedCategory] = useState<number | null>(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState<string | null>(null);
+  const [selectedCategory, setSelectedCategory] = useState<number | null>(getSavedFeedCategory);
   const containerRef = useRef<HTMLDivElement>(null);
+  const { items, currentIndex, selectIndex, hasMore, loading, error, reload } = useAuctionFeed(selectedCategory, containerRef);
 
   useEffect(() => {
-    loadInitialData();
+    loadCategories();
   }, []);
 
-  useEffect(() => {
-    loadAuctions();
-  }, [selectedCategory]);
-
-  const loadInitialData = async () => {
+  const loadCategories = async () => {
     try {
-      const [auctionsData, categoriesData] = await Promise.all([
-        fetchAuctions(),
-        fetchCategories()
-      ]);
-      
-      // Ensure we have arrays even if the API returns undefined
-      const auctionsList = auctionsData?.auctions || [];
+      const categoriesData = await fetchCategories();
       const categoriesList = categoriesData?.categories || [];
-      
-      setAuctions(auctionsList);
-      setCategories(categoriesList);
-      
+
       // If no data from API, set some mock data for demo
-      if (auctionsList.length === 0) {
-        setAuctions([
-          {
-            id: 1,
-            title: "Sample Auction Item",
-            description: "This is a sample auction item for demonstration purposes.",
-            condition: "new",
-            currentPrice: 150,
-            startingPrice: 100,
-            buyNowPrice: 200,
-            shippingCost: 10,
-            images: ["https://via.placeholder.com/400x300"],
-            endTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
-            bidCount: 5,
-            viewCount: 25,
-            watchCount: 3,
-            status: "active",
-            createdAt: new Date().toISOString(),
-            isFeatured: true,
-            sellerUsername: "demo_seller",
-            sellerReputation: 4.5,
-            categoryName: "Electronics",
-            categoryIcon: "📱",
-            isWatched: false,
-            timeRemaining: 86400
-          }
-        ]);
-      }
-      
-      if (categoriesList.length === 0) {
-        setCategories([
-          { id: 1, name: "All", description: "All categories", icon: "🏷️", isActive: true, auctionCount: 10, createdAt: new Date().toISOString() },
-          { id: 2, name: "Electronics", description: "Electronic items", icon: "📱", isActive: true, auctionCount: 5, createdAt: new Date().toISOString() }
-        ]);
-      }
-      
+      setCategories(categoriesList.length > 0 ? categoriesList : DEMO_CATEGORIES);
     } catch (err) {
-      console.error('Error loading initial data:', err);
-      // Set fallback data on error
-      setAuctions([
-        {
-          id: 1,
-          title: "Sample Auction Item",
-          description: "This is a sample auction item for demonstration purposes.",
-          condition: "new",
-          currentPrice: 150,
-          startingPrice: 100,
-          buyNowPrice: 200,
-          shippingCost: 10,
-          images: ["https://via.placeholder.com/400x300"],
-          endTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
-          bidCount: 5,
-          viewCount: 25,
-          watchCount: 3,
-          status: "active",
-          createdAt: new Date().toISOString(),
-          isFeatured: true,
-          sellerUsername: "demo_seller",
-          sellerReputation: 4.5,
-          categoryName: "Electronics",
-          categoryIcon: "📱",
-          isWatched: false,
-          timeRemaining: 86400
-        }
-      ]);
-      setCategories([
-        { id: 1, name: "All", description: "All categories", icon: "🏷️", isActive: true, auctionCount: 10, createdAt: new Date().toISOString() },
-        { id: 2, name: "Electronics", description: "Electronic items", icon: "📱", isActive: true, auctionCount: 5, createdAt: new Date().toISOString() }
-      ]);
-      setError('Using demo data - API connection failed');
-    } finally {
-      setLoading(false);
+      console.error('Error loading categories:', err);
+      setCategories(DEMO_CATEGORIES);
     }
   };
 
-  const loadAuctions = async () => {
-    try {
-      setLoading(true);
-      const params = selectedCategory ? { category: selectedCategory } : {};
-      const data = await fetchAuctions(params);
-      const auctionsList = data?.auctions || [];
-      setAuctions(auctionsList);
-      setCurrentIndex(0);
-    } catch (err) {
-      console.error('Error loading auctions:', err);
-      // Keep existing auctions on error, don't clear them
-      setError('Failed to load new auctions');
-    } finally {
-      setLoading(false);
-    }
-  };
+  const feedItems = items.length === 0 && !loading ? [{ position: 0, auction: DEMO_AUCTION }] : items;
+  const windowStart = Math.max(0, currentIndex - RENDER_BEHIND);
+  const windowEnd = Math.min(feedItems.length, currentIndex + RENDER_AHEAD + 1);
+  const lastPosition = feedItems.length > 0 ? feedItems[feedItems.length - 1].position : 0;
 
   const handleScroll = (e: React.UIEvent<HTMLDivElement>) => {
     const container = e.currentTarget;
@@ -169,8 +109,8 @@ function App() {
     const itemHeight = container.clientHeight;
     const newIndex = Math.round(scrollTop / itemHeight);
     
-    if (newIndex !== currentIndex && newIndex >= 0 && newIndex < auctions.length) {
-      setCurrentIndex(newIndex);
+    if (newIndex !== currentIndex && newIndex >= 0 && newIndex < feedItems.length) {
+      selectIndex(newIndex);
     }
   };
 
@@ -185,7 +125,7 @@ function App() {
   };
 
   const handleNext = () => {
-    if (currentIndex < auctions.length - 1) {
+    if (currentIndex < feedItems.length - 1) {
       scrollToIndex(currentIndex + 1);
     }
   };
@@ -200,7 +140,7 @@ function App() {
     setSelectedCategory(categoryId);
   };
 
-  if (loading && auctions.length === 0) {
+  if (loading && items.length === 0) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
         <div className="text-center">
@@ -218,7 +158,10 @@ function App() {
           <div className="text-red-500 text-xl mb-4">⚠️</div>
           <p className="text-gray-600">{error}</p>
           <button 
-            onClick={loadInitialData}
+            onClick={() => {
+              reload();
+              loadCategories();
+            }}
             className="mt-4 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
           >
             Try Again
@@ -238,9 +181,9 @@ function App() {
             <span className="text-white/70 text-sm">Live Auctions</span>
           </div>
           <div className="flex items-center space-x-2 text-white/70 text-sm">
-            <span>{currentIndex + 1}</span>
+            <span>{(feedItems[currentIndex]?.position ?? 0) + 1}</span>
             <span>/</span>
-            <span>{auctions.length}</span>
+            <span>{lastPosition + 1}{hasMore ? '+' : ''}</span>
           </div>
         </div>
       </div>
@@ -260,35 +203,34 @@ function App() {
         className="h-full snap-y-mandatory overflow-y-scroll hide-scrollbar"
         onScroll={handleScroll}
       >
-        <AnimatePresence mode="wait">
-          {auctions.map((auction, index) => (
-            <motion.div
-              key={auction.id}
-              className="h-screen snap-start flex items-center justify-center p-4"
-              initial={{ opacity: 0, scale: 0.9 }}
-              animate={{ opacity: 1, scale: 1 }}
-              exit={{ opacity: 0, scale: 0.9 }}
-              transition={{ duration: 0.3 }}
-            >
-              <AuctionCard 
-                auction={auction}
-                isActive={index === currentIndex}
-                onNext={handleNext}
-                onPrevious={handlePrevious}
-              />
-            </motion.div>
-          ))}
-        </AnimatePresence>
+        <div style={{ height: `${windowStart * 100}vh` }} />
+        {feedItems.slice(windowStart, windowEnd).map(({ position, auction }, offset) => (
+          <motion.div
+            key={position}
+            className="h-screen snap-start flex items-center justify-center p-4"
+            initial={{ opacity: 0, scale: 0.9 }}
+            animate={{ opacity: 1, scale: 1 }}
+            transition={{ duration: 0.3 }}
+          >
+            <AuctionCard 
+              auction={auction}
+              isActive={windowStart + offset === currentIndex}
+              onNext={handleNext}
+              onPrevious={handlePrevious}
+            />
+          </motion.div>
+        ))}
+        <div style={{ height: `${(feedItems.length - windowEnd) * 100}vh` }} />
       </div>
 
       {/* Navigation Indicators */}
       <div className="absolute right-4 top-1/2 transform -translate-y-1/2 z-20 space-y-2">
-        {auctions.map((_, index) => (
+        {feedItems.slice(windowStart, windowEnd).map(({ position }, offset) => (
           <button
-            key={index}
-            onClick={() => scrollToIndex(index)}
+            key={position}
+            onClick={() => scrollToIndex(windowStart + offset)}
             className={`w-2 h-8 rounded-full transition-all duration-200 ${
-              index === currentIndex 
+              windowStart + offset === currentIndex 
                 ? 'bg-white' 
                 : 'bg-white/30 hover:bg-white/50'
             }`}
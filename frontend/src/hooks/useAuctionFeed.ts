@@ -0,0 +1,218 @@
+import { useCallback, useEffect, useLayoutEffect, useRef, useState } from 'react';
+import type { RefObject } from 'react';
+import { fetchAuctions } from '../services/api';
+import type { FeedAuction } from '../services/api';
+
+// Infinite, looping auction feed.
+// The next page is fetched by cursor while a few loaded cards are still ahead, and the next
+// cards' images are preloaded, so swiping never waits on the network. At most MAX_RETAINED
+// cards are kept: older ones are dropped and the scroll position shifted to match, so memory
+// stays flat however long the viewer scrolls. The feed is saved to sessionStorage so coming
+// back from an auction's page picks up where the viewer left off.
+
+const PAGE_SIZE = 10;
+
+// Fetch the next page once this few loaded cards are left ahead
+const PREFETCH_THRESHOLD = 4;
+
+// Cards ahead whose images are preloaded
+const PRELOAD_AHEAD = 3;
+
+// Most cards kept, and how many behind the current one survive when older ones are dropped
+const MAX_RETAINED = 40;
+const KEEP_BEHIND = 10;
+
+const SNAPSHOT_KEY = 'auctionFeed';
+
+// Prices and time left go stale; older saved feeds are not restored
+const SNAPSHOT_MAX_AGE_MS = 30 * 60 * 1000;
+
+export interface FeedItem {
+  position: number; // place in the feed since it was loaded; unique even when the feed loops
+  auction: FeedAuction;
+}
+
+interface FeedSnapshot {
+  category: number | null;
+  items: FeedItem[];
+  cursor: string | null;
+  hasMore: boolean;
+  currentIndex: number;
+  savedAt: number;
+}
+
+const loadSnapshot = (): FeedSnapshot | null => {
+  try {
+    const snapshot: FeedSnapshot | null = JSON.parse(sessionStorage.getItem(SNAPSHOT_KEY) || 'null');
+    if (!snapshot || snapshot.items.length === 0) return null;
+    if (Date.now() - snapshot.savedAt > SNAPSHOT_MAX_AGE_MS) return null;
+    return snapshot;
+  } catch {
+    return null;
+  }
+};
+
+const readSnapshot = (category: number | null): FeedSnapshot | null => {
+  const snapshot = loadSnapshot();
+  return snapshot && snapshot.category === category ? snapshot : null;
+};
+
+// Category of the saved feed, so a returning viewer gets the same filter back
+export const getSavedFeedCategory = (): number | null => loadSnapshot()?.category ?? null;
+
+const toItems = (auctions: FeedAuction[], firstPosition: number): FeedItem[] =>
+  auctions.map((auction, index) => ({ position: firstPosition + index, auction }));
+
+const useAuctionFeed = (category: number | null, containerRef: RefObject<HTMLDivElement | null>) => {
+  const [restored] = useState(() => readSnapshot(category));
+  const [items, setItems] = useState<FeedItem[]>(restored?.items ?? []);
+  const [cursor, setCursor] = useState<string | null>(restored?.cursor ?? null);
+  const [hasMore, setHasMore] = useState(restored?.hasMore ?? true);
+  const [currentIndex, setCurrentIndex] = useState(restored?.currentIndex ?? 0);
+  const [loading, setLoading] = useState(!restored);
+  const [error, setError] = useState<string | null>(null);
+
+  // Responses to requests made before the last reset are ignored
+  const requestRef = useRef(0);
+  const loadingMoreRef = useRef(false);
+  const currentIndexRef = useRef(currentIndex);
+  const loadedCategoryRef = useRef<number | null | undefined>(restored ? category : undefined);
+  // Card to scroll to once rendered, and cards dropped above the viewport to scroll back by
+  const scrollToRef = useRef<number | null>(restored ? restored.currentIndex : null);
+  const droppedRef = useRef(0);
+  const preloadedRef = useRef<HTMLImageElement[]>([]);
+
+  const selectIndex = useCallback((index: number) => {
+    currentIndexRef.current = index;
+    setCurrentIndex(index);
+  }, []);
+
+  const fetchPage = useCallback((pageCursor: string | null) => fetchAuctions({
+    limit: PAGE_SIZE,
+    loop: true,
+    cursor: pageCursor ?? undefined,
+    category: category ?? undefined
+  }), [category]);
+
+  const reload = useCallback(async () => {
+    const request = ++requestRef.current;
+    loadingMoreRef.current = false;
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await fetchPage(null);
+      if (request !== requestRef.current) return;
+
+      setItems(toItems(data?.auctions || [], 0));
+      setCursor(data?.pagination?.nextCursor ?? null);
+      setHasMore(data?.pagination?.hasMore ?? false);
+      selectIndex(0);
+      scrollToRef.current = 0;
+    } catch (err) {
+      if (request !== requestRef.current) return;
+      console.error('Error loading auctions:', err);
+      setError('Failed to load auctions');
+    } finally {
+      if (request === requestRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [fetchPage, selectIndex]);
+
+  const loadMore = useCallback(async () => {
+    if (loadingMoreRef.current || !hasMore || !cursor) return;
+
+    const request = requestRef.current;
+    loadingMoreRef.current = true;
+
+    try {
+      const data = await fetchPage(cursor);
+      if (request !== requestRef.current) return;
+
+      const nextPosition = items.length > 0 ? items[items.length - 1].position + 1 : 0;
+      const loaded = items.concat(toItems(data?.auctions || [], nextPosition));
+
+      // Drop cards far behind the viewer once too many are loaded
+      const drop = loaded.length > MAX_RETAINED ? Math.max(0, currentIndexRef.current - KEEP_BEHIND) : 0;
+      if (drop > 0) {
+        droppedRef.current = drop;
+        selectIndex(currentIndexRef.current - drop);
+      }
+
+      setItems(loaded.slice(drop));
+      setCursor(data?.pagination?.nextCursor ?? null);
+      setHasMore(data?.pagination?.hasMore ?? false);
+    } catch (err) {
+      // Retried when the viewer moves on to another card
+      console.error('Error loading more auctions:', err);
+    } finally {
+      if (request === requestRef.current) {
+        loadingMoreRef.current = false;
+      }
+    }
+  }, [cursor, hasMore, items, fetchPage, selectIndex]);
+
+  // Start over when the category changes (the restored feed already matches the first one)
+  useEffect(() => {
+    if (loadedCategoryRef.current === category) return;
+    loadedCategoryRef.current = category;
+    reload();
+  }, [category, reload]);
+
+  useEffect(() => {
+    if (!loading && items.length - currentIndex <= PREFETCH_THRESHOLD) {
+      loadMore();
+    }
+  }, [currentIndex, items.length, loading, loadMore]);
+
+  // Warm the browser cache with the next cards' images
+  useEffect(() => {
+    preloadedRef.current = items
+      .slice(currentIndex + 1, currentIndex + 1 + PRELOAD_AHEAD)
+      .flatMap(({ auction }) => auction.images)
+      .map(src => {
+        const image = new Image();
+        image.src = src;
+        return image;
+      });
+  }, [items, currentIndex]);
+
+  // Apply scroll changes before the browser paints, so restoring or dropping cards never flickers
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    if (scrollToRef.current !== null) {
+      container.scrollTop = scrollToRef.current * container.clientHeight;
+      scrollToRef.current = null;
+    } else if (droppedRef.current > 0) {
+      container.scrollTop -= droppedRef.current * container.clientHeight;
+    }
+    droppedRef.current = 0;
+  }, [items, containerRef]);
+
+  useEffect(() => {
+    if (items.length === 0) return;
+
+    const snapshot: FeedSnapshot = { category, items, cursor, hasMore, currentIndex, savedAt: Date.now() };
+    try {
+      sessionStorage.setItem(SNAPSHOT_KEY, JSON.stringify(snapshot));
+    } catch (err) {
+      // Storage full or disabled; the feed just will not be restored
+      console.error('Error saving feed:', err);
+    }
+  }, [category, items, cursor, hasMore, currentIndex]);
+
+  return {
+    items,
+    currentIndex,
+    selectIndex,
+    hasMore,
+    loading,
+    error,
+    reload
+  };
+};
+
+export default useAuctionFeed;
@@ -38,12 +38,13 @@ api.interceptors.response.use(
 );
 
 export interface AuctionFilters {
-  page?: number;
+  cursor?: string; // pagination.nextCursor of the previous page
+  loop?: boolean; // wrap back to the top instead of ending
   limit?: number;
   category?: number;
   condition?: 'new' | 'like_new' | 'good' | 'fair' | 'poor';
   maxPrice?: number;
-  sort?: 'newest' | 'ending_soon' | 'price_low' | 'price_high' | 'popular';
+  sort?: 'newest' | 'ending_soon' | 'price_low' | 'price_high' | 'popular' | 'for_you';
 }
 
 export interface AuctionResponse {
@@ -72,14 +73,18 @@ export interface AuctionResponse {
     timeRemaining: number;
   }>;
   pagination?: {
-    currentPage: number;
-    totalPages: number;
-    totalItems: number;
-    hasNext: boolean;
-    hasPrev: boolean;
+    limit: number;
+    nextCursor: string | null;
+    hasMore: boolean;
+    loop: {
+      cycle: number;
+      newCycleAt: number | null; // index in auctions where the feed started over
+    } | null;
   };
 }
 
+export type FeedAuction = AuctionResponse['auctions'][number];
+
 export interface CategoriesResponse {
   categories: Array<{
     id: number;